@@ -11378,6 +11378,10 @@ class BasisThreadControlPool {
 		return detectSupport(gl);
 	}
 	
+	get numTasks() {
+		return this.workers.reduce((s, worker) => s + worker.numTasks, 0);
+	}
+	
 	async transcode(arrayBuffer, config) {
 		const workers = this.workers.slice(0, this.numThreads);
 		workers.sort((l, r) => l.numTasks - r.numTasks);
@@ -13989,6 +13993,7 @@ const entityInstanceFragmentShaderSource = `\`
 	precision highp float;
 	
 	uniform sampler2D u_Texture;
+	uniform float     u_AlphaTest;
 	
 	varying vec2 v_Uv;
 	varying vec4 v_Color;
@@ -13996,15 +14001,230 @@ const entityInstanceFragmentShaderSource = `\`
 	void main() {
 		vec4 texColor = texture2D(u_Texture, v_Uv);
 		gl_FragColor = texColor * v_Color;
+		if ( gl_FragColor.a < u_AlphaTest )
+			discard;
 	}
 \``.replace(/`/g, "");
 
+/// dynamic light terms shared by the BSP and entity fragment shaders
+const MAX_POINT_LIGHTS = 4;
+function getShaderChunk_LIGHTING() {
+	return `
+		#define MAX_POINT_LIGHTS ${ MAX_POINT_LIGHTS }
+		
+		uniform float u_LightmapScale;
+		uniform vec3  u_Ambient;
+		uniform vec3  u_CameraPos;
+		/// towards the sun; color * intensity, zero when the sun is off
+		uniform vec3  u_SunDirection;
+		uniform vec3  u_SunColor;
+		/// xyz + radius; color * intensity
+		uniform vec4  u_PointLightPos  [MAX_POINT_LIGHTS];
+		uniform vec3  u_PointLightColor[MAX_POINT_LIGHTS];
+		
+		uniform sampler2D u_ShadowMap;
+		/// enabled, texel size, depth bias
+		uniform vec3      u_ShadowParams;
+		
+		float unpackDepth(vec4 rgba) {
+			return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+		}
+		float getShadow(vec4 shadowCoord) {
+			if ( u_ShadowParams.x < 0.5 )
+				return 1.0;
+			
+			vec3 coord = shadowCoord.xyz / shadowCoord.w;
+			if ( any(lessThan(coord, vec3(0.0))) || any(greaterThan(coord, vec3(1.0))) )
+				return 1.0;
+			
+			float lit = 0.0;
+			for(int i = 0; i < 4; i++) {
+				vec2 offset = vec2(mod(float(i), 2.0) - 0.5, floor(float(i) / 2.0) - 0.5) * u_ShadowParams.y;
+				lit += step(coord.z - u_ShadowParams.z, unpackDepth(texture2D(u_ShadowMap, coord.xy + offset)));
+			}
+			return lit / 4.0;
+		}
+		
+		/// lightmap + ambient + sun + point lights; the face normal comes from derivatives
+		vec3 getLight(vec3 lgt, vec3 worldPos, vec4 shadowCoord) {
+			vec3 light = lgt * u_LightmapScale + u_Ambient;
+			
+			vec3 normal = normalize(cross(dFdx(worldPos), dFdy(worldPos)));
+			if ( dot(normal, u_CameraPos - worldPos) < 0.0 )
+				normal = -normal;
+			
+			if ( dot(u_SunColor, u_SunColor) > 0.0 ) {
+				float sunDot = max(dot(normal, u_SunDirection), 0.0);
+				if ( sunDot > 0.0 )
+					light += u_SunColor * sunDot * getShadow(shadowCoord);
+			}
+			
+			for(int i = 0; i < MAX_POINT_LIGHTS; i++) {
+				vec3 toLight = u_PointLightPos[i].xyz - worldPos;
+				float dist = length(toLight);
+				float attenuation = clamp(1.0 - dist / max(u_PointLightPos[i].w, 1.0), 0.0, 1.0);
+				light += u_PointLightColor[i] * attenuation * attenuation * max(dot(normal, toLight / max(dist, 1e-3)), 0.0);
+			}
+			
+			return light;
+		}
+	`;
+}
+function getShaderSource_SHADOW_DEPTH() {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec3 a_Position;
+		
+		uniform mat4 u_ProjectionViewMatrix;
+		
+		void main() {
+			gl_Position = u_ProjectionViewMatrix * vec4(a_Position, 1.0);
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		vec4 packDepth(float depth) {
+			vec4 enc = fract(vec4(1.0, 255.0, 65025.0, 16581375.0) * depth);
+			return enc - enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+		}
+		
+		void main() {
+			gl_FragColor = packDepth(gl_FragCoord.z);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
+/// top-down map: isBsp adds the lightmap, isInstanced the instance matrices
+function getShaderSource_MINIMAP(isBsp = false, isInstanced = false) {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec3 a_Position;
+		attribute vec2 a_Uv;
+		attribute vec4 a_Color;
+		${ isBsp ? `
+		attribute vec2 a_LgtUv;
+		varying vec2 v_LgtUv;
+		` : "" }
+		${ isInstanced ? `
+		attribute vec4 a_InstancedMatrix0;
+		attribute vec4 a_InstancedMatrix1;
+		attribute vec4 a_InstancedMatrix2;
+		attribute vec4 a_InstancedMatrix3;
+		` : "" }
+		
+		uniform mat4 u_ProjectionViewMatrix;
+		
+		varying vec2 v_Uv;
+		varying vec4 v_Color;
+		
+		void main() {
+			v_Uv = a_Uv;
+			v_Color = a_Color / 255.0;
+			${ isBsp ? `
+			v_LgtUv = a_LgtUv / 32767.0;
+			` : "" }
+			${ isInstanced ? `
+			mat4 instancedMatrix = mat4( a_InstancedMatrix0, a_InstancedMatrix1, a_InstancedMatrix2, a_InstancedMatrix3 );
+			gl_Position = u_ProjectionViewMatrix * instancedMatrix * vec4(a_Position, 1.0);
+			` : `
+			gl_Position = u_ProjectionViewMatrix * vec4(a_Position, 1.0);
+			` }
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		uniform sampler2D u_Texture;
+		${ isBsp ? `
+		uniform sampler2D u_LgtTexture;
+		varying vec2 v_LgtUv;
+		` : "" }
+		
+		varying vec2 v_Uv;
+		varying vec4 v_Color;
+		
+		void main() {
+			vec4 color = texture2D(u_Texture, v_Uv) * v_Color;
+			${ isBsp ? `
+			color *= texture2D(u_LgtTexture, v_LgtUv);
+			` : "" }
+			if ( color.a < 0.5 )
+				discard;
+			gl_FragColor = vec4(color.rgb, 1.0);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
+/// untextured bsp shaded by height, the minimap before the textured passes paint over it
+function getShaderSource_MINIMAP_BASE() {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec3 a_Position;
+		attribute vec4 a_Color;
+		
+		uniform mat4 u_ProjectionViewMatrix;
+		/// min y, max y
+		uniform vec2 u_HeightRange;
+		
+		varying vec3 v_Color;
+		
+		void main() {
+			float height = clamp((a_Position.y - u_HeightRange.x) / max(u_HeightRange.y - u_HeightRange.x, 1.0), 0.0, 1.0);
+			v_Color = mix(vec3(0.12, 0.14, 0.16), vec3(0.7, 0.72, 0.66), height) * (0.5 + 0.5 * a_Color.rgb / 255.0);
+			gl_Position = u_ProjectionViewMatrix * vec4(a_Position, 1.0);
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		varying vec3 v_Color;
+		
+		void main() {
+			gl_FragColor = vec4(v_Color, 1.0);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
+/// draws u_Texture over the whole target; texture readback for frame captures
+function getShaderSource_TEXTURE_COPY() {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec2 a_Position;
+		varying vec2 v_Uv;
+		
+		void main() {
+			v_Uv = a_Position * 0.5 + 0.5;
+			gl_Position = vec4(a_Position, 0.0, 1.0);
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		uniform sampler2D u_Texture;
+		varying vec2 v_Uv;
+		
+		void main() {
+			gl_FragColor = texture2D(u_Texture, v_Uv);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
 function getShaderSource_BSP() {
 	return [
 	`\`
 		precision highp float;
 
 		uniform mat4 u_ProjectionViewMatrix;
+		uniform mat4 u_ShadowMatrix;
 		//uniform sampler2D u_DataTexture;
 
 		attribute vec3 a_Position;
@@ -14017,6 +14237,8 @@ function getShaderSource_BSP() {
 		varying vec4 v_Color;
 		
 		varying float v_Z;
+		varying vec3 v_WorldPos;
+		varying vec4 v_ShadowCoord;
 		
 		vec4 readVecFromTexture2D(float offset, sampler2D tex, float width, float height) {
 			vec2 uv = vec2(
@@ -14050,21 +14272,32 @@ function getShaderSource_BSP() {
 			//v_Color = fract( vec4(v_Uv, 1, 1) );
 			
 			v_Z = gl_Position.z;
+			v_WorldPos = a_Position;
+			v_ShadowCoord = u_ShadowMatrix * vec4(a_Position, 1.0);
 		}
 	\``,
 	`\`
+		#extension GL_OES_standard_derivatives : enable
 		precision highp float;
 		
 		uniform sampler2D u_Texture;
 		uniform sampler2D u_LgtTexture;
 		
 		uniform vec4 u_Color;
+		/// RenderPassSorter cutout pass
+		uniform float u_AlphaTest;
 		
 		varying vec2 v_Uv;
 		varying vec2 v_LgtUv;
 		varying vec4 v_Color;
 		
 		varying float v_Z;
+		varying vec3 v_WorldPos;
+		varying vec4 v_ShadowCoord;
+		
+		${ getShaderChunk_LIGHTING() }
+		${ getShaderChunk_FOG() }
+		${ getShaderChunk_MATERIAL() }
 		
 		uniform float u_GammaFactor;
 		#define GAMMA_FACTOR 2.2
@@ -14074,7 +14307,8 @@ function getShaderSource_BSP() {
 
 		void main() {
 			vec4 lgtTexColor = texture2D(u_LgtTexture, v_LgtUv);
-			vec4 texColor = texture2D(u_Texture, v_Uv);
+			lgtTexColor.rgb = getLight(lgtTexColor.rgb, v_WorldPos, v_ShadowCoord);
+			vec4 texColor = getMaterialColor(u_Texture, v_Uv, v_WorldPos, u_CameraPos);
 			gl_FragColor = vec4(1)
 				* lgtTexColor
 				* texColor
@@ -14082,31 +14316,13 @@ function getShaderSource_BSP() {
 				* u_Color
 				//* vec4(1.0,0.0,0.0,1.0)
 			;
+			if ( gl_FragColor.a < u_AlphaTest )
+				discard;
+			gl_FragColor.rgb = applyFog(gl_FragColor.rgb, v_WorldPos, u_CameraPos);
 			/**
 			gl_FragColor = LinearToGamma(gl_FragColor, u_GammaFactor);
 			//gl_FragColor = v_Color;
 			//gl_FragColor.a = 1.0;
-
-			float z = v_Z;
-			float fogNear = 7000.0;
-			float fogFar = 10000.0;
-			//vec3 fogColor = vec3(0.5254901960784314, 0.7058823529411765, 0.7490196078431373);
-			vec3 fogColor = vec3(0.7490196078431373, 0.7058823529411765, 0.5254901960784314);
-			
-			fogNear = 1500.000000;
-			fogFar =  12000.000000;
-			fogColor = vec3(0.8431372549019608, 0.6509803921568628, 0.4);
-			fogColor = vec3(0.4, 0.6509803921568628, 0.8431372549019608);
-			float fogFactor = (z - fogNear) / (fogFar - fogNear);
-			if ( fogFactor < 0.0 ) fogFactor = 0.0;
-			if ( fogFactor > 1.0 ) fogFactor = 1.0;
-			fogFactor=0.0;
-			//fogFactor = ( v_Z > 1000.0 ) ? 0.0 : 1.0;
-
-			
-			//float fogFactor = smoothstep( -0.5, -1.0, v_Z );
-			gl_FragColor.rgb = mix(gl_FragColor.rgb, fogColor, fogFactor );
-			
 			*/
 		}
 	\``
@@ -14122,24 +14338,37 @@ function getShaderSource_ENTITY() {
 		attribute vec4 a_Color;
 		
 		uniform mat4 u_ProjectionViewMatrix;
+		uniform mat4 u_ShadowMatrix;
 		
 		varying vec2 v_Uv;
 		varying vec4 v_Color;
+		varying vec3 v_WorldPos;
+		varying vec4 v_ShadowCoord;
 		
 		void main() {
 			v_Uv = a_Uv;
 			v_Color = a_Color / 255.0;
 			gl_Position = u_ProjectionViewMatrix * vec4(a_Position, 1.0);
+			v_WorldPos = a_Position;
+			v_ShadowCoord = u_ShadowMatrix * vec4(a_Position, 1.0);
 		}
 	\``,
 	`\`
+		#extension GL_OES_standard_derivatives : enable
 		precision highp float;
 		
 		uniform sampler2D u_Texture;
 		uniform vec4      u_Color;
+		uniform float     u_AlphaTest;
 		
 		varying vec2 v_Uv;
 		varying vec4 v_Color;
+		varying vec3 v_WorldPos;
+		varying vec4 v_ShadowCoord;
+		
+		${ getShaderChunk_LIGHTING() }
+		${ getShaderChunk_FOG() }
+		${ getShaderChunk_MATERIAL() }
 		
 		uniform float u_GammaFactor;
 		#define GAMMA_FACTOR 2.2
@@ -14148,12 +14377,17 @@ function getShaderSource_ENTITY() {
 		}
 		
 		void main() {
-			vec4 texColor = texture2D(u_Texture, v_Uv);
+			vec4 texColor = getMaterialColor(u_Texture, v_Uv, v_WorldPos, u_CameraPos);
 			gl_FragColor = 
 				texColor 
 				* v_Color
 				* u_Color
 				;
+			if ( gl_FragColor.a < u_AlphaTest )
+				discard;
+			/// entities have no lightmap; baked vertex color plays its part
+			gl_FragColor.rgb *= getLight(vec3(1.0), v_WorldPos, v_ShadowCoord);
+			gl_FragColor.rgb = applyFog(gl_FragColor.rgb, v_WorldPos, u_CameraPos);
 			
 		//	gl_FragColor = LinearToGamma(gl_FragColor, u_GammaFactor);
 		}
@@ -14182,6 +14416,56 @@ function reallocArrayBuffer(arrayBuffer, newByteLength) {
 	newBuf.uint8array.set(oldBuf.uint8array.subarray(0, Math.min(oldBuf.byteLength, newBuf.byteLength)));
 	return newBuf.arrayBuffer;
 }
+class BinaryReader {
+	constructor(buffer) {
+		const buf = parseBuffer(buffer);
+		this.uint8array = buf.uint8array;
+		this.dataView = new DataView(buf.arrayBuffer, buf.byteOffset, buf.byteLength);
+		this.cursor = 0;
+	}
+
+	_move(size) {
+		const cursor = this.cursor;
+		if ( cursor + size > this.dataView.byteLength )
+			throw new Error(`BinaryReader: out of range; cursor ${cursor}, size ${size}, byteLength ${this.dataView.byteLength}`);
+		this.cursor += size;
+		return cursor;
+	}
+
+	seek(cursor) {
+		this.cursor = cursor;
+		return this;
+	}
+	skip(size) {
+		this._move(size);
+		return this;
+	}
+
+	i8 () { return this.dataView.getInt8   (this._move(1)); }
+	u8 () { return this.dataView.getUint8  (this._move(1)); }
+	i16() { return this.dataView.getInt16  (this._move(2), true); }
+	u16() { return this.dataView.getUint16 (this._move(2), true); }
+	i32() { return this.dataView.getInt32  (this._move(4), true); }
+	u32() { return this.dataView.getUint32 (this._move(4), true); }
+	f32() { return this.dataView.getFloat32(this._move(4), true); }
+
+	f32Array(num) {
+		return Array(num).fill(0).map(() => this.f32());
+	}
+	bytes(size) {
+		const cursor = this._move(size);
+		return this.uint8array.subarray(cursor, cursor + size);
+	}
+	/// fixed size zero terminated string
+	string(size) {
+		const bytes = this.bytes(size);
+		const end = bytes.indexOf(0);
+		return UTF8TextDecoder.decode( end === -1 ? bytes : bytes.subarray(0, end) );
+	}
+
+	get byteLength() { return this.dataView.byteLength; }
+	get eof() { return this.cursor >= this.dataView.byteLength; }
+}
 
 function createCanvas(width = 640, height = 420, isAppend = true) {
 	const canvas = document.createElement("canvas");
@@ -14204,7 +14488,82 @@ function createCanvas(width = 640, height = 420, isAppend = true) {
 	}
 	return canvas;
 }
+/**
+	WebGL2 with WebGL1 fallback (#webgl1 forces the fallback).
+	On WebGL2 the WebGL1 extensions the renderer relies on are core, so they are
+	replaced by objects with the same interface. The shaders stay written in GLSL 1.00
+	and are translated token by token to GLSL ES 3.00 by translateGLSL100To300.
+*/
+function isWebGL2(gl) {
+	return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+}
+function createGlContext(canvas, options) {
+	if ( !gbGetConstBool("webgl1") ) {
+		const gl = canvas.getContext("webgl2", options);
+		if ( gl )
+			return gl;
+	}
+	return canvas.getContext("webgl", options);
+}
+function getGlCompatExtensions(gl) {
+	if ( !isWebGL2(gl) ) {
+		gl.getExtension("OES_element_index_uint");
+		gl.getExtension("OES_texture_float");
+		return {
+			instancedArrays  : gl.getExtension("ANGLE_instanced_arrays"),
+			vertexArrayObject: gl.getExtension("OES_vertex_array_object"),
+		};
+	}
+	
+	return {
+		instancedArrays: {
+			VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: gl.VERTEX_ATTRIB_ARRAY_DIVISOR,
+			vertexAttribDivisorANGLE  : (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+			drawArraysInstancedANGLE  : (mode, first, count, primcount) => 
+				gl.drawArraysInstanced(mode, first, count, primcount),
+			drawElementsInstancedANGLE: (mode, count, type, offset, primcount) => 
+				gl.drawElementsInstanced(mode, count, type, offset, primcount),
+		},
+		vertexArrayObject: {
+			VERTEX_ARRAY_BINDING_OES: gl.VERTEX_ARRAY_BINDING,
+			createVertexArrayOES: () => gl.createVertexArray(),
+			deleteVertexArrayOES: vao => gl.deleteVertexArray(vao),
+			isVertexArrayOES    : vao => gl.isVertexArray(vao),
+			bindVertexArrayOES  : vao => gl.bindVertexArray(vao),
+		},
+	};
+}
+/**
+	GLSL 1.00 -> GLSL ES 3.00 by renaming tokens, not a compiler: attribute/varying become in/out,
+	texture2D/texture2DLodEXT become texture/textureLod, gl_FragColor becomes one fragColor
+	output and #extension lines are dropped. The results behave the same, nothing gets
+	rewritten to use 3.00 features. Anything outside that list throws instead of being
+	passed through half translated.
+*/
+const GLSL100_UNTRANSLATED = /\b(gl_FragData|textureCube\w*|texture2DProj\w*|texture|sample|flat|smooth|centroid|layout)\b/;
+function translateGLSL100To300(source, isFragment) {
+	const untranslated = source.match(GLSL100_UNTRANSLATED);
+	if ( untranslated )
+		throw new Error(`translateGLSL100To300: "${ untranslated[1] }" is not translated; write this shader for both versions`);
+	
+	source = source
+		.replace(/^\s*#extension.*$/gm, "")
+		.replace(/\battribute\b/g, "in")
+		.replace(/\bvarying\b/g, isFragment ? "in" : "out")
+		.replace(/\btexture2DLodEXT\b/g, "textureLod")
+		.replace(/\btexture2D\b/g, "texture")
+		.replace(/\bgl_FragColor\b/g, "fragColor");
+	
+	return "#version 300 es\n" + 
+		(isFragment ? "out highp vec4 fragColor;\n" : "") + 
+		source;
+}
 function compileShader(gl, vShaderSource, fShaderSource) {
+	if ( isWebGL2(gl) ) {
+		vShaderSource = translateGLSL100To300(vShaderSource, false);
+		fShaderSource = translateGLSL100To300(fShaderSource, true);
+	}
+	
 	const glVertexShader = gl.createShader(gl.VERTEX_SHADER);
 	const glFragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
 	gl.shaderSource(glVertexShader, vShaderSource);
@@ -14342,6 +14701,59 @@ class GlBuffer {
 	}
 	
 }
+/**
+	Vertex array object of a pass that draws with its own attributes: begin() binds it, so the
+	pass neither sees nor touches the arrays enabled in the VAO bound before, and end() binds
+	that one again. Enabled arrays belong to the bound VAO, not to the context. Without VAO
+	support the enabled arrays are queried, switched off in begin() and back on in end().
+*/
+class PassVertexArray {
+	constructor(gl) {
+		this.gl = gl;
+		this.ext = getGlCompatExtensions(gl).vertexArrayObject;
+		this.glVertexArray = this.ext ? this.ext.createVertexArrayOES() : null;
+		/// VAO bound before begin(), or the enabled arrays without VAO support
+		this._saved = null;
+	}
+	
+	begin() {
+		const gl = this.gl;
+		const ext = this.ext;
+		if ( ext ) {
+			this._saved = gl.getParameter(ext.VERTEX_ARRAY_BINDING_OES);
+			ext.bindVertexArrayOES(this.glVertexArray);
+			return;
+		}
+		
+		this._saved = [];
+		const numAttribs = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+		for(let i = 0; i < numAttribs; i++) {
+			if ( gl.getVertexAttrib(i, gl.VERTEX_ATTRIB_ARRAY_ENABLED) ) {
+				this._saved.push(i);
+				gl.disableVertexAttribArray(i);
+			}
+		}
+	}
+	end() {
+		const gl = this.gl;
+		const ext = this.ext;
+		if ( ext ) {
+			ext.bindVertexArrayOES(this._saved);
+		} else {
+			const numAttribs = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+			for(let i = 0; i < numAttribs; i++)
+				gl.disableVertexAttribArray(i);
+			this._saved.map(i => gl.enableVertexAttribArray(i));
+		}
+		this._saved = null;
+	}
+	
+	delete() {
+		if ( this.glVertexArray )
+			this.ext.deleteVertexArrayOES(this.glVertexArray);
+		this.glVertexArray = null;
+	}
+}
 class FloatTexture {
 	constructor(gl, numFloats = 1024, width = 1024) {
 		this._gl;
@@ -14418,7 +14830,8 @@ class FloatTexture {
 			._updateBuffer()
 			.bind();
 		
-		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this._width, this._height, false, gl.RGBA, gl.FLOAT, this._floatArray);
+		const internalFormat = isWebGL2(gl) ? gl.RGBA32F : gl.RGBA;
+		gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, this._width, this._height, false, gl.RGBA, gl.FLOAT, this._floatArray);
 		return this;
 	}
 	
@@ -14461,16 +14874,221 @@ const CAM_MOVE_LEFT            = 0b000010;
 const CAM_MOVE_RIGHT           = 0b000001;
 const CAM_ROTATE_YAW_LEFT      = 0b100000;
 const CAM_ROTATE_YAW_RIGHT     = 0b010000;
-const CAM_KEYBOARD_MAP = new Map([
-	["W".charCodeAt(), CAM_MOVE_FORWARD],
-	["S".charCodeAt(), CAM_MOVE_BACKWARD],
-	["Q".charCodeAt(), CAM_MOVE_LEFT],
-	["E".charCodeAt(), CAM_MOVE_RIGHT],
+const CAM_JUMP                 = 0b1000000;
+/// action -> camera state flag; toggleMode (free-fly <-> walk) acts on key down instead
+const CAM_ACTIONS = {
+	forward   : CAM_MOVE_FORWARD,
+	backward  : CAM_MOVE_BACKWARD,
+	left      : CAM_MOVE_LEFT,
+	right     : CAM_MOVE_RIGHT,
+	yawLeft   : CAM_ROTATE_YAW_LEFT,
+	yawRight  : CAM_ROTATE_YAW_RIGHT,
+	jump      : CAM_JUMP,
+	toggleMode: 0,
+};
+/// action -> event.which
+const CAM_KEY_BINDINGS_DEFAULT = {
+	forward   : "W".charCodeAt(),
+	backward  : "S".charCodeAt(),
+	left      : "Q".charCodeAt(),
+	right     : "E".charCodeAt(),
+	yawLeft   : "A".charCodeAt(),
+	yawRight  : "D".charCodeAt(),
+	jump      : " ".charCodeAt(),
+	toggleMode: "F".charCodeAt(),
+};
+const CAM_KEY_NAMES = {
+	8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt", 32: "Space",
+	37: "Left", 38: "Up", 39: "Right", 40: "Down", 46: "Delete",
+};
+
+/**
+	Keyboard bindings of the camera actions, one key per action, kept in localStorage.
+	Binding a key used by another action swaps the two.
+*/
+class CameraKeyBindings extends EventTarget {
+	constructor(storageKey = "CAM_KEY_BINDINGS") {
+		super();
+		this.storageKey = storageKey;
+		this.bindings = {};
+		/// event.which -> action
+		this.actionsByKey = new Map();
+		this.load();
+	}
+	
+	load() {
+		let saved = {};
+		try {
+			saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+		} catch(e) {}
+		
+		this.bindings = { ...CAM_KEY_BINDINGS_DEFAULT };
+		for(const action of Object.keys(CAM_KEY_BINDINGS_DEFAULT))
+			if ( Number.isInteger(saved[action]) )
+				this.bindings[action] = saved[action];
+		this._update();
+	}
+	_update() {
+		this.actionsByKey = new Map(Object.entries(this.bindings).map(([action, which]) => [which, action]));
+		this.dispatchEvent(new Event("update"));
+	}
+	
+	getAction(which) {
+		return this.actionsByKey.get(which) || null;
+	}
+	getFlag(which) {
+		return CAM_ACTIONS[this.getAction(which)] | 0;
+	}
+	getKeyName(action) {
+		const which = this.bindings[action];
+		return CAM_KEY_NAMES[which] || String.fromCharCode(which);
+	}
+	
+	set(action, which) {
+		const other = this.getAction(which);
+		if ( other && other !== action )
+			this.bindings[other] = this.bindings[action];
+		this.bindings[action] = which;
+		
+		localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+		this._update();
+	}
+	reset() {
+		localStorage.removeItem(this.storageKey);
+		this.load();
+	}
+}
+
+const CAM_MODE_FLY  = "fly";
+const CAM_MODE_WALK = "walk";
+
+/// getPathCrossPoint flags
+const PATH_NO_COLLISION         = 0;
+const PATH_NORMAL_COLLISION     = 1;
+const PATH_CONTINUE_NODE        = 2;
+const PATH_ONE_NORMAL_COLLISION = 3;
+const PATH_CANT_GO              = 4;
+/// getNextYpos below this: no floor under the point
+const NO_FLOOR_Y = -30e3;
+
+/**
+	First person walk: feet on the floor from getNextYpos, walls from getPathCrossPoint.
+	A move is traced at step height, so anything lower is stepped onto and anything higher blocks;
+	CONTINUE_NODE goes on from the returned point, a blocked move slides along the wall by its axis parts, CANT_GO stops.
+	Sizes are in map units, #eyeheight=&walkspeed=&stepheight=&gravity=&jumpspeed= override the defaults.
+*/
+const WALK_CONTROLLER_DEFAULT = {
+	eyeHeight : 50,
+	walkSpeed : 400,
+	stepHeight: 20,
+	gravity   : 1600,
+	jumpSpeed : 500,
+	/// terminal velocity
+	maxFallSpeed: 3000,
+	/// distance kept from a wall after a hit
+	wallOffset: 2,
+};
+class WalkController {
+	constructor(config = {}) {
+		this.config = { ...WALK_CONTROLLER_DEFAULT, ...config };
+		for(const key of Object.keys(WALK_CONTROLLER_DEFAULT))
+			this.config[key] = gbGetConstI(key.toLowerCase(), 0) || this.config[key];
+		
+		this.velocityY = 0;
+		this.isOnGround = false;
+		this.maxIterations = 4;
+	}
+	
+	/// horizontal move of the feet; -> reached point
+	_move(feet, move) {
+		const {stepHeight, wallOffset} = this.config;
+		let curr = [feet[0], feet[1] + stepHeight, feet[2]];
+		let rest = [move[0], 0, move[2]];
+		
+		for(let i = 0; i < this.maxIterations && Math.hypot(rest[0], rest[2]) > 1e-3; i++) {
+			const next = [curr[0] + rest[0], curr[1], curr[2] + rest[2]];
+			const pcp = getPathCrossPoint(curr, next);
 			
-	["A".charCodeAt(), CAM_ROTATE_YAW_LEFT],
-	["D".charCodeAt(), CAM_ROTATE_YAW_RIGHT],
-]);
-const CAM_KEYBOARD_GETFLAG = (which) => CAM_KEYBOARD_MAP.get(which) | 0;
+			if ( pcp.flag === PATH_NO_COLLISION ) {
+				curr = next;
+				break;
+			}
+			if ( pcp.flag === PATH_CANT_GO )
+				break;
+			if ( pcp.flag === PATH_CONTINUE_NODE ) {
+				rest = [next[0] - pcp.pos[0], 0, next[2] - pcp.pos[2]];
+				curr = [pcp.pos[0], curr[1], pcp.pos[2]];
+				continue;
+			}
+			
+			/// wall: stop short of it, then try what is left along x or z, whichever gets further
+			const length = Math.hypot(rest[0], rest[2]);
+			const hitDistance = Math.max(0, Math.hypot(pcp.pos[0] - curr[0], pcp.pos[2] - curr[2]) - wallOffset);
+			curr = [curr[0] + rest[0] / length * hitDistance, curr[1], curr[2] + rest[2] / length * hitDistance];
+			const restLength = length - hitDistance;
+			rest = [rest[0] / length * restLength, 0, rest[2] / length * restLength];
+			
+			const slides = [[rest[0], 0, 0], [0, 0, rest[2]]]
+				.filter(slide => Math.abs(slide[0] + slide[2]) > 1e-3)
+				.filter(slide => getPathCrossPoint(curr, [curr[0] + slide[0], curr[1], curr[2] + slide[2]]).flag === PATH_NO_COLLISION)
+				.sort((l, r) => Math.abs(r[0] + r[2]) - Math.abs(l[0] + l[2]));
+			if ( !slides.length )
+				break;
+			curr = [curr[0] + slides[0][0], curr[1], curr[2] + slides[0][2]];
+			break;
+		}
+		
+		return [curr[0], feet[1], curr[2]];
+	}
+	
+	/**
+		eyePos: camera position, changed in place
+		move: wanted horizontal displacement this frame
+	*/
+	update(eyePos, move, deltaTimeSec, jump = false) {
+		const {eyeHeight, stepHeight, gravity, jumpSpeed, maxFallSpeed} = this.config;
+		const feet = this._move([eyePos[0], eyePos[1] - eyeHeight, eyePos[2]], move);
+		
+		const floorY = getNextYpos([feet[0], feet[1] + stepHeight, feet[2]]);
+		const hasFloor = floorY > NO_FLOOR_Y;
+		
+		if ( jump && this.isOnGround ) {
+			this.velocityY = jumpSpeed;
+			this.isOnGround = false;
+		}
+		
+		if ( this.isOnGround && hasFloor && feet[1] - floorY <= stepHeight ) {
+			/// walking: follow the floor down steps and slopes
+			feet[1] = floorY;
+			this.velocityY = 0;
+		} else {
+			this.velocityY = Math.max(this.velocityY - gravity * deltaTimeSec, -maxFallSpeed);
+			feet[1] += this.velocityY * deltaTimeSec;
+			this.isOnGround = false;
+			
+			if ( hasFloor && feet[1] <= floorY ) {
+				feet[1] = floorY;
+				this.velocityY = 0;
+				this.isOnGround = true;
+			}
+			/// out of the map: hang in the air instead of falling forever
+			if ( !hasFloor ) {
+				feet[1] = eyePos[1] - eyeHeight;
+				this.velocityY = 0;
+			}
+		}
+		
+		eyePos[0] = feet[0];
+		eyePos[1] = feet[1] + eyeHeight;
+		eyePos[2] = feet[2];
+	}
+	
+	/// after a teleport or a mode switch: fall from where the eye is
+	reset() {
+		this.velocityY = 0;
+		this.isOnGround = false;
+	}
+}
 
 class DeltaTime {
 	constructor() {
@@ -14487,14 +15105,132 @@ class DeltaTime {
 
 	get deltaTimeSec() { return this._deltaTimeSec; }
 }
-class Camera {
-	constructor(pos = [0,0,0], yaw = 0, pitch = 0) {
-		this._pos = new Float64Array(3);
-		
-		this._yawRate = -1;
-		this._pitchRate = 1;
-
-		/// влево, вправо
+/**
+	Camera path (.cam)
+	
+	typedef struct {
+		float    pos[3];
+		float    target[3];
+	} camKey_t;
+	
+	uint32_t numKeys;
+	float    keysPerSec;
+	camKey_t keys[numKeys];
+*/
+function parseCamPath(arrayBuffer) {
+	const reader = new BinaryReader(arrayBuffer);
+	const numKeys    = reader.u32();
+	const keysPerSec = reader.f32() || 1;
+	
+	const expectedSize = 8 + numKeys * 24;
+	if ( arrayBuffer.byteLength !== expectedSize )
+		throw new Error(`CameraPath: ${numKeys} keys need ${expectedSize} bytes, file has ${arrayBuffer.byteLength}`);
+	
+	const keys = [];
+	for(let i = 0; i < numKeys; i++)
+		keys.push({
+			pos   : reader.f32Array(3),
+			target: reader.f32Array(3),
+		});
+	
+	return { keysPerSec, keys };
+}
+class CameraPath {
+	constructor({keysPerSec, keys}) {
+		if ( !keys.length )
+			throw new Error(`CameraPath: empty path`);
+		
+		this.keysPerSec = keysPerSec;
+		this.keys = keys;
+		this.loop = true;
+	}
+
+	/// Catmull-Rom through keys, as hermite with tangents (p[i+1] - p[i-1]) / 2
+	_interpolate(out, field, i, t) {
+		const keys = this.keys;
+		const n = keys.length;
+		const get = (k) => keys[ this.loop ? (k % n + n) % n : Math.min(Math.max(k, 0), n - 1) ][field];
+
+		const p0 = get(i - 1), p1 = get(i), p2 = get(i + 1), p3 = get(i + 2);
+		const t1 = [], t2 = [];
+		glMatrix.vec3.scale(t1, glMatrix.vec3.subtract(t1, p2, p0), 0.5);
+		glMatrix.vec3.scale(t2, glMatrix.vec3.subtract(t2, p3, p1), 0.5);
+		
+		/// same curve as cubic bezier with control points p1 + t1/3, p2 - t2/3
+		const c1 = glMatrix.vec3.scaleAndAdd([], p1, t1, 1/3);
+		const c2 = glMatrix.vec3.scaleAndAdd([], p2, t2, -1/3);
+		return glMatrix.vec3.bezier(out, p1, c1, c2, p2, t);
+	}
+
+	get duration() {
+		return (this.loop ? this.keys.length : this.keys.length - 1) / this.keysPerSec;
+	}
+	
+	isEnd(timeSec) {
+		return !this.loop && timeSec >= this.duration;
+	}
+
+	/// -> {pos, yaw, pitch} in Camera conventions
+	sample(timeSec) {
+		const n = this.keys.length;
+		let frame = timeSec * this.keysPerSec;
+		frame = this.loop ? 
+			(frame % n + n) % n : 
+			Math.min(Math.max(frame, 0), n - 1);
+		
+		const i = Math.floor(frame);
+		const t = frame - i;
+		
+		const pos = this._interpolate([], "pos", i, t);
+		const target = this._interpolate([], "target", i, t);
+		
+		/// forward = (cos(pitch)*sin(yaw), -sin(pitch), -cos(pitch)*cos(yaw))
+		const dir = glMatrix.vec3.normalize([], glMatrix.vec3.subtract([], target, pos));
+		const yaw = Math.atan2(dir[0], -dir[2]) / Math.PI * 180;
+		const pitch = -Math.asin( Math.min(Math.max(dir[1], -1), 1) ) / Math.PI * 180;
+		
+		return { pos, yaw, pitch };
+	}
+}
+
+/**
+	Smooth move from one view to another, played like a CameraPath
+*/
+class CameraTransition {
+	constructor(from, to, duration = 1) {
+		this.from = { pos: [...from.pos], yaw: from.yaw, pitch: from.pitch };
+		this.to = { pos: [...to.pos], yaw: to.yaw, pitch: to.pitch };
+		this.duration = duration;
+		
+		/// shortest way around
+		const dyaw = ((this.to.yaw - this.from.yaw) % 360 + 540) % 360 - 180;
+		this.to.yaw = this.from.yaw + dyaw;
+	}
+
+	isEnd(timeSec) {
+		return timeSec >= this.duration;
+	}
+
+	sample(timeSec) {
+		let t = this.duration > 0 ? Math.min(Math.max(timeSec / this.duration, 0), 1) : 1;
+		t = t * t * (3 - 2 * t);
+		
+		return {
+			pos  : glMatrix.vec3.lerp([], this.from.pos, this.to.pos, t),
+			yaw  : this.from.yaw + (this.to.yaw - this.from.yaw) * t,
+			pitch: this.from.pitch + (this.to.pitch - this.from.pitch) * t,
+		};
+	}
+}
+
+class Camera {
+	constructor(pos = [0,0,0], yaw = 0, pitch = 0) {
+		this._pos = new Float64Array(3);
+		
+		this._yawRate = -1;
+		this._pitchRate = 1;
+
+		/// влево, вправо
 		this._yaw = 0;
 		/// вверх, вниз
 		this._pitch = 0;
@@ -14506,6 +15242,27 @@ class Camera {
 		this._deltaTime = new DeltaTime();
 		
 		this._camMoveRate = 1000;
+		
+		this._path = null;
+		this._pathTimeSec = 0;
+		this._pathSpeed = 1;
+		this._pathResolve = null;
+		
+		/// deterministic playback (benchmark): seconds per update instead of wall clock
+		this.fixedDeltaTimeSec = null;
+		
+		this.walk = new WalkController();
+		/// free-fly unless #walk; toggleMode switches at runtime
+		this._mode = gbGetConstBool("walk") ? CAM_MODE_WALK : CAM_MODE_FLY;
+		
+		this.keyBindings = new CameraKeyBindings();
+		/// degrees per second of the turn keys
+		this._keyYawRate = 90;
+		/// touch, gamepad: { update(camera, deltaTimeSec) } adding to analogMove each frame
+		this.inputSources = [];
+		/// [right, forward], each -1..1
+		this.analogMove = [0, 0];
+		this.analogJump = false;
 	
 	
 		glMatrix.vec3.copy(this._pos, pos);
@@ -14525,11 +15282,13 @@ class Camera {
 		};
 		
 		this._keydown = (event) => {
-			this._state |= CAM_KEYBOARD_GETFLAG(event.which);
+			this._state |= this.keyBindings.getFlag(event.which);
+			if ( this.keyBindings.getAction(event.which) === "toggleMode" && !event.repeat )
+				this.toggleMode();
 		//	console.log(this._state);
 		};
 		this._keyup = (event) => {
-			this._state &= ~CAM_KEYBOARD_GETFLAG(event.which);
+			this._state &= ~this.keyBindings.getFlag(event.which);
 		};
 		
 		this._blur = () => {
@@ -14541,8 +15300,13 @@ class Camera {
 		
 	}
 	
+	get _deltaTimeSec() {
+		return this.fixedDeltaTimeSec === null ? this._deltaTime.deltaTimeSec : this.fixedDeltaTimeSec;
+	}
+
 	_updatePos() {
-		const deltaTimeSec = this._deltaTime.deltaTimeSec;
+		const deltaTimeSec = this._deltaTimeSec;
+		const isWalk = this._mode === CAM_MODE_WALK;
 		
 		const dir = new Float64Array([0,0,0]);
 		if ( this._state & CAM_MOVE_FORWARD  ) dir[2]--;
@@ -14550,47 +15314,94 @@ class Camera {
 		if ( this._state & CAM_MOVE_RIGHT    ) dir[0]--;
 		if ( this._state & CAM_MOVE_LEFT     ) dir[0]++;
 		
+		if ( this._state & CAM_ROTATE_YAW_LEFT  ) this.yaw += this._keyYawRate * deltaTimeSec;
+		if ( this._state & CAM_ROTATE_YAW_RIGHT ) this.yaw -= this._keyYawRate * deltaTimeSec;
+		
+		/// sticks keep their analog speed, keys are full speed
 		glMatrix.vec3.normalize(dir, dir);
-		glMatrix.vec3.scale(dir, dir, deltaTimeSec * this._camMoveRate);
+		dir[0] -= this.analogMove[0];
+		dir[2] -= this.analogMove[1];
+		if ( glMatrix.vec3.length(dir) > 1 )
+			glMatrix.vec3.normalize(dir, dir);
+		glMatrix.vec3.scale(dir, dir, deltaTimeSec * (isWalk ? this.walk.config.walkSpeed : this._camMoveRate));
 
+		/// walking goes where the camera faces on the floor plane, flying where it looks
 		const matrix = [];
 		glMatrix.mat4.identity(matrix);
 		glMatrix.mat4.rotateY(matrix, matrix, -this._yaw / 180 * Math.PI);
-		glMatrix.mat4.rotateX(matrix, matrix, -this._pitch / 180 * Math.PI);
+		if ( !isWalk )
+			glMatrix.mat4.rotateX(matrix, matrix, -this._pitch / 180 * Math.PI);
 		
 		glMatrix.vec3.transformMat4(dir, dir, matrix);
-		let nextPos = [];
-		glMatrix.vec3.add(nextPos, this._pos, dir);
-		
-		if ( nextPos.some((v, i) => v !== this._pos[i]) ) {
-			let curr = [...this._pos];
-			let next = [...nextPos];
-			curr[1] -= 50;
-			next[1] -= 50;
-			
-			const pcp = getPathCrossPoint(curr, next);
-			if ( pcp.flag ) {
-				console.log(pcp);
-				next = pcp.pos;
-				next[1] -= 16;
-			}
-			
-			const y = getNextYpos(next);
-			//console.log({y, y0: next[1]})
-			if ( y > -30e3 )
-				next[1] = y;
-			
-			next[1] += 50;
-			nextPos = next;
-		}
 		
-		glMatrix.vec3.copy(this._pos, nextPos);
+		if ( isWalk )
+			this.walk.update(this._pos, dir, deltaTimeSec, !!(this._state & CAM_JUMP) || this.analogJump);
+		else
+			glMatrix.vec3.add(this._pos, this._pos, dir);
+	}
+	
+	get mode() { return this._mode; }
+	set mode(mode) {
+		this._mode = mode === CAM_MODE_FLY ? CAM_MODE_FLY : CAM_MODE_WALK;
+		this.walk.reset();
+	}
+	toggleMode() {
+		this.mode = this._mode === CAM_MODE_WALK ? CAM_MODE_FLY : CAM_MODE_WALK;
+	}
+
+	_updatePath() {
+		const path = this._path;
+		this._pathTimeSec += this._deltaTimeSec * this._pathSpeed;
+		
+		const {pos, yaw, pitch} = path.sample(this._pathTimeSec);
+		glMatrix.vec3.copy(this._pos, pos);
+		this._yaw = yaw;
+		this._pitch = pitch;
+		
+		if ( path.isEnd(this._pathTimeSec) )
+			this.stopPath();
+	}
+
+	/// fly-through; resolves when a non looped path ends or is stopped
+	playPath(path, speed = 1) {
+		this.stopPath();
+		
+		this._path = path;
+		this._pathTimeSec = 0;
+		this._pathSpeed = speed;
+		return new Promise(resolve => this._pathResolve = resolve);
+	}
+	stopPath() {
+		const resolve = this._pathResolve;
+		this._path = null;
+		this._pathResolve = null;
+		if ( resolve )
+			resolve();
+	}
+
+	_updateInputSources() {
+		this.analogMove[0] = 0;
+		this.analogMove[1] = 0;
+		this.analogJump = false;
+		for(const source of this.inputSources)
+			source.update(this, this._deltaTimeSec);
+	}
+	addInputSource(source) {
+		this.inputSources.push(source);
+	}
+	removeInputSource(source) {
+		this.inputSources = this.inputSources.filter(s => s !== source);
 	}
 
 	update() {
 		this._deltaTime.tick();
 		
-		this._updatePos();
+		if ( this._path ) {
+			this._updatePath();
+		} else {
+			this._updateInputSources();
+			this._updatePos();
+		}
 		
 		glMatrix.mat4.identity(this._matrix);
 		glMatrix.mat4.rotateX(this._matrix, this._matrix, this._pitch / 180 * Math.PI);
@@ -14618,6 +15429,7 @@ class Camera {
 	}
 
 	get pos() { return this._pos; }
+	get path() { return this._path; }
 	
 	get yaw() { return this._yaw; }
 	get pitch() { return this._pitch; }
@@ -14627,608 +15439,5512 @@ class Camera {
 	get matrix() { return this._matrix; }
 }
 
-class ShowInfo {
-	constructor() {
-		const $pre = document.createElement("pre");
-		Object.assign($pre.style, {
-			position: "fixed",
-			top: "0px",
-			right: "0px",
-			margin: "10px",
-			"z-index": 10,
-		});
-		window.addEventListener("load", () => {
-			document.body.appendChild($pre);
-		});
-	
-		this.dom = $pre;
+/**
+	Touch input: left half of the canvas is a virtual stick, right half is drag to look
+*/
+class TouchControls {
+	constructor(camera, canvas) {
+		this.camera = camera;
+		this.canvas = canvas;
 		
-		this.text = "";
+		/// pixels from stick center to full speed
+		this.stickRadius = 50;
+		/// degrees per pixel
+		this.lookRate = 0.3;
+		
+		this.stick = null; /// { id, x, y, dx, dy }
+		this.look = null;  /// { id, x, y }
+		
+		this.dom = document.createElement("div");
+		this.dom.innerHTML = `<div class="touch-stick"><div class="touch-stick-knob"></div></div>`;
+		this.dom = this.dom.children[0];
+		this.$knob = this.dom.querySelector(".touch-stick-knob");
+		
+		this.style = document.createElement("style");
+		this.style.textContent = `
+			.touch-stick {
+				display: none;
+				position: fixed;
+				width: ${ this.stickRadius * 2 }px;
+				height: ${ this.stickRadius * 2 }px;
+				margin: -${ this.stickRadius }px 0 0 -${ this.stickRadius }px;
+				border-radius: 50%;
+				background: rgba(255, 255, 255, 0.15);
+				pointer-events: none;
+				z-index: 1000;
+			}
+			.touch-stick.active {
+				display: block;
+			}
+			.touch-stick-knob {
+				position: absolute;
+				left: ${ this.stickRadius / 2 }px;
+				top: ${ this.stickRadius / 2 }px;
+				width: ${ this.stickRadius }px;
+				height: ${ this.stickRadius }px;
+				border-radius: 50%;
+				background: rgba(255, 255, 255, 0.35);
+			}
+		`;
+		
+		this.ontouchstart = (event) => {
+			event.preventDefault();
+			const rect = this.canvas.getBoundingClientRect();
+			for(const touch of event.changedTouches) {
+				const isLeft = touch.clientX < rect.left + rect.width / 2;
+				if ( isLeft && !this.stick ) {
+					this.stick = { id: touch.identifier, x: touch.clientX, y: touch.clientY, dx: 0, dy: 0 };
+					this.dom.style.left = `${ touch.clientX }px`;
+					this.dom.style.top = `${ touch.clientY }px`;
+					this.dom.classList.add("active");
+					this.renderKnob();
+				} else if ( !isLeft && !this.look ) {
+					this.look = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+				}
+			}
+		};
+		this.ontouchmove = (event) => {
+			event.preventDefault();
+			for(const touch of event.changedTouches) {
+				if ( this.stick && this.stick.id === touch.identifier ) {
+					let dx = touch.clientX - this.stick.x;
+					let dy = touch.clientY - this.stick.y;
+					const len = Math.hypot(dx, dy);
+					if ( len > this.stickRadius ) {
+						dx *= this.stickRadius / len;
+						dy *= this.stickRadius / len;
+					}
+					this.stick.dx = dx;
+					this.stick.dy = dy;
+					this.renderKnob();
+				} else if ( this.look && this.look.id === touch.identifier ) {
+					this.camera.yaw += (touch.clientX - this.look.x) * this.lookRate * this.camera._yawRate;
+					this.camera.pitch += (touch.clientY - this.look.y) * this.lookRate * this.camera._pitchRate;
+					this.look.x = touch.clientX;
+					this.look.y = touch.clientY;
+				}
+			}
+		};
+		this.ontouchend = (event) => {
+			for(const touch of event.changedTouches) {
+				if ( this.stick && this.stick.id === touch.identifier ) {
+					this.stick = null;
+					this.dom.classList.remove("active");
+				} else if ( this.look && this.look.id === touch.identifier ) {
+					this.look = null;
+				}
+			}
+		};
+		
+		this.setEvents();
+		this.mount();
+		this.camera.addInputSource(this);
 	}
 	
-	begin() {
-		this.text = "";
+	renderKnob() {
+		this.$knob.style.transform = `translate(${ this.stick.dx }px, ${ this.stick.dy }px)`;
 	}
-	addText(text) {
-		this.text += text;
+	
+	update(camera) {
+		if ( !this.stick )
+			return;
+		
+		camera.analogMove[0] += this.stick.dx / this.stickRadius;
+		camera.analogMove[1] -= this.stick.dy / this.stickRadius;
 	}
-	end() {
-		this.dom.textContent = this.text;
+
+	mount() {
+		document.body.appendChild(this.style);
+		document.body.appendChild(this.dom);
 	}
-}
-class DeltaTimeMark {
-	constructor() {
-		this.map = {};
+	unmount() {
+		document.body.removeChild(this.style);
+		document.body.removeChild(this.dom);
 	}
-	
-	begin(mark) {
-		this.map[mark] = performance.now();
+
+	setEvents() {
+		this.canvas.addEventListener("touchstart", this.ontouchstart, { passive: false });
+		this.canvas.addEventListener("touchmove", this.ontouchmove, { passive: false });
+		this.canvas.addEventListener("touchend", this.ontouchend);
+		this.canvas.addEventListener("touchcancel", this.ontouchend);
 	}
-	end(mark) {
-		this.map[mark] = performance.now() - this.map[mark];
+	deleteEvents() {
+		this.canvas.removeEventListener("touchstart", this.ontouchstart);
+		this.canvas.removeEventListener("touchmove", this.ontouchmove);
+		this.canvas.removeEventListener("touchend", this.ontouchend);
+		this.canvas.removeEventListener("touchcancel", this.ontouchend);
 	}
-	
-	getText() {
-		return Object
-			.entries(this.map)
-			.map(([mark, val]) => `${mark}: ${ val.toFixed(1) }ms fps~${ Math.round(1/val*1e3) }`)
-			.join("\n");
+
+	delete() {
+		this.camera.removeInputSource(this);
+		this.deleteEvents();
+		this.unmount();
 	}
 }
 
-	const showInfo = new ShowInfo();
-	const deltaTimeMark = new DeltaTimeMark();
-
+/// standard mapping: axes 0/1 left stick, 2/3 right stick; buttons 0 A, 3 Y
+const GAMEPAD_BUTTON_JUMP = 0;
+const GAMEPAD_BUTTON_TOGGLE_MODE = 3;
 
-class CameraControl {
-	constructor() {
+/**
+	Gamepad API input, polled every frame: left stick moves, right stick looks
+*/
+class GamepadControls {
+	constructor(camera) {
+		this.camera = camera;
 		
+		this.deadZone = 0.15;
+		/// degrees per second at full tilt
+		this.lookRate = 120;
+		
+		this._prevToggle = false;
+		
+		this.camera.addInputSource(this);
 	}
 	
-	save(name) {
-		const obj = {
-			pos: [...camera.pos],
-			yaw: camera.yaw,
-			pitch: camera.pitch,
-		};
-		localStorage.setItem("CAMERA_" + name, JSON.stringify(obj));
+	_axis(gamepad, index) {
+		const value = gamepad.axes[index] || 0;
+		if ( Math.abs(value) < this.deadZone )
+			return 0;
+		return Math.sign(value) * (Math.abs(value) - this.deadZone) / (1 - this.deadZone);
 	}
-	load(name) {
-		const obj = JSON.parse(localStorage.getItem("CAMERA_" + name));
-		camera.yaw = obj.yaw;
-		camera.pitch = obj.pitch;
-		camera.pos.set(obj.pos);
+	_button(gamepad, index) {
+		const button = gamepad.buttons[index];
+		return !!button && button.pressed;
 	}
-}
-const cameraControl = new CameraControl();
-globalThis.cameraControl=cameraControl;
-
-
-
-
-const glBuffers  = [];
-const glTextures = [null, null];
-class Renderer {
-	constructor(width = 1024, height = 768) {
-		const canvas = createCanvas(width, height);
-		const gl = canvas.getContext("webgl", {
-			antialias            : gbGetConstBool("antialias"),
-			alpha                : false,
-			stencil              : false,
-			preserveDrawingBuffer: false,
-			premultipliedAlpha   : false,
+	
+	update(camera, deltaTimeSec) {
+		if ( !navigator.getGamepads )
+			return;
+		
+		let toggle = false;
+		for(const gamepad of navigator.getGamepads()) {
+			if ( !gamepad || !gamepad.connected )
+				continue;
 			
-			depth                : true,
-			desynchronized       : true,
+			camera.analogMove[0] += this._axis(gamepad, 0);
+			camera.analogMove[1] -= this._axis(gamepad, 1);
 			
-			powerPreference      : "default",
-			//powerPreference: "low-power",
-			//powerPreference: "high-performance",
+			camera.yaw += this._axis(gamepad, 2) * this.lookRate * deltaTimeSec * camera._yawRate;
+			camera.pitch += this._axis(gamepad, 3) * this.lookRate * deltaTimeSec * camera._pitchRate;
 			
-			failIfMajorPerformanceCaveat: false,
-		});
-		
-		this.canvas = canvas;
-		this.gl = gl;
-		
+			camera.analogJump = camera.analogJump || this._button(gamepad, GAMEPAD_BUTTON_JUMP);
+			toggle = toggle || this._button(gamepad, GAMEPAD_BUTTON_TOGGLE_MODE);
+		}
 		
-		gl.getExtension('OES_standard_derivatives');
-		gl.getExtension('EXT_shader_texture_lod');
-		gl.getExtension("OES_element_index_uint");
-		gl.getExtension("OES_texture_float");
+		if ( toggle && !this._prevToggle )
+			camera.toggleMode();
+		this._prevToggle = toggle;
+	}
 	
-		gl.viewport(0, 0, canvas.width, canvas.height);
-		
-		const glInstancedArraysExt = gl.getExtension("ANGLE_instanced_arrays");
-		globalThis.glInstancedArraysExt=glInstancedArraysExt;
-		
-		const glVertexArrayObjectExt = gl.getExtension("OES_vertex_array_object");
-		globalThis.glVertexArrayObjectExt = glVertexArrayObjectExt;
-		
-		this.gammaFactor = 1;
-		
-		globalThis.gl = gl;
-		
-		this.textures = [];
-		
-		this.program;
-		this.programEntity;
-		
-		this.execCode;
-		
-		const NeutralA = [-7399.944336, 1042.556641+50, -5483.316895];
-		this.camera = new Camera(NeutralA);
-		this.camera.startEvents();
-		this.camera.yaw = 90;
-		globalThis.camera = this.camera;
-		
-		//this.stat = new Stats();
-		//document.body.appendChild(this.stat.dom);
-		
-		//this.glBench = new GLBench(gl)
-		//this.glBench.addUI("Wasm");
+	delete() {
+		this.camera.removeInputSource(this);
+	}
+}
+
+/**
+	Fixed column in a screen corner that stacks the debug panels bottom-up in mount order,
+	so a panel needs no offset of its own and an open one pushes the others up instead of
+	covering them. One per side, shared: PanelDock.get("left" | "right").
+	Also holds the CSS every Panel shares.
+*/
+const panelDocks = {};
+class PanelDock {
+	static get(side = "left") {
+		if ( !panelDocks[side] )
+			panelDocks[side] = new this(side);
+		return panelDocks[side];
 	}
 	
-	async init() {
-		const gl = this.gl;
+	constructor(side) {
+		this.side = side;
 		
-		const glTextureWhitePixel = gl.createTexture();
-		gl.bindTexture(gl.TEXTURE_2D, glTextureWhitePixel);
-		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, false, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255,255,255,255]));
-		glTextures[0] = glTextureWhitePixel;
+		this.dom = document.createElement("div");
+		this.dom.className = `panel-dock panel-dock-${side}`;
+		
+		this.style = document.createElement("style");
+		this.style.textContent = `
+			.panel-dock {
+				position: fixed;
+				bottom: 0px;
+				max-height: 100vh;
+				overflow-y: auto;
+				display: flex;
+				flex-direction: column-reverse;
+				z-index: 1000;
+				font: 12px monospace;
+				pointer-events: none;
+			}
+			.panel-dock-left {
+				left: 0px;
+				align-items: flex-start;
+			}
+			.panel-dock-right {
+				right: 0px;
+				align-items: flex-end;
+			}
+			.panel {
+				pointer-events: auto;
+			}
+			.panel button, .panel input, .panel select {
+				padding: 2px 10px;
+				color: #AAA;
+				background: #484848;
+				border: none;
+				cursor: pointer;
+			}
+			.panel button:hover {
+				background: #333;
+			}
+			.panel input[type=text] {
+				width: 140px;
+				cursor: text;
+			}
+			.panel input[type=number] {
+				width: 80px;
+			}
+			.panel-body {
+				display: none;
+				max-height: 60vh;
+				overflow: auto;
+				padding: 6px;
+				color: #AAA;
+				text-align: left;
+				background: rgba(32, 32, 32, 0.95);
+			}
+			.panel.open > .panel-body {
+				display: block;
+			}
+			.panel-body td, .panel-body th {
+				padding: 1px 4px;
+				color: #AAA;
+			}
+		`;
+		
+		/// mounted panels; the dock is in the page while there is one
+		this.panels = new Set();
+	}
+	
+	add(panel) {
+		if ( !this.panels.size ) {
+			document.body.appendChild(this.style);
+			document.body.appendChild(this.dom);
+		}
+		this.panels.add(panel);
+		this.dom.appendChild(panel.dom);
+	}
+	remove(panel) {
+		this.panels.delete(panel);
+		this.dom.removeChild(panel.dom);
+		if ( !this.panels.size ) {
+			document.body.removeChild(this.style);
+			document.body.removeChild(this.dom);
+		}
+	}
+}
+
+/**
+	Base of the debug panels: a toggle button and a body shown while open, docked by PanelDock.
+	
+	options: { name, title, body, style, side }
+		name  - CSS class prefix: <name>-panel, <name>-toggle, <name>-body
+		title - toggle button text
+		body  - html of the body
+		style - CSS of the panel itself, the shared part comes with the dock
+		side  - "left" | "right"
+	
+	Subclasses look their elements up with $(), set their handlers and then call
+	setEvents() and mount(); onToggle() and render() are theirs to override.
+*/
+class Panel {
+	constructor({ name, title, body, style = "", side = "left" }) {
+		this.isOpen = false;
+		this.dock = PanelDock.get(side);
+
+		this.html = `
+		<div class="panel ${name}-panel">
+			<button class="${name}-toggle">${title}</button>
+			<div class="panel-body ${name}-body">${body}</div>
+		</div>
+		`;
+		this.dom = document.createElement("div");
+		this.dom.innerHTML = this.html;
+		this.dom = this.dom.children[0];
+		
+		this.$toggle = this.dom.children[0];
+		this.$body   = this.dom.children[1];
+
+		this.style = document.createElement("style");
+		this.style.textContent = style;
+
+		this.ontoggle = () => this.toggle();
+		/// typing into a field must not move the camera; buttons keep passing keys on
+		this.onfieldkey = (event) => {
+			if ( event.target.matches("input, select, textarea") )
+				event.stopPropagation();
+		};
+	}
+	
+	$(selector) {
+		return this.dom.querySelector(selector);
+	}
+	
+	toggle(isOpen = !this.isOpen) {
+		this.isOpen = isOpen;
+		this.dom.classList.toggle("open", isOpen);
+		this.onToggle();
+		this.render();
+	}
+	onToggle() {}
+	render() {}
+
+	mount() {
+		document.body.appendChild(this.style);
+		this.dock.add(this);
+	}
+	unmount() {
+		document.body.removeChild(this.style);
+		this.dock.remove(this);
+	}
+
+	setEvents() {
+		this.$toggle.addEventListener("click", this.ontoggle);
+		this.dom.addEventListener("keydown", this.onfieldkey);
+		this.dom.addEventListener("keyup", this.onfieldkey);
+	}
+	deleteEvents() {
+		this.$toggle.removeEventListener("click", this.ontoggle);
+		this.dom.removeEventListener("keydown", this.onfieldkey);
+		this.dom.removeEventListener("keyup", this.onfieldkey);
+	}
+
+	delete() {
+		this.deleteEvents();
+		this.unmount();
+	}
+}
+
+class KeyBindingsPanel extends Panel {
+	constructor(keyBindings) {
+		super({
+			name : "keybindings",
+			title: "Controls",
+			body : `
+				<table><tbody>
+				${
+					Object.keys(CAM_KEY_BINDINGS_DEFAULT).map(action => `
+						<tr><td>${action}</td><td><button data-action="${action}"></button></td></tr>
+					`).join("")
+				}
+				</tbody></table>
+				<button class="keybindings-reset">Reset</button>
+			`,
+			style: `
+				.keybindings-panel button.capture {
+					color: #FFF;
+					background: #2a5a2a;
+				}
+				.keybindings-body td button {
+					min-width: 80px;
+				}
+			`,
+		});
+		this.keyBindings = keyBindings;
+		/// action waiting for a key
+		this.capture = null;
+		
+		this.$tbody = this.$("tbody");
+		this.$reset = this.$(".keybindings-reset");
+
+		this.onclick = (event) => {
+			const action = event.target.dataset.action;
+			if ( !action )
+				return;
+			
+			this.capture = this.capture === action ? null : action;
+			this.render();
+		};
+		/// capture phase, before the camera sees the key
+		this.onkeydown = (event) => {
+			if ( !this.capture )
+				return;
+			
+			event.preventDefault();
+			event.stopPropagation();
+			const action = this.capture;
+			this.capture = null;
+			if ( event.which !== 27 ) /// Escape cancels
+				this.keyBindings.set(action, event.which);
+			this.render();
+		};
+		this.onreset = () => {
+			this.capture = null;
+			this.keyBindings.reset();
+		};
+		this.onupdate = () => this.render();
+
+		this.setEvents();
+		this.mount();
+	}
+	
+	onToggle() {
+		this.capture = null;
+	}
+
+	render() {
+		if ( !this.isOpen )
+			return;
+		
+		for(const $button of this.$tbody.querySelectorAll("button")) {
+			const action = $button.dataset.action;
+			$button.classList.toggle("capture", action === this.capture);
+			$button.textContent = action === this.capture ? "press a key" : this.keyBindings.getKeyName(action);
+		}
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$tbody.addEventListener("click", this.onclick);
+		this.$reset.addEventListener("click", this.onreset);
+		window.addEventListener("keydown", this.onkeydown, true);
+		this.keyBindings.addEventListener("update", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$tbody.removeEventListener("click", this.onclick);
+		this.$reset.removeEventListener("click", this.onreset);
+		window.removeEventListener("keydown", this.onkeydown, true);
+		this.keyBindings.removeEventListener("update", this.onupdate);
+	}
+}
+
+class ShowInfo {
+	constructor() {
+		const $pre = document.createElement("pre");
+		Object.assign($pre.style, {
+			position: "fixed",
+			top: "0px",
+			right: "0px",
+			margin: "10px",
+			"z-index": 10,
+		});
+		window.addEventListener("load", () => {
+			document.body.appendChild($pre);
+		});
+	
+		this.dom = $pre;
+		
+		this.text = "";
+	}
+	
+	begin() {
+		this.text = "";
+	}
+	addText(text) {
+		this.text += text;
+	}
+	end() {
+		this.dom.textContent = this.text;
+	}
+}
+class DeltaTimeMark {
+	constructor() {
+		this.map = {};
+	}
+	
+	begin(mark) {
+		this.map[mark] = performance.now();
+	}
+	end(mark) {
+		this.map[mark] = performance.now() - this.map[mark];
+	}
+	
+	getText() {
+		return Object
+			.entries(this.map)
+			.map(([mark, val]) => `${mark}: ${ val.toFixed(1) }ms fps~${ Math.round(1/val*1e3) }`)
+			.join("\n");
+	}
+}
+
+	const showInfo = new ShowInfo();
+	const deltaTimeMark = new DeltaTimeMark();
+
+
+/// views saved as localStorage "CAMERA_<name>"; the one named after a map is its spawn point
+class CameraControl extends EventTarget {
+	constructor() {
+		super();
+	}
+	
+	save(name) {
+		const obj = {
+			pos: [...camera.pos],
+			yaw: camera.yaw,
+			pitch: camera.pitch,
+		};
+		localStorage.setItem("CAMERA_" + name, JSON.stringify(obj));
+		this.dispatchEvent(Object.assign(new Event("save"), { name }));
+	}
+	load(name) {
+		const obj = JSON.parse(localStorage.getItem("CAMERA_" + name));
+		camera.yaw = obj.yaw;
+		camera.pitch = obj.pitch;
+		camera.pos.set(obj.pos);
+	}
+}
+const cameraControl = new CameraControl();
+globalThis.cameraControl=cameraControl;
+
+/**
+	#campath or #campath=<speed> plays /map/<name>/<name>.cam of the current map.
+	Once attached to the MapManager it follows map loads and changes of #campath.
+*/
+class CameraPathControl {
+	constructor() {
+		/// map of the loaded path
+		this.mapName = null;
+		this.path = null;
+		this.mapManager = null;
+		/// #campath as the last update saw it
+		this.hashValue = undefined;
+		/// the latest update; older ones still loading do not play
+		this._request = null;
+		
+		this.onload = ({mapName}) => this.updateFromHash(mapName);
+		this.onhashchange = () => {
+			if ( gbGetConst("campath") !== this.hashValue && this.mapManager.mapName )
+				this.updateFromHash(this.mapManager.mapName);
+		};
+	}
+	
+	attach(mapManager) {
+		this.mapManager = mapManager;
+		this.setEvents();
+		if ( mapManager.mapName )
+			this.updateFromHash(mapManager.mapName);
+	}
+
+	async load(mapName) {
+		mapName = mapName.toLowerCase();
+		const camFile = `/map/${mapName}/${mapName}.cam`;
+		if ( !APIJS.FS.fileExistsSync(camFile) )
+			throw new Error(`Camera path "${camFile}" not found`);
+		
+		this.path = new CameraPath( parseCamPath(await APIJS.FS.getFile(camFile)) );
+		this.mapName = mapName;
+		return this.path;
+	}
+	async play(mapName, speed = 1) {
+		if ( !this.path || this.mapName !== mapName.toLowerCase() )
+			await this.load(mapName);
+		
+		return camera.playPath(this.path, speed);
+	}
+	stop() {
+		camera.stopPath();
+	}
+
+	async updateFromHash(mapName) {
+		const request = this._request = {};
+		const speed = this.hashValue = gbGetConst("campath");
+		if ( speed === undefined ) {
+			this.stop();
+			return;
+		}
+		
+		mapName = mapName.toLowerCase();
+		try {
+			const path = this.path && this.mapName === mapName ? this.path : await this.load(mapName);
+			if ( request === this._request )
+				camera.playPath(path, parseFloat(speed) || 1);
+		} catch(e) {
+			/// the path of the previous map must not go on
+			if ( request === this._request )
+				this.stop();
+			console.log(e);
+		}
+	}
+	
+	setEvents() {
+		this.mapManager.addEventListener("load", this.onload);
+		window.addEventListener("hashchange", this.onhashchange);
+	}
+	deleteEvents() {
+		this.mapManager.removeEventListener("load", this.onload);
+		window.removeEventListener("hashchange", this.onhashchange);
+	}
+}
+const cameraPathControl = new CameraPathControl();
+globalThis.cameraPathControl=cameraPathControl;
+
+/// #mapname=<name>&pos=<x>,<y>,<z>&yaw=<deg>&pitch=<deg> opens the map at that view
+function getCameraFromHash(mapName) {
+	const pos = (gbGetConst("pos") || "").split(",").map(parseFloat);
+	if ( pos.length !== 3 || !pos.every(Number.isFinite) )
+		return null;
+	if ( mapName && getMapName().toLowerCase() !== mapName.toLowerCase() )
+		return null;
+	
+	return {
+		pos,
+		yaw  : parseFloat(gbGetConst("yaw")) || 0,
+		pitch: parseFloat(gbGetConst("pitch")) || 0,
+	};
+}
+
+/**
+	Named views per map, kept in localStorage as { mapName: [{ name, pos, yaw, pitch }] }
+*/
+class CameraBookmarks extends EventTarget {
+	constructor(camera, mapManager, storageKey = "CAMERA_BOOKMARKS") {
+		super();
+		this.camera = camera;
+		this.mapManager = mapManager;
+		this.storageKey = storageKey;
+		/// seconds of the jump to a bookmark
+		this.transitionDuration = 1;
+		
+		this.maps = {};
+		try {
+			this.maps = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+		} catch(e) {}
+		this.syncSavedViews();
+		
+		this.onsave = () => this.syncSavedViews();
+		this.onhashchange = () => {
+			const mapName = getMapName();
+			const view = getCameraFromHash(mapName);
+			if ( !view )
+				return;
+			
+			/// the spawn point of a new map comes from the hash
+			if ( mapName.toLowerCase() !== this.mapManager.mapName )
+				this.mapManager.load(mapName);
+			else
+				this.flyTo(view);
+		};
+		cameraControl.addEventListener("save", this.onsave);
+		window.addEventListener("hashchange", this.onhashchange);
+	}
+	
+	/**
+		The views of cameraControl.save(<mapName>) are listed as bookmarks of that map.
+		Such a bookmark keeps its localStorage key, so a newer save updates it and removing it deletes the key.
+	*/
+	syncSavedViews() {
+		const prefix = "CAMERA_";
+		let changed = false;
+		for(let i = 0; i < localStorage.length; i++) {
+			const key = localStorage.key(i);
+			if ( !key.startsWith(prefix) || key === this.storageKey )
+				continue;
+			
+			let view = null;
+			try {
+				view = JSON.parse(localStorage.getItem(key));
+			} catch(e) {}
+			if ( !view || !Array.isArray(view.pos) || view.pos.length !== 3 )
+				continue;
+			
+			const mapName = key.slice(prefix.length).toLowerCase();
+			const list = this.maps[mapName] = this.list(mapName);
+			let bookmark = list.find(b => b.key === key);
+			if ( !bookmark ) {
+				bookmark = { name: "saved view", key };
+				list.unshift(bookmark);
+			} else if ( bookmark.pos.every((v, i) => v === view.pos[i]) && bookmark.yaw === view.yaw && bookmark.pitch === view.pitch ) {
+				continue;
+			}
+			
+			bookmark.pos = [...view.pos];
+			bookmark.yaw = view.yaw;
+			bookmark.pitch = view.pitch;
+			changed = true;
+		}
+		
+		if ( changed )
+			this._save();
+	}
+	
+	_save() {
+		localStorage.setItem(this.storageKey, JSON.stringify(this.maps));
+		this.dispatchEvent(new Event("update"));
+	}
+	
+	list(mapName = this.mapManager.mapName) {
+		return this.maps[mapName] || [];
+	}
+	add(name, mapName = this.mapManager.mapName) {
+		const list = this.maps[mapName] = this.list(mapName);
+		const bookmark = {
+			name : name || `view ${list.length + 1}`,
+			pos  : [...this.camera.pos].map(v => Math.round(v * 100) / 100),
+			yaw  : Math.round(this.camera.yaw * 100) / 100,
+			pitch: Math.round(this.camera.pitch * 100) / 100,
+		};
+		list.push(bookmark);
+		this._save();
+		return bookmark;
+	}
+	rename(index, name, mapName = this.mapManager.mapName) {
+		const bookmark = this.list(mapName)[index];
+		if ( !bookmark )
+			return;
+		bookmark.name = name;
+		this._save();
+	}
+	remove(index, mapName = this.mapManager.mapName) {
+		const list = this.list(mapName);
+		const [bookmark] = list.splice(index, 1);
+		if ( bookmark && bookmark.key )
+			localStorage.removeItem(bookmark.key);
+		if ( !list.length )
+			delete this.maps[mapName];
+		this._save();
+	}
+
+	flyTo(view) {
+		const camera = this.camera;
+		const transition = new CameraTransition(camera, view, this.transitionDuration);
+		return camera.playPath(transition).then(() => camera.walk.reset());
+	}
+	go(index, mapName = this.mapManager.mapName) {
+		const bookmark = this.list(mapName)[index];
+		if ( bookmark )
+			return this.flyTo(bookmark);
+	}
+
+	getHash(bookmark, mapName = this.mapManager.mapName) {
+		return `#mapname=${mapName}&pos=${bookmark.pos.join(",")}&yaw=${bookmark.yaw}&pitch=${bookmark.pitch}`;
+	}
+	getLink(bookmark, mapName = this.mapManager.mapName) {
+		return location.origin + location.pathname + location.search + this.getHash(bookmark, mapName);
+	}
+
+	delete() {
+		cameraControl.removeEventListener("save", this.onsave);
+		window.removeEventListener("hashchange", this.onhashchange);
+	}
+}
+
+class CameraBookmarksPanel extends Panel {
+	constructor(bookmarks, mapManager) {
+		super({
+			name : "bookmarks",
+			title: "Bookmarks",
+			body : `
+				<div class="bookmarks-title"></div>
+				<table><tbody></tbody></table>
+				<input class="bookmarks-name" type="text" placeholder="name" />
+				<button class="bookmarks-add">Add current view</button>
+			`,
+		});
+		this.bookmarks = bookmarks;
+		this.mapManager = mapManager;
+		
+		this.$title = this.$(".bookmarks-title");
+		this.$tbody = this.$("tbody");
+		this.$name  = this.$(".bookmarks-name");
+		this.$add   = this.$(".bookmarks-add");
+
+		this.onclick = (event) => {
+			const $button = event.target;
+			const index = parseInt($button.dataset.index);
+			const list = this.bookmarks.list();
+			if ( !$button.dataset.action || !list[index] )
+				return;
+			
+			if ( $button.dataset.action === "go" ) {
+				this.bookmarks.go(index);
+			} else if ( $button.dataset.action === "link" ) {
+				const link = this.bookmarks.getLink(list[index]);
+				history.replaceState(null, "", this.bookmarks.getHash(list[index]));
+				navigator.clipboard.writeText(link).catch(() => console.log(link));
+			} else if ( $button.dataset.action === "delete" ) {
+				this.bookmarks.remove(index);
+			}
+		};
+		this.onchange = (event) => {
+			const $input = event.target;
+			if ( $input.dataset.index === undefined )
+				return;
+			this.bookmarks.rename(parseInt($input.dataset.index), $input.value);
+		};
+		this.onkeydown = (event) => {
+			if ( event.target === this.$name && event.key === "Enter" )
+				this.onadd();
+		};
+		this.onadd = () => {
+			this.bookmarks.add(this.$name.value.trim());
+			this.$name.value = "";
+		};
+		this.onupdate = () => this.render();
+
+		this.setEvents();
+		this.mount();
+	}
+	
+	escape(text) {
+		return String(text).replace(/[&<>"]/g, c => `&#${ c.charCodeAt() };`);
+	}
+
+	render() {
+		if ( !this.isOpen )
+			return;
+		
+		this.$title.textContent = this.mapManager.mapName || "";
+		this.$tbody.innerHTML = this.bookmarks.list().map((bookmark, index) => `
+			<tr>
+				<td><input data-index="${index}" type="text" value="${ this.escape(bookmark.name) }" /></td>
+				<td><button data-index="${index}" data-action="go">Go</button></td>
+				<td><button data-index="${index}" data-action="link">Link</button></td>
+				<td><button data-index="${index}" data-action="delete">X</button></td>
+			</tr>
+		`).join("");
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$tbody.addEventListener("click", this.onclick);
+		this.$tbody.addEventListener("change", this.onchange);
+		this.$name.addEventListener("keydown", this.onkeydown);
+		this.$add.addEventListener("click", this.onadd);
+		this.bookmarks.addEventListener("update", this.onupdate);
+		this.mapManager.addEventListener("load", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$tbody.removeEventListener("click", this.onclick);
+		this.$tbody.removeEventListener("change", this.onchange);
+		this.$name.removeEventListener("keydown", this.onkeydown);
+		this.$add.removeEventListener("click", this.onadd);
+		this.bookmarks.removeEventListener("update", this.onupdate);
+		this.mapManager.removeEventListener("load", this.onupdate);
+	}
+}
+
+
+
+
+/**
+	Dynamic lighting on top of the baked lightmaps: a directional sun with a shadow map,
+	a few point lights and an optional day/night cycle.
+	
+	#sun[=intensity]             sun on
+	#sunangle=<azimuth>,<elevation>, degrees
+	#shadows[=<size>]            sun shadow map, default 2048
+	#daynight[=<hours per sec>]  day/night cycle, implies the sun
+	#time=<hour>                 time of day for the cycle
+	#torch                       point light carried by the camera
+*/
+const LIGHTING_SHADOW_TEXTURE_UNIT = 5;
+class PointLight {
+	constructor({pos = [0, 0, 0], color = [1, 0.7, 0.4], intensity = 1, radius = 500, follow = null, offset = [0, 0, 0]} = {}) {
+		this.pos = new Float32Array(pos);
+		this.color = [...color];
+		this.intensity = intensity;
+		this.radius = radius;
+		/// any object with .pos, e.g. the camera
+		this.follow = follow;
+		this.offset = [...offset];
+	}
+	
+	update() {
+		if ( !this.follow )
+			return;
+		for(let i = 0; i < 3; i++)
+			this.pos[i] = this.follow.pos[i] + this.offset[i];
+	}
+}
+
+/**
+	Sun depth of every BSP and entity draw the map has made, not just the current frame's:
+	the command stream is culled to the camera, so casters behind it or off screen would
+	drop their shadows. BSP buffers hold only BSP geometry and are drawn whole; entities share
+	one buffer with instanced meshes, so only the ranges seen drawn as entities are kept.
+	Instanced draws do not cast: their instance matrices come with the camera projection-view
+	applied and the stream has no world matrices for them.
+	Depth is packed into RGBA8, which works without WEBGL_depth_texture.
+*/
+class ShadowMap {
+	constructor(gl, size = 2048) {
+		this.gl = gl;
+		this.size = 0;
+		/// world units around the camera covered by the map
+		this.range = 3000;
+		
+		this.projectionViewMatrix = glMatrix.mat4.create();
+		/// world -> [0, 1] shadow map coords
+		this.shadowMatrix = glMatrix.mat4.create();
+		
+		/// "shader:vb:ib[:start]" -> { shader, vb, ib, glVb, glIb, start, count }; start -1: whole ib
+		this.casters = new Map();
+		
+		this.glTexture = gl.createTexture();
+		this.glRenderbuffer = gl.createRenderbuffer();
+		this.glFramebuffer = gl.createFramebuffer();
+		this.setSize(size);
+		
+		this._createPrograms();
+		this.vertexArray = new PassVertexArray(gl);
+	}
+	
+	setSize(size) {
+		const gl = this.gl;
+		if ( this.size === size )
+			return;
+		this.size = size;
+		
+		gl.bindTexture(gl.TEXTURE_2D, this.glTexture);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		
+		gl.bindRenderbuffer(gl.RENDERBUFFER, this.glRenderbuffer);
+		gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+		
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.glFramebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.glTexture, 0);
+		gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.glRenderbuffer);
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+	}
+	
+	_createPrograms() {
+		const gl = this.gl;
+		const createProgram = (stride) => {
+			const program = new GlProgram(gl, ...getShaderSource_SHADOW_DEPTH());
+			program.stride = stride;
+			return program;
+		};
+		
+		/// by RR shader id
+		this.programList = [null, createProgram(28), createProgram(24)];
+	}
+	
+	/// adds the BSP and entity draws of the stream to the casters
+	_collectCasters(cmdMemory) {
+		const geometryBuffer = APIJS.GEOMETRYBUFFER;
+		let shader = 0, vb = -1, ib = -1;
+		for(let cursor = 0; cursor < cmdMemory.length; ) {
+			const cmd = cmdMemory[cursor++];
+			const numArgs = RR_CMD_NUM_ARGS[cmd];
+			if ( numArgs === undefined )
+				break;
+			const arg = cursor;
+			cursor += numArgs;
+			
+			switch(cmd) {
+				case RR_CMD.USE_SHADER: shader = cmdMemory[arg]; break;
+				case RR_CMD.BIND_VB   : vb = cmdMemory[arg]; break;
+				case RR_CMD.BIND_IB   : ib = cmdMemory[arg]; break;
+				case RR_CMD.DRAW_ELEMENTS_TRI_U32: {
+					if ( !this.programList[shader] || !glBuffers[vb] || !glBuffers[ib] )
+						break;
+					const isBsp = shader === RR_SHADER_BSP;
+					const start = isBsp ? -1 : cmdMemory[arg];
+					const key = `${shader}:${vb}:${ib}:${start}`;
+					const caster = this.casters.get(key);
+					if ( caster && caster.glVb === glBuffers[vb] && caster.glIb === glBuffers[ib] )
+						break;
+					
+					const source = geometryBuffer && geometryBuffer.getBufferSource(ib);
+					const count = isBsp ? 
+						(source ? (source.byteCursor || source.arrayBuffer.byteLength) / 4 : 0) :
+						cmdMemory[arg + 1];
+					if ( count )
+						this.casters.set(key, { shader, vb, ib, glVb: glBuffers[vb], glIb: glBuffers[ib], start: Math.max(start, 0), count });
+					break;
+				}
+			}
+		}
+	}
+	/// casters whose buffers were freed or reused; the shared entity buffer is emptied on map switch
+	_isCasterAlive(caster) {
+		if ( glBuffers[caster.vb] !== caster.glVb || glBuffers[caster.ib] !== caster.glIb )
+			return false;
+		const source = APIJS.GEOMETRYBUFFER && APIJS.GEOMETRYBUFFER.getBufferSource(caster.ib);
+		const ibSize = source ? (source.byteCursor || source.arrayBuffer.byteLength) : 0;
+		return (caster.start + caster.count) * 4 <= ibSize;
+	}
+	
+	updateMatrix(sunDirection, center) {
+		const {mat4, vec3} = glMatrix;
+		const range = this.range;
+		
+		/// snap to shadow texels so the map does not swim while moving
+		const texelSize = range * 2 / this.size;
+		const snapped = [...center].map(v => Math.round(v / texelSize) * texelSize);
+		
+		const eye = vec3.scaleAndAdd(vec3.create(), snapped, sunDirection, range * 2);
+		const up = Math.abs(sunDirection[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+		const view = mat4.lookAt(mat4.create(), eye, snapped, up);
+		const projection = mat4.ortho(mat4.create(), -range, range, -range, range, 0, range * 4);
+		mat4.multiply(this.projectionViewMatrix, projection, view);
+		
+		const bias = mat4.fromValues(
+			0.5, 0  , 0  , 0,
+			0  , 0.5, 0  , 0,
+			0  , 0  , 0.5, 0,
+			0.5, 0.5, 0.5, 1
+		);
+		mat4.multiply(this.shadowMatrix, bias, this.projectionViewMatrix);
+	}
+	
+	render(rr) {
+		const gl = this.gl;
+		
+		this._collectCasters(rr.cmdMemory);
+		
+		/// the depth programs use only a_Position; the arrays of the frame's VAO may point anywhere
+		this.vertexArray.begin();
+		
+		const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.glFramebuffer);
+		gl.viewport(0, 0, this.size, this.size);
+		gl.clearColor(1, 1, 1, 1);
+		gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+		
+		gl.disable(gl.BLEND);
+		gl.disable(gl.CULL_FACE);
+		gl.enable(gl.DEPTH_TEST);
+		gl.depthFunc(gl.LEQUAL);
+		gl.depthMask(true);
+		
+		let program = null;
+		for(const [key, caster] of this.casters) {
+			if ( !this._isCasterAlive(caster) ) {
+				this.casters.delete(key);
+				continue;
+			}
+			
+			if ( program !== this.programList[caster.shader] ) {
+				program = this.programList[caster.shader];
+				program.use();
+				gl.uniformMatrix4fv(program.u_ProjectionViewMatrix, false, this.projectionViewMatrix);
+				gl.enableVertexAttribArray(program.a_Position);
+			}
+			gl.bindBuffer(gl.ARRAY_BUFFER, caster.glVb);
+			gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, caster.glIb);
+			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT, false, program.stride, 0);
+			gl.drawElements(gl.TRIANGLES, caster.count, gl.UNSIGNED_INT, caster.start * 4);
+		}
+		
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+		gl.clearColor(...clearColor);
+		
+		this.vertexArray.end();
+	}
+	
+	delete() {
+		const gl = this.gl;
+		gl.deleteFramebuffer(this.glFramebuffer);
+		gl.deleteRenderbuffer(this.glRenderbuffer);
+		gl.deleteTexture(this.glTexture);
+		this.vertexArray.delete();
+	}
+}
+
+class Lighting {
+	constructor(gl) {
+		this.gl = gl;
+		
+		this.sun = {
+			enabled  : false,
+			azimuth  : 45,
+			elevation: 50,
+			color    : [1, 0.95, 0.85],
+			intensity: 0.6,
+		};
+		this.shadows = {
+			enabled: false,
+			size   : 2048,
+			range  : 3000,
+			bias   : 0.002,
+		};
+		this.dayNight = {
+			enabled    : false,
+			time       : 12,
+			hoursPerSec: 0.2,
+		};
+		/// with the sun on, the baked (sunlit) lightmap is toned down to make room for it
+		this.lightmapScale = 1;
+		this.sunLightmapScale = 0.6;
+		this.nightLightmapScale = 0.2;
+		this.nightAmbient = [0.03, 0.05, 0.12];
+		
+		this.pointLights = [];
+		this.shadowMap = null;
+		
+		/// computed by update()
+		this.sunDirection = new Float32Array([0, 1, 0]);
+		this.sunColor = new Float32Array(3);
+		this.ambient = new Float32Array(3);
+		this.currentLightmapScale = 1;
+		this._pointLightPos = new Float32Array(MAX_POINT_LIGHTS * 4);
+		this._pointLightColor = new Float32Array(MAX_POINT_LIGHTS * 3);
+		this._identityMatrix = glMatrix.mat4.create();
+		
+		this._deltaTime = new DeltaTime();
+	}
+	
+	updateFromHash() {
+		this.sun.enabled = gbGetConstBool("sun") || gbGetConstBool("daynight");
+		if ( parseFloat(gbGetConst("sun")) >= 0 )
+			this.sun.intensity = parseFloat(gbGetConst("sun"));
+		if ( gbGetConst("sunangle") ) {
+			const [azimuth, elevation] = gbGetConst("sunangle").split(",").map(parseFloat);
+			this.sun.azimuth = azimuth || 0;
+			this.sun.elevation = elevation || 0;
+		}
+		
+		this.shadows.enabled = gbGetConstBool("shadows");
+		this.shadows.size = gbGetConstI("shadows", 0) || this.shadows.size;
+		
+		this.dayNight.enabled = gbGetConstBool("daynight");
+		this.dayNight.hoursPerSec = parseFloat(gbGetConst("daynight")) || this.dayNight.hoursPerSec;
+		if ( gbGetConst("time") )
+			this.dayNight.time = parseFloat(gbGetConst("time")) || 0;
+	}
+	
+	addPointLight(options) {
+		const light = new PointLight(options);
+		this.pointLights.push(light);
+		return light;
+	}
+	removePointLight(light) {
+		const i = this.pointLights.indexOf(light);
+		if ( i !== -1 )
+			this.pointLights.splice(i, 1);
+	}
+	
+	_updateSun() {
+		const {vec3} = glMatrix;
+		const smoothstep = (e0, e1, x) => {
+			const t = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1);
+			return t * t * (3 - 2 * t);
+		};
+		const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+		
+		let azimuth = this.sun.azimuth / 180 * Math.PI;
+		let elevation = this.sun.elevation / 180 * Math.PI;
+		let intensity = this.sun.enabled ? this.sun.intensity : 0;
+		let color = this.sun.color;
+		this.currentLightmapScale = this.sun.enabled ? this.sunLightmapScale : this.lightmapScale;
+		this.ambient.fill(0);
+		
+		if ( this.dayNight.enabled ) {
+			/// sunrise at 6, noon at 12, sunset at 18
+			const angle = (this.dayNight.time - 6) / 12 * Math.PI;
+			const height = Math.sin(angle);
+			const day = smoothstep(-0.1, 0.3, height);
+			
+			elevation = Math.asin(Math.max(height, 0.05));
+			azimuth = angle;
+			intensity *= smoothstep(0, 0.2, height);
+			color = mix([1, 0.45, 0.25], this.sun.color, smoothstep(0, 0.5, height));
+			this.currentLightmapScale = this.nightLightmapScale + (this.sunLightmapScale - this.nightLightmapScale) * day;
+			this.ambient.set( mix(this.nightAmbient, [0, 0, 0], day) );
+		}
+		
+		vec3.normalize(this.sunDirection, [
+			Math.cos(elevation) * Math.sin(azimuth),
+			Math.sin(elevation),
+			Math.cos(elevation) * Math.cos(azimuth),
+		]);
+		vec3.scale(this.sunColor, color, intensity);
+	}
+	_updatePointLights(cameraPos) {
+		const {vec3} = glMatrix;
+		/// lights carried by deleted objects go with them
+		this.pointLights = this.pointLights.filter(light => !(light.follow && light.follow.isDeleted));
+		this.pointLights.map(light => light.update());
+		
+		const lights = this.pointLights
+			.filter(light => light.intensity > 0)
+			.sort((l, r) => vec3.sqrDist(l.pos, cameraPos) - vec3.sqrDist(r.pos, cameraPos))
+			.slice(0, MAX_POINT_LIGHTS);
+		
+		this._pointLightPos.fill(0);
+		this._pointLightColor.fill(0);
+		lights.map((light, i) => {
+			this._pointLightPos.set(light.pos, i * 4);
+			this._pointLightPos[i * 4 + 3] = light.radius;
+			this._pointLightColor.set(light.color.map(v => v * light.intensity), i * 3);
+		});
+	}
+	update(cameraPos) {
+		this._deltaTime.tick();
+		const deltaTimeSec = Math.min(this._deltaTime.deltaTimeSec, 1);
+		if ( this.dayNight.enabled )
+			this.dayNight.time = (this.dayNight.time + deltaTimeSec * this.dayNight.hoursPerSec) % 24;
+		
+		this._updateSun();
+		this._updatePointLights(cameraPos);
+		this.cameraPos = cameraPos;
+	}
+	
+	get isShadowActive() {
+		return this.shadows.enabled && this.sunColor.some(v => v > 0);
+	}
+	renderShadows(rr, cameraPos) {
+		if ( !this.isShadowActive )
+			return;
+		
+		if ( !this.shadowMap )
+			this.shadowMap = new ShadowMap(this.gl, this.shadows.size);
+		this.shadowMap.setSize(this.shadows.size);
+		this.shadowMap.range = this.shadows.range;
+		this.shadowMap.updateMatrix(this.sunDirection, cameraPos);
+		this.shadowMap.render(rr);
+	}
+	bindShadowMap() {
+		const gl = this.gl;
+		gl.activeTexture(gl.TEXTURE0 + LIGHTING_SHADOW_TEXTURE_UNIT);
+		gl.bindTexture(gl.TEXTURE_2D, this.shadowMap ? this.shadowMap.glTexture : null);
+		gl.activeTexture(gl.TEXTURE0);
+	}
+	
+	/// from useAndSet of the BSP and entity programs
+	setUniforms(program) {
+		const gl = this.gl;
+		const isShadowActive = this.isShadowActive && this.shadowMap;
+		
+		gl.uniform1f(program.u_LightmapScale, this.currentLightmapScale);
+		gl.uniform3fv(program.u_Ambient, this.ambient);
+		gl.uniform3fv(program.u_CameraPos, this.cameraPos || [0, 0, 0]);
+		gl.uniform3fv(program.u_SunDirection, this.sunDirection);
+		gl.uniform3fv(program.u_SunColor, this.sunColor);
+		gl.uniform4fv(program["u_PointLightPos[0]"], this._pointLightPos);
+		gl.uniform3fv(program["u_PointLightColor[0]"], this._pointLightColor);
+		
+		gl.uniform1i(program.u_ShadowMap, LIGHTING_SHADOW_TEXTURE_UNIT);
+		gl.uniform3f(program.u_ShadowParams, 
+			isShadowActive ? 1 : 0, 
+			isShadowActive ? 1 / this.shadowMap.size : 0, 
+			this.shadows.bias);
+		gl.uniformMatrix4fv(program.u_ShadowMatrix, false, 
+			isShadowActive ? this.shadowMap.shadowMatrix : this._identityMatrix);
+	}
+}
+
+/**
+	Fog and sky per map: built-in defaults < mapEnvironment.json[<map>] < localStorage MAP_ENV_<map>
+	(saved from EnvironmentPanel). Colors are linear [r, g, b] in 0..1.
+*/
+const MAP_ENVIRONMENT_DEFAULT = {
+	fog: {
+		enabled: false,
+		near   : 1500,
+		far    : 12000,
+		color  : [0.4, 0.65, 0.84],
+	},
+	sky: {
+		enabled     : false,
+		zenithColor : [0.18, 0.36, 0.66],
+		horizonColor: [0.62, 0.75, 0.86],
+		groundColor : [0.2, 0.2, 0.22],
+		/// 0..1, how much the horizon takes the fog color when fog is on
+		fogBlend    : 1,
+	},
+};
+function getShaderChunk_FOG() {
+	return `
+		uniform vec3 u_FogColor;
+		/// enabled, near, far
+		uniform vec3 u_FogParams;
+		
+		vec3 applyFog(vec3 color, vec3 worldPos, vec3 cameraPos) {
+			if ( u_FogParams.x < 0.5 )
+				return color;
+			
+			float fogFactor = clamp((distance(worldPos, cameraPos) - u_FogParams.y) / (u_FogParams.z - u_FogParams.y), 0.0, 1.0);
+			return mix(color, u_FogColor, fogFactor);
+		}
+	`;
+}
+/// MaterialSystem: uv transform, color and second layer of the current material
+function getShaderChunk_MATERIAL() {
+	return `
+		uniform mat3 u_MaterialUvMatrix;
+		uniform vec4 u_MaterialColor;
+		uniform sampler2D u_MaterialLayerTexture;
+		uniform mat3 u_MaterialLayerUvMatrix;
+		uniform vec4 u_MaterialLayerColor;
+		/// layer enabled, layer alpha type, base env mapped, layer env mapped
+		uniform vec4 u_MaterialLayerParams;
+		
+		vec2 getMaterialUv(mat3 uvMatrix, vec2 uv, float isEnv, vec3 worldPos, vec3 cameraPos) {
+			/// the vertex formats have no normals: sphere map of the view direction
+			if ( isEnv > 0.5 )
+				uv = normalize(worldPos - cameraPos).xz * 0.5 + 0.5;
+			return (uvMatrix * vec3(uv, 1.0)).xy;
+		}
+		vec4 getMaterialColor(sampler2D tex, vec2 uv, vec3 worldPos, vec3 cameraPos) {
+			vec4 color = texture2D(tex, getMaterialUv(u_MaterialUvMatrix, uv, u_MaterialLayerParams.z, worldPos, cameraPos)) * u_MaterialColor;
+			if ( u_MaterialLayerParams.x > 0.5 ) {
+				vec4 layer = texture2D(u_MaterialLayerTexture, getMaterialUv(u_MaterialLayerUvMatrix, uv, u_MaterialLayerParams.w, worldPos, cameraPos)) * u_MaterialLayerColor;
+				/// 1: alpha blend, else additive
+				if ( u_MaterialLayerParams.y < 1.5 )
+					color.rgb = mix(color.rgb, layer.rgb, layer.a);
+				else
+					color.rgb += layer.rgb * layer.a;
+			}
+			return color;
+		}
+	`;
+}
+function getShaderSource_SKY() {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec2 a_Position;
+		
+		varying vec2 v_Ndc;
+		
+		void main() {
+			v_Ndc = a_Position;
+			gl_Position = vec4(a_Position, 1.0, 1.0);
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		uniform mat4 u_InverseProjectionViewMatrix;
+		uniform vec3 u_CameraPos;
+		uniform vec3 u_ZenithColor;
+		uniform vec3 u_HorizonColor;
+		uniform vec3 u_GroundColor;
+		
+		${ getShaderChunk_FOG() }
+		uniform float u_FogBlend;
+		
+		varying vec2 v_Ndc;
+		
+		void main() {
+			vec4 world = u_InverseProjectionViewMatrix * vec4(v_Ndc, 1.0, 1.0);
+			vec3 dir = normalize(world.xyz / world.w - u_CameraPos);
+			
+			vec3 horizonColor = u_FogParams.x > 0.5 ? mix(u_HorizonColor, u_FogColor, u_FogBlend) : u_HorizonColor;
+			vec3 color = dir.y > 0.0 ?
+				mix(horizonColor, u_ZenithColor, pow(dir.y, 0.5)) :
+				mix(horizonColor, u_GroundColor, clamp(-dir.y * 8.0, 0.0, 1.0));
+			gl_FragColor = vec4(color, 1.0);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
+
+class MapEnvironment extends EventTarget {
+	constructor(mapManager) {
+		super();
+		this.mapManager = mapManager;
+		this.mapName = null;
+		/// mapName -> partial environment, from mapEnvironment.json
+		this.sidecar = {};
+		this.params = this._merge(MAP_ENVIRONMENT_DEFAULT);
+		
+		this.onload = ({mapName}) => this.load(mapName);
+		this.mapManager.addEventListener("load", this.onload);
+	}
+	
+	_merge(...list) {
+		const result = JSON.parse(JSON.stringify(MAP_ENVIRONMENT_DEFAULT));
+		for(const params of list)
+			for(const key of Object.keys(result))
+				Object.assign(result[key], params && params[key]);
+		return result;
+	}
+	
+	async loadSidecar(url = "mapEnvironment.json") {
+		try {
+			const response = await fetch(url);
+			if ( response.status !== 200 )
+				throw new Error(`Bad response status; expected 200, got ${response.status}`);
+			this.sidecar = await response.json();
+		} catch(e) {
+			console.log(e);
+		}
+		if ( this.mapName )
+			this.load(this.mapName);
+	}
+	
+	getOverride(mapName) {
+		try {
+			return JSON.parse(localStorage.getItem("MAP_ENV_" + mapName));
+		} catch(e) {
+			return null;
+		}
+	}
+	load(mapName) {
+		this.mapName = mapName.toLowerCase();
+		this.params = this._merge(this.sidecar[this.mapName], this.getOverride(this.mapName));
+		this.dispatchEvent(new Event("update"));
+	}
+	/// set("fog.near", 2000)
+	set(path, value) {
+		const [group, key] = path.split(".");
+		this.params[group][key] = value;
+		this.dispatchEvent(new Event("update"));
+	}
+	get(path) {
+		const [group, key] = path.split(".");
+		return this.params[group][key];
+	}
+	saveOverride() {
+		localStorage.setItem("MAP_ENV_" + this.mapName, JSON.stringify(this.params));
+	}
+	resetOverride() {
+		localStorage.removeItem("MAP_ENV_" + this.mapName);
+		this.load(this.mapName);
+	}
+	
+	/// from useAndSet of the BSP and entity programs
+	setUniforms(program) {
+		const gl = program.gl;
+		const {fog} = this.params;
+		gl.uniform3fv(program.u_FogColor, fog.color);
+		gl.uniform3f(program.u_FogParams, fog.enabled ? 1 : 0, fog.near, Math.max(fog.far, fog.near + 1));
+	}
+	
+	delete() {
+		this.mapManager.removeEventListener("load", this.onload);
+	}
+}
+
+class SkyRenderer {
+	constructor(gl) {
+		this.gl = gl;
+		this.program = new GlProgram(gl, ...getShaderSource_SKY());
+		/// one triangle over the whole screen
+		this.vb = new GlBuffer(gl);
+		this.vb.bind().bufferData(new Float32Array([-1, -1, 3, -1, -1, 3]));
+		this.vertexArray = new PassVertexArray(gl);
+		this._inverseMatrix = glMatrix.mat4.create();
+	}
+	
+	draw(environment, projectionViewMatrix, cameraPos) {
+		const gl = this.gl;
+		const program = this.program;
+		const {sky} = environment.params;
+		if ( !sky.enabled )
+			return;
+		
+		if ( !glMatrix.mat4.invert(this._inverseMatrix, projectionViewMatrix) )
+			return;
+		
+		program.use();
+		gl.uniformMatrix4fv(program.u_InverseProjectionViewMatrix, false, this._inverseMatrix);
+		gl.uniform3fv(program.u_CameraPos, cameraPos);
+		gl.uniform3fv(program.u_ZenithColor, sky.zenithColor);
+		gl.uniform3fv(program.u_HorizonColor, sky.horizonColor);
+		gl.uniform3fv(program.u_GroundColor, sky.groundColor);
+		gl.uniform1f(program.u_FogBlend, sky.fogBlend);
+		environment.setUniforms(program);
+		
+		gl.disable(gl.DEPTH_TEST);
+		gl.disable(gl.BLEND);
+		gl.depthMask(false);
+		
+		/// the command stream enables its arrays once at init, keep them as they were
+		this.vertexArray.begin();
+		
+		this.vb.bind();
+		gl.enableVertexAttribArray(program.a_Position);
+		gl.vertexAttribPointer(program.a_Position, 2, gl.FLOAT, false, 8, 0);
+		gl.drawArrays(gl.TRIANGLES, 0, 3);
+		
+		this.vertexArray.end();
+		
+		gl.depthMask(true);
+		gl.enable(gl.DEPTH_TEST);
+	}
+	
+	/// background when the sky is off: the fog color, so fogged geometry fades into it
+	getClearColor(environment) {
+		const {sky, fog} = environment.params;
+		return !sky.enabled && fog.enabled ? [...fog.color, 1] : [0, 0, 0, 0];
+	}
+}
+
+class EnvironmentPanel extends Panel {
+	constructor(environment) {
+		const fields = [
+			["fog.enabled"     , "checkbox"],
+			["fog.near"        , "number"  ],
+			["fog.far"         , "number"  ],
+			["fog.color"       , "color"   ],
+			["sky.enabled"     , "checkbox"],
+			["sky.zenithColor" , "color"   ],
+			["sky.horizonColor", "color"   ],
+			["sky.groundColor" , "color"   ],
+			["sky.fogBlend"    , "number"  ],
+		];
+		super({
+			name : "environment",
+			title: "Fog & sky",
+			body : `
+				<div class="environment-title"></div>
+				<table><tbody>
+				${
+					fields.map(([path, type]) => `
+						<tr><td>${path}</td><td><input data-path="${path}" type="${type}" step="any" /></td></tr>
+					`).join("")
+				}
+				</tbody></table>
+				<button class="environment-save">Save for map</button>
+				<button class="environment-reset">Reset</button>
+				<button class="environment-copy">Copy JSON</button>
+			`,
+		});
+		this.environment = environment;
+		this.fields = fields;
+		
+		this.$title = this.$(".environment-title");
+		this.$tbody = this.$("tbody");
+		this.$save  = this.$(".environment-save");
+		this.$reset = this.$(".environment-reset");
+		this.$copy  = this.$(".environment-copy");
+
+		this.oninput = (event) => {
+			const $input = event.target;
+			const path = $input.dataset.path;
+			if ( !path )
+				return;
+			
+			const value = 
+				$input.type === "checkbox" ? $input.checked :
+				$input.type === "color"    ? this.hexToColor($input.value) :
+				parseFloat($input.value);
+			if ( typeof value === "number" && !Number.isFinite(value) )
+				return;
+			this.environment.set(path, value);
+		};
+		this.onsave = () => this.environment.saveOverride();
+		this.onreset = () => this.environment.resetOverride();
+		this.oncopy = () => {
+			const json = JSON.stringify({ [this.environment.mapName]: this.environment.params }, null, "\t");
+			navigator.clipboard.writeText(json).catch(() => console.log(json));
+		};
+		this.onupdate = () => this.render();
+
+		this.setEvents();
+		this.mount();
+	}
+	
+	colorToHex(color) {
+		return "#" + color.map(v => `0${ Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16) }`.slice(-2)).join("");
+	}
+	hexToColor(hex) {
+		return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+	}
+
+	render() {
+		if ( !this.isOpen )
+			return;
+		
+		this.$title.textContent = this.environment.mapName || "";
+		for(const $input of this.$tbody.querySelectorAll("input")) {
+			if ( $input === document.activeElement )
+				continue;
+			
+			const value = this.environment.get($input.dataset.path);
+			if ( $input.type === "checkbox" )
+				$input.checked = value;
+			else if ( $input.type === "color" )
+				$input.value = this.colorToHex(value);
+			else
+				$input.value = value;
+		}
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$tbody.addEventListener("input", this.oninput);
+		this.$save.addEventListener("click", this.onsave);
+		this.$reset.addEventListener("click", this.onreset);
+		this.$copy.addEventListener("click", this.oncopy);
+		this.environment.addEventListener("update", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$tbody.removeEventListener("input", this.oninput);
+		this.$save.removeEventListener("click", this.onsave);
+		this.$reset.removeEventListener("click", this.onreset);
+		this.$copy.removeEventListener("click", this.oncopy);
+		this.environment.removeEventListener("update", this.onupdate);
+	}
+}
+
+/**
+	EBP (extended bsp) parser; only what the particle system needs: entity names and their placements
+*/
+function parseEBP(arrayBuffer) {
+	/**
+	typedef struct { uint32_t offset, size; } entry_t;
+	typedef struct {
+		uint32_t version;
+		entry_t  entries[48]; /// 4: entity list, 27: map entities list, others: collision, leafs, sounds
+	} ebpHeader_t;
+	*/
+	const reader = new BinaryReader(arrayBuffer);
+	const version = reader.u32();
+	const entries = Array(48).fill(0).map(() => ({ offset: reader.u32(), size: reader.u32() }));
+	
+	const readArray = ({offset, size}, itemSize, read) => {
+		const array = [];
+		for(let i = 0; i < Math.floor(size / itemSize); i++) {
+			reader.seek(offset + i * itemSize);
+			array.push(read());
+		}
+		return array;
+	};
+	
+	/**
+	typedef struct {
+		uint8_t  isParticle;
+		uint8_t  isFileExist;
+		char     name[62];
+		float    fadeStart, fadeEnd;
+		uint16_t flag;
+		uint16_t shaderId;
+		float    factor[2];
+	} entityListItem_t;
+	*/
+	const entities = readArray(entries[4], 84, () => ({
+		isParticle: reader.u8() !== 0,
+		isFileExist: reader.u8(),
+		name      : reader.string(62),
+		fadeStart : reader.f32(),
+		fadeEnd   : reader.f32(),
+		flag      : reader.u16(),
+		shaderId  : reader.u16(),
+		factor    : reader.f32Array(2),
+	}));
+	
+	/**
+	typedef struct {
+		uint16_t id;      /// into entity list
+		float    scale;
+		float    pos[3];
+		float    rotX, rotY; /// degrees
+		int16_t  bbMin[3], bbMax[3];
+	} mapEntity_t;
+	*/
+	const mapEntities = readArray(entries[27], 38, () => ({
+		id   : reader.u16(),
+		scale: reader.f32(),
+		pos  : reader.f32Array(3),
+		rotX : reader.f32(),
+		rotY : reader.f32(),
+		bbMin: [reader.i16(), reader.i16(), reader.i16()],
+		bbMax: [reader.i16(), reader.i16(), reader.i16()],
+	}));
+	
+	return { version, entities, mapEntities };
+}
+
+/**
+	.particle: compiled particle effect. Reverse engineered from the shipped files, fields with ? are not understood yet.
+	Every value is a [min, max] pair; each particle picks its own point between them.
+*/
+function parseParticle(arrayBuffer) {
+	/**
+	typedef struct { float min, max; } range_t;
+	typedef struct {
+		range_t power[3];   /// start velocity; in keys ?
+		range_t scale;
+		range_t rotation;   /// degrees
+		range_t unknown;    /// ?
+		range_t color[3];   /// 0..255
+		range_t alpha;      /// 0..255
+	} particleElement_t;
+	typedef struct {
+		uint32_t          flag;
+		float             time; /// ?, always 0; keys are spread evenly over the life
+		particleElement_t element;
+	} particleKey_t;  /// 88 bytes
+	typedef struct {
+		char              entityName[256];
+		uint32_t          flag;
+		uint32_t          num;       /// max alive particles
+		uint32_t          unknown0;
+		uint32_t          alphaType; /// 1: alpha blend, other: additive
+		float             unknown1[3];
+		range_t           createArea[3];
+		particleElement_t start;
+		range_t           emitRate;  /// particles per second
+		range_t           life;      /// seconds
+		range_t           gravity;   /// ? Y acceleration
+		range_t           spin;      /// ? degrees per second
+		float             unknown2[9];
+		uint32_t          numKeys;
+		particleKey_t     keys[numKeys];
+	} particle_t;
+	*/
+	const reader = new BinaryReader(arrayBuffer);
+	const range = () => reader.f32Array(2);
+	const readElement = () => ({
+		power   : [range(), range(), range()],
+		scale   : range(),
+		rotation: range(),
+		unknown : range(),
+		color   : [range(), range(), range()],
+		alpha   : range(),
+	});
+	
+	const entityName = reader.string(256);
+	const flag       = reader.u32();
+	const num        = reader.u32();
+	reader.u32();
+	const alphaType  = reader.u32();
+	reader.skip(3*4);
+	const createArea = [range(), range(), range()];
+	const start      = readElement();
+	const emitRate   = range();
+	const life       = range();
+	const gravity    = range();
+	const spin       = range();
+	reader.skip(9*4);
+	
+	const numKeys = reader.u32();
+	const keys = [];
+	for(let i = 0; i < numKeys; i++) {
+		const flag = reader.u32();
+		const time = reader.f32();
+		keys.push({ flag, time, ...readElement() });
+	}
+	
+	return {
+		entityName, flag, num, alphaType,
+		createArea, start, emitRate, life, gravity, spin, keys
+	};
+}
+
+/**
+	.spt: particle script the .particle files are compiled from. Read only when there is no .particle;
+	"key value value ..." lines, keys are matched by name to the .particle fields, the rest is kept in `values`.
+*/
+function parseParticleSPT(arrayBuffer) {
+	const text = UTF8TextDecoder.decode(parseBuffer(arrayBuffer).uint8array);
+	const values = {};
+	for(let line of text.split(/\r?\n/)) {
+		line = line.replace(/(\/\/|;|#).*$/, "").trim();
+		if ( !line || line.startsWith("[") )
+			continue;
+		
+		const [key, ...args] = line.split(/[\s=,]+/).filter(Boolean);
+		values[key.toLowerCase()] = args.map(a => isNaN(parseFloat(a)) ? a.replace(/^"|"$/g, "") : parseFloat(a));
+	}
+	
+	const pair = (name, def) => {
+		const v = values[name];
+		return v && typeof v[0] === "number" ? [v[0], v[v.length > 1 ? 1 : 0]] : [def, def];
+	};
+	const triple = (name, def) => {
+		const v = (values[name] || []).filter(a => typeof a === "number");
+		return v.length >= 6 ? [[v[0], v[1]], [v[2], v[3]], [v[4], v[5]]] : [[def, def], [def, def], [def, def]];
+	};
+	const start = {
+		power   : triple("power", 0),
+		scale   : pair("scale", 1),
+		rotation: pair("rotation", 0),
+		unknown : [0, 0],
+		color   : triple("color", 255),
+		alpha   : pair("alpha", 255),
+	};
+	
+	return {
+		entityName: String((values.entity || values.entityname || [""])[0]),
+		flag      : 0,
+		num       : pair("num", 10)[0],
+		alphaType : pair("alphatype", 3)[0],
+		createArea: triple("createarea", 0),
+		start,
+		emitRate  : pair("emitrate", 10),
+		life      : pair("life", 1),
+		gravity   : pair("gravity", 0),
+		spin      : pair("spin", 0),
+		keys      : [],
+		values,
+	};
+}
+
+const PARTICLE_ALPHA_TYPE_BLEND = 1;
+/// per particle scalars of ParticleSystem.pool
+const PARTICLE_POOL_SCALARS = ["emitterId", "r", "age", "life", "gravity", "rotation", "spin"];
+function getShaderSource_PARTICLE() {
+	return [
+	`\`
+		precision highp float;
+		
+		attribute vec3 a_Center;
+		attribute vec2 a_Corner;
+		/// half size, rotation in radians
+		attribute vec2 a_SizeRotation;
+		attribute vec4 a_Color;
+		
+		uniform mat4 u_ProjectionViewMatrix;
+		uniform vec3 u_CameraRight;
+		uniform vec3 u_CameraUp;
+		
+		varying vec2 v_Uv;
+		varying vec4 v_Color;
+		varying vec3 v_WorldPos;
+		
+		void main() {
+			float c = cos(a_SizeRotation.y);
+			float s = sin(a_SizeRotation.y);
+			vec2 corner = vec2(c * a_Corner.x - s * a_Corner.y, s * a_Corner.x + c * a_Corner.y) * a_SizeRotation.x;
+			vec3 pos = a_Center + u_CameraRight * corner.x + u_CameraUp * corner.y;
+			
+			v_Uv = a_Corner * 0.5 + 0.5;
+			v_Color = a_Color / 255.0;
+			v_WorldPos = pos;
+			gl_Position = u_ProjectionViewMatrix * vec4(pos, 1.0);
+		}
+	\``,
+	`\`
+		precision highp float;
+		
+		uniform sampler2D u_Texture;
+		uniform vec3 u_CameraPos;
+		
+		${ getShaderChunk_FOG() }
+		
+		varying vec2 v_Uv;
+		varying vec4 v_Color;
+		varying vec3 v_WorldPos;
+		
+		void main() {
+			gl_FragColor = texture2D(u_Texture, v_Uv) * v_Color;
+			/// sprites melt into the fog instead of glowing through it
+			if ( u_FogParams.x > 0.5 )
+				gl_FragColor.a *= 1.0 - clamp((distance(v_WorldPos, u_CameraPos) - u_FogParams.y) / (u_FogParams.z - u_FogParams.y), 0.0, 1.0);
+		}
+	\``
+	].map(s => s.replace(/`/g, ""));
+}
+
+/**
+	Particle effects the map places as entities (.spt names in the ebp entity list).
+	Simulated on the CPU in one preallocated pool of typed arrays, drawn as camera facing quads from one dynamic buffer:
+	alpha blended ones back to front, then additive ones, one draw per run of the same texture.
+	An effect looks like its entity mesh: sprite size from the mesh bounds, texture frames and tint from its .r3mtl.
+*/
+class ParticleSystem {
+	constructor(gl, mapManager, environment) {
+		this.gl = gl;
+		this.mapManager = mapManager;
+		this.environment = environment;
+		
+		this.enabled = !gbGetConstBool("noparticles");
+		this.maxParticles = 8192;
+		/// size of a sprite with scale 1 when the effect entity mesh can't be read
+		this.defaultSpriteSize = 16;
+		
+		/// path -> Promise<effect | null>
+		this.effects = new Map();
+		this.emitters = [];
+		this.mapName = null;
+		this.numParticles = 0;
+		
+		this.program = new GlProgram(gl, ...getShaderSource_PARTICLE());
+		
+		/// vec3 center, vec2 corner, vec2 sizeRotation, u8vec4 color; 32 bytes
+		this.vertexStride = 32;
+		this.vertices = new ArrayBuffer(this.maxParticles * 4 * this.vertexStride);
+		this.vF32 = new Float32Array(this.vertices);
+		this.vU8 = new Uint8Array(this.vertices);
+		this.vb = new GlBuffer(gl, gl.ARRAY_BUFFER, gl.DYNAMIC_DRAW);
+		this.vb.bind().bufferData(this.vertices);
+		this.vertexArray = new PassVertexArray(gl);
+		
+		const indexes = new Uint32Array(this.maxParticles * 6);
+		for(let i = 0; i < this.maxParticles; i++)
+			indexes.set([0, 1, 2, 0, 2, 3].map(k => i*4 + k), i*6);
+		this.ib = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+		this.ib.bind().bufferData(indexes);
+		
+		/// texture id -> glTexture; 0 is the sprite of effects without a texture
+		this.glTextures = [this._createSpriteTexture(64)];
+		/// guid -> Promise<texture id>
+		this.textureIdsByGUID = new Map();
+		
+		/// particles of all emitters; dead ones are swapped with the last
+		const n = this.maxParticles;
+		this.pool = {
+			count    : 0,
+			emitterId: new Int32Array(n),
+			r        : new Float32Array(n),
+			age      : new Float32Array(n),
+			life     : new Float32Array(n),
+			gravity  : new Float32Array(n),
+			rotation : new Float32Array(n),
+			spin     : new Float32Array(n),
+			pos      : new Float32Array(n * 3),
+			velocity : new Float32Array(n * 3),
+		};
+		/// per frame: draw order, view depth and texture id of each particle
+		this._order = new Uint32Array(n);
+		this._depth = new Float32Array(n);
+		this._textureId = new Int32Array(n);
+		/// {textureId, isAdditive, start, count}
+		this._batches = [];
+		this._element = { scale: 0, color: new Float32Array(3), alpha: 0 };
+		this._vec3 = [new Float32Array(3), new Float32Array(3)];
+		
+		this._deltaTime = new DeltaTime();
+		this._cameraRight = new Float32Array(3);
+		this._cameraUp = new Float32Array(3);
+		
+		this.onload = ({mapName}) => this.load(mapName).catch(e => console.log(e));
+		this.onunload = () => this.clear();
+		this.mapManager.addEventListener("load", this.onload);
+		this.mapManager.addEventListener("unload", this.onunload);
+		if ( this.mapManager.mapName )
+			this.onload(this.mapManager);
+	}
+	
+	/// soft round sprite for effects whose entity has no texture
+	_createSpriteTexture(size) {
+		const gl = this.gl;
+		const pixels = new Uint8Array(size * size * 4);
+		for(let y = 0; y < size; y++)
+			for(let x = 0; x < size; x++) {
+				const d = Math.hypot((x + 0.5) / size * 2 - 1, (y + 0.5) / size * 2 - 1);
+				const a = Math.max(0, 1 - d);
+				pixels.set([255, 255, 255, Math.round(a * a * 255)], (y * size + x) * 4);
+			}
+		
+		const glTexture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, glTexture);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+		gl.generateMipmap(gl.TEXTURE_2D);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+		return glTexture;
+	}
+	/// -> texture id of the .basis with that guid, 0 when it can't be loaded
+	_loadTexture(guid) {
+		const gl = this.gl;
+		if ( !this.textureIdsByGUID.has(guid) ) {
+			const load = async () => {
+				const path = APIJS.TEX.getTexturePath(guid, "low");
+				if ( !APIJS.FS.fileExistsSync(path) )
+					return 0;
+				
+				const data = await basisThreadControlPool.transcode(await APIJS.FS.getFile(path, FETCH_GROUP.MAP), basisThreadControlPool.detectSupport(gl));
+				const glTexture = gl.createTexture();
+				gl.bindTexture(gl.TEXTURE_2D, glTexture);
+				gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+				gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+				gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, data.mipmaps.length > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+				gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+				basisThreadControlPool.compressedTexImage2D(gl, data);
+				return this.glTextures.push(glTexture) - 1;
+			};
+			this.textureIdsByGUID.set(guid, load().catch(e => {
+				console.log(e);
+				return 0;
+			}));
+		}
+		return this.textureIdsByGUID.get(guid);
+	}
+	/// sprite size from the entity mesh, texture frames and tint from the base layer of its first material
+	async _loadEntity(effect, entityPath) {
+		const r3e = parseR3E(await APIJS.FS.getFile(entityPath, FETCH_GROUP.MAP));
+		const extent = Math.max(...[0, 1, 2].map(i => 
+			Math.max(...r3e.vertices.map(v => v[i])) - Math.min(...r3e.vertices.map(v => v[i])) ));
+		effect.spriteSize = extent / 2 || this.defaultSpriteSize;
+		
+		const mtlPath = APIJS.FS.delExt(entityPath) + ".r3mtl";
+		if ( !APIJS.FS.fileExistsSync(mtlPath) )
+			return;
+		
+		const {materials, textureGUIDs} = parseR3MTL(await APIJS.FS.getFile(mtlPath, FETCH_GROUP.MAP));
+		const group = r3e.matGroups[0];
+		const material = materials[group ? group.mtlId : 0] || materials[0];
+		const layer = material && material.layers[0];
+		if ( !layer || !layer.surface )
+			return;
+		
+		const numFrames = Math.max(layer.aniTexNum, 1);
+		const guids = Array(numFrames).fill(0).map((v, i) => textureGUIDs[layer.surface - 1 + i]).filter(Boolean);
+		effect.frameTextureIds = await Promise.all(guids.map(guid => this._loadTexture(guid)));
+		effect.frameSpeed = layer.aniTexSpeed || 10;
+		const argb = layer.argb >>> 0;
+		effect.tint = [(argb >>> 16) & 0xFF, (argb >>> 8) & 0xFF, argb & 0xFF, argb >>> 24].map(c => c / 255);
+	}
+	
+	/// "\e_neutralA\spt\steam.spt" -> effect, from the .particle next to it or the .spt itself
+	loadEffect(name) {
+		const path = APIJS.FS.normalize("map/entity/" + name);
+		if ( !this.effects.has(path) ) {
+			const load = async () => {
+				const particlePath = APIJS.FS.delExt(path) + ".particle";
+				const effect = APIJS.FS.fileExistsSync(particlePath) ?
+					parseParticle(await APIJS.FS.getFile(particlePath, FETCH_GROUP.MAP)) :
+					parseParticleSPT(await APIJS.FS.getFile(path, FETCH_GROUP.MAP));
+				
+				effect.elements = [effect.start, ...effect.keys];
+				effect.spriteSize = this.defaultSpriteSize;
+				effect.frameTextureIds = [0];
+				effect.frameSpeed = 0;
+				effect.tint = [1, 1, 1, 1];
+				const entityPath = APIJS.FS.normalize(effect.entityName);
+				if ( APIJS.FS.fileExistsSync(entityPath) ) {
+					try {
+						await this._loadEntity(effect, entityPath);
+					} catch(e) {
+						console.log(entityPath, e);
+					}
+				}
+				if ( !effect.frameTextureIds.length )
+					effect.frameTextureIds = [0];
+				return effect;
+			};
+			this.effects.set(path, load().catch(e => {
+				console.log(path, e);
+				return null;
+			}));
+		}
+		return this.effects.get(path);
+	}
+	
+	async load(mapName) {
+		this.clear();
+		this.mapName = mapName;
+		
+		const ebpPath = `map/${mapName}/${mapName}.ebp`;
+		if ( !this.enabled || !APIJS.FS.fileExistsSync(ebpPath) )
+			return;
+		
+		const ebp = parseEBP(await APIJS.FS.getFile(ebpPath, FETCH_GROUP.MAP));
+		if ( this.mapName !== mapName )
+			return;
+		
+		const emitters = [];
+		for(const mapEntity of ebp.mapEntities) {
+			const entity = ebp.entities[mapEntity.id];
+			if ( !entity || !entity.isParticle )
+				continue;
+			
+			const effect = await this.loadEffect(entity.name);
+			if ( this.mapName !== mapName )
+				return;
+			if ( !effect )
+				continue;
+			
+			const rotation = glMatrix.mat4.create();
+			glMatrix.mat4.rotateY(rotation, rotation, mapEntity.rotY / 180 * Math.PI);
+			glMatrix.mat4.rotateX(rotation, rotation, mapEntity.rotX / 180 * Math.PI);
+			emitters.push({
+				effect,
+				pos         : mapEntity.pos,
+				scale       : mapEntity.scale,
+				rotation,
+				fadeStart   : entity.fadeStart,
+				fadeEnd     : Math.max(entity.fadeEnd, entity.fadeStart + 1),
+				fade        : 0,
+				emitAccum   : 0,
+				numParticles: 0,
+			});
+		}
+		this.emitters = emitters;
+	}
+	
+	clear() {
+		this.mapName = null;
+		this.emitters = [];
+		this.pool.count = 0;
+		this.numParticles = 0;
+	}
+	
+	_spawn(emitterId) {
+		const pool = this.pool;
+		const emitter = this.emitters[emitterId];
+		const {effect, scale, rotation} = emitter;
+		const r = Math.random();
+		const pick = ([min, max]) => min + (max - min) * r;
+		const pickRandom = ([min, max]) => min + (max - min) * Math.random();
+		
+		const [offset, velocity] = this._vec3;
+		for(let k = 0; k < 3; k++) {
+			offset[k] = pickRandom(effect.createArea[k]);
+			velocity[k] = pickRandom(effect.start.power[k]);
+		}
+		glMatrix.vec3.transformMat4(offset, offset, rotation);
+		glMatrix.vec3.transformMat4(velocity, velocity, rotation);
+		
+		const i = pool.count++;
+		pool.emitterId[i] = emitterId;
+		pool.r[i]         = r;
+		pool.age[i]       = 0;
+		pool.life[i]      = Math.max(pick(effect.life), 0.01);
+		pool.gravity[i]   = pick(effect.gravity) * scale;
+		pool.rotation[i]  = pick(effect.start.rotation) / 180 * Math.PI;
+		pool.spin[i]      = pick(effect.spin) / 180 * Math.PI;
+		for(let k = 0; k < 3; k++) {
+			pool.pos[i*3 + k]      = emitter.pos[k] + offset[k] * scale;
+			pool.velocity[i*3 + k] = velocity[k] * scale;
+		}
+		emitter.numParticles++;
+	}
+	_kill(i) {
+		const pool = this.pool;
+		this.emitters[pool.emitterId[i]].numParticles--;
+		
+		const last = --pool.count;
+		if ( i === last )
+			return;
+		for(const name of PARTICLE_POOL_SCALARS)
+			pool[name][i] = pool[name][last];
+		pool.pos.copyWithin(i*3, last*3, last*3 + 3);
+		pool.velocity.copyWithin(i*3, last*3, last*3 + 3);
+	}
+	
+	/// element values of particle i at its age into this._element; start then keys, evenly over the life
+	_getElement(effect, i) {
+		const pool = this.pool;
+		const {elements} = effect;
+		const out = this._element;
+		const r = pool.r[i];
+		
+		const t = Math.min(pool.age[i] / pool.life[i], 1) * (elements.length - 1);
+		const j = Math.max(Math.min(Math.floor(t), elements.length - 2), 0);
+		const l = elements[j];
+		const h = elements[j + 1] || l;
+		const f = t - j;
+		const value = (lp, hp) => {
+			const lv = lp[0] + (lp[1] - lp[0]) * r;
+			const hv = hp[0] + (hp[1] - hp[0]) * r;
+			return lv + (hv - lv) * f;
+		};
+		out.scale = value(l.scale, h.scale);
+		for(let k = 0; k < 3; k++)
+			out.color[k] = value(l.color[k], h.color[k]);
+		out.alpha = value(l.alpha, h.alpha);
+		return out;
+	}
+	
+	update(cameraPos) {
+		this._deltaTime.tick();
+		const dt = Math.min(this._deltaTime.deltaTimeSec, 0.1);
+		const pool = this.pool;
+		
+		for(const emitter of this.emitters) {
+			const distance = glMatrix.vec3.distance(emitter.pos, cameraPos);
+			emitter.fade = distance > emitter.fadeEnd ? 0 :
+				1 - Math.min(Math.max((distance - emitter.fadeStart) / (emitter.fadeEnd - emitter.fadeStart), 0), 1);
+		}
+		
+		/// age and move, drop the dead and those of emitters out of range
+		for(let i = pool.count - 1; i >= 0; i--) {
+			pool.age[i] += dt;
+			if ( pool.age[i] >= pool.life[i] || !this.emitters[pool.emitterId[i]].fade ) {
+				this._kill(i);
+				continue;
+			}
+			pool.velocity[i*3 + 1] += pool.gravity[i] * dt;
+			for(let k = 0; k < 3; k++)
+				pool.pos[i*3 + k] += pool.velocity[i*3 + k] * dt;
+			pool.rotation[i] += pool.spin[i] * dt;
+		}
+		
+		for(const [emitterId, emitter] of this.emitters.entries()) {
+			if ( !emitter.fade ) {
+				emitter.emitAccum = 0;
+				continue;
+			}
+			
+			const {effect} = emitter;
+			emitter.emitAccum += effect.emitRate[0] * dt;
+			while(emitter.emitAccum >= 1 && emitter.numParticles < effect.num && pool.count < this.maxParticles) {
+				this._spawn(emitterId);
+				emitter.emitAccum--;
+			}
+			emitter.emitAccum = Math.min(emitter.emitAccum, 1);
+		}
+		this.numParticles = pool.count;
+	}
+	
+	/// fills the vertex buffer in draw order and this._batches with the runs to draw
+	_fillVertices(projectionViewMatrix) {
+		const m = projectionViewMatrix;
+		const pool = this.pool;
+		const order = this._order;
+		const depth = this._depth;
+		const textureId = this._textureId;
+		
+		let numBlended = 0;
+		let numAdditive = 0;
+		for(let i = 0; i < pool.count; i++) {
+			const {effect} = this.emitters[pool.emitterId[i]];
+			const frames = effect.frameTextureIds;
+			textureId[i] = frames[Math.floor(pool.age[i] * effect.frameSpeed) % frames.length];
+			if ( effect.alphaType === PARTICLE_ALPHA_TYPE_BLEND ) {
+				depth[i] = m[3] * pool.pos[i*3] + m[7] * pool.pos[i*3 + 1] + m[11] * pool.pos[i*3 + 2] + m[15];
+				order[numBlended++] = i;
+			} else {
+				order[pool.count - ++numAdditive] = i;
+			}
+		}
+		order.subarray(0, numBlended).sort((l, r) => depth[r] - depth[l]);
+		order.subarray(numBlended, pool.count).sort((l, r) => textureId[l] - textureId[r]);
+		
+		const batches = this._batches;
+		batches.length = 0;
+		const vF32 = this.vF32;
+		const vU8 = this.vU8;
+		const color = [0, 0, 0];
+		for(let n = 0; n < pool.count; n++) {
+			const i = order[n];
+			const emitter = this.emitters[pool.emitterId[i]];
+			const {effect} = emitter;
+			const isAdditive = n >= numBlended;
+			const batch = batches[batches.length - 1];
+			if ( batch && batch.textureId === textureId[i] && batch.isAdditive === isAdditive )
+				batch.count++;
+			else
+				batches.push({ textureId: textureId[i], isAdditive, start: n, count: 1 });
+			
+			const element = this._getElement(effect, i);
+			const size = element.scale * effect.spriteSize * emitter.scale;
+			for(let k = 0; k < 3; k++)
+				color[k] = Math.min(Math.max(element.color[k] * effect.tint[k], 0), 255);
+			const alpha = Math.min(Math.max(element.alpha * effect.tint[3] * emitter.fade, 0), 255);
+			for(let k = 0; k < 4; k++) {
+				const v = (n * 4 + k) * this.vertexStride;
+				const f = v / 4;
+				vF32[f    ] = pool.pos[i*3];
+				vF32[f + 1] = pool.pos[i*3 + 1];
+				vF32[f + 2] = pool.pos[i*3 + 2];
+				vF32[f + 3] = k === 0 || k === 3 ? -1 : 1;
+				vF32[f + 4] = k < 2 ? -1 : 1;
+				vF32[f + 5] = size;
+				vF32[f + 6] = pool.rotation[i];
+				vU8[v + 28] = color[0];
+				vU8[v + 29] = color[1];
+				vU8[v + 30] = color[2];
+				vU8[v + 31] = alpha;
+			}
+		}
+	}
+	
+	/// viewProjectionMatrix: billboard axes, when projectionViewMatrix is only a part of the view (screenshot tiles)
+	draw(projectionViewMatrix, cameraPos, viewProjectionMatrix = projectionViewMatrix) {
+		const gl = this.gl;
+		const program = this.program;
+		if ( !this.pool.count )
+			return;
+		
+		this._fillVertices(projectionViewMatrix);
+		
+		const m = viewProjectionMatrix;
+		glMatrix.vec3.normalize(this._cameraRight, glMatrix.vec3.set(this._cameraRight, m[0], m[4], m[8]));
+		glMatrix.vec3.normalize(this._cameraUp, glMatrix.vec3.set(this._cameraUp, m[1], m[5], m[9]));
+		
+		program.use();
+		gl.uniformMatrix4fv(program.u_ProjectionViewMatrix, false, projectionViewMatrix);
+		gl.uniform3fv(program.u_CameraRight, this._cameraRight);
+		gl.uniform3fv(program.u_CameraUp, this._cameraUp);
+		gl.uniform3fv(program.u_CameraPos, cameraPos);
+		gl.uniform1i(program.u_Texture, 0);
+		this.environment.setUniforms(program);
+		
+		gl.activeTexture(gl.TEXTURE0);
+		gl.enable(gl.DEPTH_TEST);
+		gl.depthMask(false);
+		gl.disable(gl.CULL_FACE);
+		gl.enable(gl.BLEND);
+		
+		/// other programs keep their arrays enabled, keep them as they were
+		this.vertexArray.begin();
+		
+		this.vb.bind().bufferSubData(this.vF32.subarray(0, this.pool.count * 4 * this.vertexStride / 4));
+		this.ib.bind();
+		const stride = this.vertexStride;
+		gl.enableVertexAttribArray(program.a_Center);
+		gl.enableVertexAttribArray(program.a_Corner);
+		gl.enableVertexAttribArray(program.a_SizeRotation);
+		gl.enableVertexAttribArray(program.a_Color);
+		gl.vertexAttribPointer(program.a_Center      , 3, gl.FLOAT        , false, stride, 0);
+		gl.vertexAttribPointer(program.a_Corner      , 2, gl.FLOAT        , false, stride, 3*4);
+		gl.vertexAttribPointer(program.a_SizeRotation, 2, gl.FLOAT        , false, stride, 5*4);
+		gl.vertexAttribPointer(program.a_Color       , 4, gl.UNSIGNED_BYTE, false, stride, 7*4);
+		
+		for(const {textureId, isAdditive, start, count} of this._batches) {
+			gl.bindTexture(gl.TEXTURE_2D, this.glTextures[textureId]);
+			if ( isAdditive )
+				gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+			else
+				gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+			gl.drawElements(gl.TRIANGLES, count * 6, gl.UNSIGNED_INT, start * 6 * 4);
+		}
+		
+		this.vertexArray.end();
+		
+		gl.disable(gl.BLEND);
+		gl.depthMask(true);
+		gl.enable(gl.CULL_FACE);
+	}
+	
+	getText() {
+		return `particles: ${this.numParticles}, emitters: ${this.emitters.filter(e => e.numParticles).length}/${this.emitters.length}\n`;
+	}
+	
+	delete() {
+		const gl = this.gl;
+		this.mapManager.removeEventListener("load", this.onload);
+		this.mapManager.removeEventListener("unload", this.onunload);
+		this.glTextures.map(glTexture => gl.deleteTexture(glTexture));
+		this.vertexArray.delete();
+	}
+}
+
+/**
+	.r3mtl: materials of a map or an entity. Reverse engineered from the shipped files, fields with ? are not understood yet.
+*/
+const R3MTL_LAYER = {
+	ENV          : 0x00000002, /// ?
+	UV_SCROLL_U  : 0x00000010,
+	UV_SCROLL_V  : 0x00000020,
+	UV_SCALE     : 0x00000080, /// ?
+	UV_ROTATE    : 0x00000200, /// ?
+	ALPHA_FLICKER: 0x00000400,
+};
+const R3MTL_ALPHA_TYPE_BLEND = 1;
+function parseR3MTL(arrayBuffer) {
+	/**
+	typedef struct {
+		uint16_t aniTexNum;       /// ? texture animation frames, consecutive surfaces; 0/1: none
+		uint16_t surface;         /// 1-based into textureGUIDs, 0: none
+		uint16_t unknown0;
+		uint16_t alphaType;       /// 0: none, 1: alpha blend, 3: additive
+		uint16_t unknown1;
+		uint32_t argb;
+		uint32_t flag;            /// R3MTL_LAYER
+		int16_t  aniTexSpeed;     /// ? frames per second, 8.8 fixed
+		int16_t  unknown2;
+		int16_t  scrollU, scrollV;            /// uv per second, 8.8 fixed
+		int16_t  unknown3;
+		int16_t  scaleStart, scaleEnd, scaleSpeed; /// ? 8.8 fixed
+		int16_t  envParam;        /// ?
+		int16_t  flickerSpeed;    /// cycles per second, 8.8 fixed
+		uint8_t  flickerAlpha[2]; /// max, min
+		int16_t  unknown4[2];     /// ? with flag 0x800
+		int16_t  rotate;          /// ? degrees per second
+	} r3mtlLayer_t;  /// 46 bytes
+	typedef struct {
+		uint32_t     layerNum;
+		uint32_t     flag;          /// ?
+		int32_t      detailSurface; /// -1: none
+		float        detailScale;
+		r3mtlLayer_t layers[layerNum];
+	} r3mtlMaterial_t;
+	
+	float           version;  /// 1.1
+	uint32_t        numMaterials;
+	r3mtlMaterial_t materials[numMaterials];
+	uint32_t        numTextures;
+	int32_t         textureGUIDs[numTextures];
+	*/
+	const reader = new BinaryReader(arrayBuffer);
+	const version = reader.f32();
+	const numMaterials = reader.u32();
+	
+	const readLayer = () => {
+		const layer = {};
+		layer.aniTexNum    = reader.u16();
+		layer.surface      = reader.u16();
+		reader.skip(2);
+		layer.alphaType    = reader.u16();
+		reader.skip(2);
+		layer.argb         = reader.u32();
+		layer.flag         = reader.u32();
+		layer.aniTexSpeed  = reader.i16() / 256;
+		reader.skip(2);
+		layer.scrollU      = reader.i16() / 256;
+		layer.scrollV      = reader.i16() / 256;
+		reader.skip(2);
+		layer.scaleStart   = reader.i16() / 256;
+		layer.scaleEnd     = reader.i16() / 256;
+		layer.scaleSpeed   = reader.i16() / 256;
+		layer.envParam     = reader.i16();
+		layer.flickerSpeed = reader.i16() / 256;
+		layer.flickerAlpha = [reader.u8(), reader.u8()];
+		reader.skip(4);
+		layer.rotate       = reader.i16();
+		return layer;
+	};
+	
+	const materials = [];
+	for(let i = 0; i < numMaterials; i++) {
+		const layerNum      = reader.u32();
+		const flag          = reader.u32();
+		const detailSurface = reader.i32();
+		const detailScale   = reader.f32();
+		const layers = Array(layerNum).fill(0).map(readLayer);
+		materials.push({ flag, detailSurface, detailScale, layers });
+	}
+	
+	const numTextures = reader.u32();
+	const textureGUIDs = Array(numTextures).fill(0).map(() => reader.i32());
+	
+	return { version, materials, textureGUIDs };
+}
+
+/// texture unit of the second material layer; 1 is the lightmap, LIGHTING_SHADOW_TEXTURE_UNIT the shadow map
+const MATERIAL_LAYER_TEXTURE_UNIT = 2;
+/// a surface without material: texture as is
+const MATERIAL_DEFAULT_PARAMS = {
+	uvMatrix      : new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+	color         : [1, 1, 1, 1],
+	layerUvMatrix : new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+	layerColor    : [1, 1, 1, 1],
+	layerParams   : [0, 0, 0, 0],
+	frameTextureId: -1,
+	layerTextureId: -1,
+};
+
+/**
+	Animated materials from the map and entity .r3mtl files.
+	wasm draws every group with the first layer texture only; apply() finds the material of each BSP/entity draw by 
+	that texture and puts RR_CMD.MATERIAL (uv transform, color, second layer) and the texture animation frame in front of it.
+*/
+class MaterialSystem {
+	constructor(mapManager) {
+		this.mapManager = mapManager;
+		
+		this.enabled = !gbGetConstBool("nomaterials");
+		/// ExecCode shader ids with the material chunk
+		this.shaderIds = [1, 2];
+		
+		/// slot -> { material, textureGUIDs, params }
+		this.slots = [];
+		/// texture guid of the first layer -> slot
+		this.slotsByGUID = new Map();
+		/// texture id -> slot of a captured frame (setState), used instead of slotsByGUID
+		this.slotsByTextureId = null;
+		this.mapName = null;
+		
+		this._output = new Int32Array(1024);
+		this._length = 0;
+		this.stats = { numMaterials: 0, numAnimated: 0, numDraws: 0 };
+		
+		this.onload = ({mapName}) => this.load(mapName).catch(e => console.log(e));
+		this.onunload = () => this.clear();
+		this.mapManager.addEventListener("load", this.onload);
+		this.mapManager.addEventListener("unload", this.onunload);
+		if ( this.mapManager.mapName )
+			this.onload(this.mapManager);
+	}
+	
+	async load(mapName) {
+		this.clear();
+		this.mapName = mapName;
+		if ( !this.enabled )
+			return;
+		
+		const paths = [`map/${mapName}/${mapName}.r3mtl`, `map/${mapName}/sky/${mapName}sky.r3mtl`];
+		const ebpPath = `map/${mapName}/${mapName}.ebp`;
+		if ( APIJS.FS.fileExistsSync(ebpPath) ) {
+			const ebp = parseEBP(await APIJS.FS.getFile(ebpPath, FETCH_GROUP.MAP));
+			for(const entity of ebp.entities)
+				if ( !entity.isParticle )
+					paths.push(APIJS.FS.delExt(APIJS.FS.normalize("map/entity/" + entity.name)) + ".r3mtl");
+		}
+		
+		for(const path of new Set(paths)) {
+			if ( !APIJS.FS.fileExistsSync(path) )
+				continue;
+			
+			let r3mtl;
+			try {
+				r3mtl = parseR3MTL(await APIJS.FS.getFile(path, FETCH_GROUP.MAP));
+			} catch(e) {
+				console.log(path, e);
+				continue;
+			}
+			if ( this.mapName !== mapName )
+				return;
+			
+			for(const material of r3mtl.materials)
+				this._addMaterial(material, r3mtl.textureGUIDs);
+		}
+	}
+	
+	_isAnimated(material) {
+		const ANIMATED = R3MTL_LAYER.ENV | R3MTL_LAYER.UV_SCROLL_U | R3MTL_LAYER.UV_SCROLL_V | 
+			R3MTL_LAYER.UV_SCALE | R3MTL_LAYER.UV_ROTATE | R3MTL_LAYER.ALPHA_FLICKER;
+		return material.layers.length > 1 || 
+			material.layers.some(layer => (layer.flag & ANIMATED) || layer.aniTexNum > 1 || (layer.argb >>> 0) !== 0xffffffff);
+	}
+	
+	_addMaterial(material, textureGUIDs) {
+		const [base] = material.layers;
+		const guid = base && textureGUIDs[base.surface - 1];
+		if ( !guid )
+			return;
+		
+		this.stats.numMaterials++;
+		/// several materials can share a texture; the one that does something wins
+		if ( !this._isAnimated(material) || this.slotsByGUID.has(guid) )
+			return;
+		
+		this.stats.numAnimated++;
+		this.slotsByGUID.set(guid, this.slots.length);
+		this.slots.push({ material, textureGUIDs, params: null });
+	}
+	
+	clear() {
+		this.mapName = null;
+		this.slots = [];
+		this.slotsByGUID.clear();
+		this.slotsByTextureId = null;
+		this.stats.numMaterials = 0;
+		this.stats.numAnimated = 0;
+	}
+	
+	/// surface + animation frame -> glTextures id, -1 while wasm has not loaded it
+	_getTextureId(layer, textureGUIDs, timeSec) {
+		let surface = layer.surface;
+		if ( layer.aniTexNum > 1 )
+			surface += Math.floor(timeSec * (layer.aniTexSpeed || 10)) % layer.aniTexNum;
+		const guid = textureGUIDs[surface - 1];
+		return guid ? APIJS.TEX.getTextureId(guid) : -1;
+	}
+	
+	_getUvMatrix(out, layer, timeSec) {
+		const fract = v => v - Math.floor(v);
+		const offsetU = layer.flag & R3MTL_LAYER.UV_SCROLL_U ? fract(layer.scrollU * timeSec) : 0;
+		const offsetV = layer.flag & R3MTL_LAYER.UV_SCROLL_V ? fract(layer.scrollV * timeSec) : 0;
+		const angle = layer.flag & R3MTL_LAYER.UV_ROTATE ? (layer.rotate * timeSec % 360) / 180 * Math.PI : 0;
+		let scale = 1;
+		if ( layer.flag & R3MTL_LAYER.UV_SCALE ) {
+			const t = 0.5 - 0.5 * Math.cos(timeSec * layer.scaleSpeed * 2 * Math.PI);
+			scale = (layer.scaleStart + (layer.scaleEnd - layer.scaleStart) * t) || 1;
+		}
+		
+		/// rotate and scale around the texture center, then scroll
+		const c = Math.cos(angle) * scale;
+		const s = Math.sin(angle) * scale;
+		return glMatrix.mat3.set(out,
+			c, s, 0,
+			-s, c, 0,
+			0.5 - 0.5 * c + 0.5 * s + offsetU, 0.5 - 0.5 * s - 0.5 * c + offsetV, 1
+		);
+	}
+	
+	_getColor(out, layer, timeSec) {
+		const argb = layer.argb >>> 0;
+		out[0] = (argb >>> 16 & 255) / 255;
+		out[1] = (argb >>> 8  & 255) / 255;
+		out[2] = (argb        & 255) / 255;
+		out[3] = (argb >>> 24 & 255) / 255;
+		if ( layer.flag & R3MTL_LAYER.ALPHA_FLICKER ) {
+			const [max, min] = layer.flickerAlpha;
+			const t = 0.5 + 0.5 * Math.sin(timeSec * layer.flickerSpeed * 2 * Math.PI);
+			out[3] *= (min + (max - min) * t) / 255;
+		}
+		return out;
+	}
+	
+	/// per frame, before apply()
+	update() {
+		const timeSec = performance.now() * 1e-3;
+		for(const slot of this.slots) {
+			const {material, textureGUIDs} = slot;
+			if ( !material )
+				continue;
+			const params = slot.params = slot.params || {
+				uvMatrix     : glMatrix.mat3.create(),
+				color        : [1, 1, 1, 1],
+				layerUvMatrix: glMatrix.mat3.create(),
+				layerColor   : [1, 1, 1, 1],
+				layerParams  : [0, 0, 0, 0],
+			};
+			
+			const [base, layer] = material.layers;
+			this._getUvMatrix(params.uvMatrix, base, timeSec);
+			this._getColor(params.color, base, timeSec);
+			params.frameTextureId = base.aniTexNum > 1 ? this._getTextureId(base, textureGUIDs, timeSec) : -1;
+			
+			params.layerTextureId = layer ? this._getTextureId(layer, textureGUIDs, timeSec) : -1;
+			params.layerParams[0] = params.layerTextureId !== -1 ? 1 : 0;
+			params.layerParams[2] = base.flag & R3MTL_LAYER.ENV ? 1 : 0;
+			if ( layer ) {
+				this._getUvMatrix(params.layerUvMatrix, layer, timeSec);
+				this._getColor(params.layerColor, layer, timeSec);
+				params.layerParams[1] = layer.alphaType;
+				params.layerParams[3] = layer.flag & R3MTL_LAYER.ENV ? 1 : 0;
+			}
+		}
+	}
+	
+	_push(...values) {
+		if ( this._length + values.length > this._output.length ) {
+			const output = new Int32Array(this._output.length * 2 + values.length);
+			output.set(this._output.subarray(0, this._length));
+			this._output = output;
+		}
+		for(const v of values)
+			this._output[this._length++] = v;
+	}
+	
+	/// the frame's material parameters and which textures use them, for FrameCapture
+	getState() {
+		const textureSlots = [];
+		for(const [guid, slot] of this.slotsByGUID) {
+			const id = APIJS.TEX.getTextureId(guid);
+			if ( id !== -1 && this.slots[slot].params )
+				textureSlots.push([id, slot]);
+		}
+		const slots = this.slots.map(({params}) => params && {
+			uvMatrix      : [...params.uvMatrix],
+			color         : [...params.color],
+			layerUvMatrix : [...params.layerUvMatrix],
+			layerColor    : [...params.layerColor],
+			layerParams   : [...params.layerParams],
+			frameTextureId: params.frameTextureId,
+			layerTextureId: params.layerTextureId,
+		});
+		return { slots, textureSlots };
+	}
+	/// replays getState() as is: update() leaves the slots alone until the next load
+	setState({slots, textureSlots}) {
+		this.clear();
+		this.slots = slots.map(params => ({ material: null, textureGUIDs: null, params }));
+		this.slotsByTextureId = new Map(textureSlots);
+	}
+	/// -> slot of the texture a draw binds, -1: none
+	_getSlot(textureId) {
+		if ( this.slotsByTextureId )
+			return this.slotsByTextureId.has(textureId) ? this.slotsByTextureId.get(textureId) : -1;
+		const guid = APIJS.TEX.getTextureGUID(textureId);
+		return this.slotsByGUID.has(guid) ? this.slotsByGUID.get(guid) : -1;
+	}
+	
+	/// command stream -> command stream with RR_CMD.MATERIAL and texture animation frames
+	apply(cmdMemory) {
+		this.stats.numDraws = 0;
+		if ( !this.slots.length )
+			return cmdMemory;
+		
+		this._length = 0;
+		let shader = -1;
+		let activeUnit = 0;
+		/// texture the stream wants on unit 0, what is really bound on unit 0 and on the layer unit
+		let streamTexture = -1;
+		let boundTexture = -1;
+		let boundLayerTexture = -1;
+		/// slot set on the current program; useAndSet resets it to none
+		let currentSlot = -1;
+		
+		let cursor = 0;
+		while(cursor < cmdMemory.length) {
+			const cmd = cmdMemory[cursor++];
+			const numArgs = RR_CMD_NUM_ARGS[cmd];
+			if ( numArgs === undefined )
+				return cmdMemory;
+			const a = cmdMemory.subarray(cursor, cursor + numArgs);
+			cursor += numArgs;
+			
+			switch(cmd) {
+				case RR_CMD.USE_SHADER:
+					shader = a[0];
+					currentSlot = -1;
+					break;
+				case RR_CMD.ACTIVE_TEXTURE:
+					activeUnit = a[0];
+					break;
+				case RR_CMD.BIND_TEXTURE:
+				case RR_CMD.SET_ACTIVE_TEXTURE: {
+					const [unit, textureId] = cmd === RR_CMD.BIND_TEXTURE ? [activeUnit, a[0]] : [a[0], a[1]];
+					activeUnit = unit;
+					if ( unit === 0 )
+						streamTexture = boundTexture = textureId;
+					if ( unit === MATERIAL_LAYER_TEXTURE_UNIT )
+						boundLayerTexture = textureId;
+					break;
+				}
+				case RR_CMD.DRAW_ELEMENTS_TRI_U32:
+				case RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32: {
+					if ( !this.shaderIds.includes(shader) )
+						break;
+					
+					const slot = this._getSlot(streamTexture);
+					const params = (slot !== -1 && this.slots[slot].params) || MATERIAL_DEFAULT_PARAMS;
+					if ( slot !== currentSlot ) {
+						this._push(RR_CMD.MATERIAL, slot);
+						currentSlot = slot;
+					}
+					if ( slot !== -1 )
+						this.stats.numDraws++;
+					
+					let unitChanged = false;
+					const texture = params.frameTextureId !== -1 ? params.frameTextureId : streamTexture;
+					if ( texture !== boundTexture ) {
+						this._push(RR_CMD.SET_ACTIVE_TEXTURE, 0, texture);
+						boundTexture = texture;
+						unitChanged = true;
+					}
+					if ( params.layerTextureId !== -1 && params.layerTextureId !== boundLayerTexture ) {
+						this._push(RR_CMD.SET_ACTIVE_TEXTURE, MATERIAL_LAYER_TEXTURE_UNIT, params.layerTextureId);
+						boundLayerTexture = params.layerTextureId;
+						unitChanged = true;
+					}
+					if ( unitChanged )
+						this._push(RR_CMD.ACTIVE_TEXTURE, activeUnit);
+					break;
+				}
+			}
+			
+			this._push(cmd, ...a);
+		}
+		
+		return this._output.subarray(0, this._length);
+	}
+	
+	/// from useAndSet (slot -1) and RR_CMD.MATERIAL
+	setUniforms(program, slot) {
+		const params = slot !== -1 && this.slots[slot] && this.slots[slot].params;
+		MaterialSystem.setParamsUniforms(program, params || MATERIAL_DEFAULT_PARAMS);
+	}
+	/// programs with the material chunk outside of the map renderer pass MATERIAL_DEFAULT_PARAMS
+	static setParamsUniforms(program, params) {
+		const gl = program.gl;
+		gl.uniformMatrix3fv(program.u_MaterialUvMatrix, false, params.uvMatrix);
+		gl.uniform4fv(program.u_MaterialColor, params.color);
+		gl.uniformMatrix3fv(program.u_MaterialLayerUvMatrix, false, params.layerUvMatrix);
+		gl.uniform4fv(program.u_MaterialLayerColor, params.layerColor);
+		gl.uniform4fv(program.u_MaterialLayerParams, params.layerParams);
+		gl.uniform1i(program.u_MaterialLayerTexture, MATERIAL_LAYER_TEXTURE_UNIT);
+	}
+	
+	getText() {
+		const {numMaterials, numAnimated, numDraws} = this.stats;
+		return `materials: ${numMaterials}, animated: ${numAnimated}, animated draws: ${numDraws}\n`;
+	}
+	
+	delete() {
+		this.mapManager.removeEventListener("load", this.onload);
+		this.mapManager.removeEventListener("unload", this.onunload);
+	}
+}
+
+const glBuffers  = [];
+const glTextures = [null, null];
+class Renderer {
+	/// width, height: fixed canvas size; 0 fills the window
+	constructor(width = 0, height = 0) {
+		const canvas = createCanvas(width || 1, height || 1);
+		const gl = createGlContext(canvas, {
+			antialias            : gbGetConstBool("antialias"),
+			alpha                : false,
+			stencil              : false,
+			preserveDrawingBuffer: false,
+			premultipliedAlpha   : false,
+			
+			depth                : true,
+			desynchronized       : true,
+			
+			powerPreference      : "default",
+			//powerPreference: "low-power",
+			//powerPreference: "high-performance",
+			
+			failIfMajorPerformanceCaveat: false,
+		});
+		
+		this.canvas = canvas;
+		this.gl = gl;
+		this.isWebGL2 = isWebGL2(gl);
+		
+		if ( !this.isWebGL2 ) {
+			gl.getExtension('OES_standard_derivatives');
+			gl.getExtension('EXT_shader_texture_lod');
+		}
+		const {instancedArrays, vertexArrayObject} = getGlCompatExtensions(gl);
+	
+		this.viewport = new CanvasViewport(canvas, gl, width && height ? [width, height] : null);
+		globalThis.viewport = this.viewport;
+		
+		const glInstancedArraysExt = instancedArrays;
+		globalThis.glInstancedArraysExt=glInstancedArraysExt;
+		
+		const glVertexArrayObjectExt = vertexArrayObject;
+		globalThis.glVertexArrayObjectExt = glVertexArrayObjectExt;
+		
+		this.gammaFactor = 1;
+		
+		globalThis.gl = gl;
+		
+		this.textures = [];
+		
+		this.program;
+		this.programEntity;
+		
+		this.execCode;
+		
+		this.benchmark = null;
+		
+		this.mapManager = new MapManager(this);
+		globalThis.mapManager = this.mapManager;
+		
+		this.environment = new MapEnvironment(this.mapManager);
+		globalThis.environment = this.environment;
+		
+		const NeutralA = [-7399.944336, 1042.556641+50, -5483.316895];
+		this.camera = new Camera(NeutralA);
+		this.camera.startEvents();
+		this.camera.yaw = 90;
+		globalThis.camera = this.camera;
+		
+		//this.stat = new Stats();
+		//document.body.appendChild(this.stat.dom);
+		
+		//this.glBench = new GLBench(gl)
+		//this.glBench.addUI("Wasm");
+	}
+	
+	async init() {
+		const gl = this.gl;
+		
+		const glTextureWhitePixel = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, glTextureWhitePixel);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, false, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255,255,255,255]));
+		glTextures[0] = glTextureWhitePixel;
 		glTextures[1] = glTextureWhitePixel;
 		
-		//this.glTexs = await loadTexture(gl, "/textures/${i}.basis", 178);
-		//this.glLgtTexs = await loadTexture(gl, "/textures/lgt/${i}.basis", 7);
-		this.glTexs = glTextures;
-		this.glLgtTexs = glTextures;
+		//this.glTexs = await loadTexture(gl, "/textures/${i}.basis", 178);
+		//this.glLgtTexs = await loadTexture(gl, "/textures/lgt/${i}.basis", 7);
+		this.glTexs = glTextures;
+		this.glLgtTexs = glTextures;
+		
+		this.vbEmpty = new GlBuffer(gl);
+		this.ibEmpty = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+		
+		this.lighting = new Lighting(gl);
+		this.lighting.updateFromHash();
+		globalThis.lighting = this.lighting;
+		
+		this.skyRenderer = new SkyRenderer(gl);
+		
+		this.materialSystem = new MaterialSystem(this.mapManager);
+		globalThis.materialSystem = this.materialSystem;
+		
+		this.program = new GlProgram(gl, ...getShaderSource_BSP());
+		await this.initProgram();
+		
+		//this.programEntityVertexTexture = new GlProgram(gl, entityVertexShaderSource, entityFragmentShaderSource);
+		//await this.initProgramEntityVertexTexture();
+		
+		this.programEntitySimple = new GlProgram(gl, ...getShaderSource_ENTITY());
+		await this.initProgramEntitySimple();
+		
+		this.programEntityInstnace = new GlProgram(gl, entityInstanceVertexShaderSource, entityInstanceFragmentShaderSource);
+		await this.initProgramEntityInstance();
+		
+		this.particleSystem = new ParticleSystem(gl, this.mapManager, this.environment);
+		globalThis.particleSystem = this.particleSystem;
+		
+		this.minimap = new Minimap(gl, this.mapManager);
+		globalThis.minimap = this.minimap;
+		
+		this.screenshot = new Screenshot(gl, this);
+		globalThis.screenshot = this.screenshot;
+		
+		this.frameCapture = new FrameCapture(gl, this);
+		globalThis.frameCapture = this.frameCapture;
+		
+		this.frameDebugger = new FrameDebugger(gl);
+		globalThis.frameDebugger = this.frameDebugger;
+			
+		this.renderPassSorter = new RenderPassSorter(APIJS.GEOMETRYBUFFER);
+		
+		this.execCode = new ExecCode(gl, [
+			null,
+			{
+				program: this.program,
+				uniformList: [ this.program.u_ProjectionViewMatrix ]
+			},
+			{
+				program: this.programEntitySimple,
+				uniformList: [ this.programEntitySimple.u_ProjectionViewMatrix ]
+			},
+			{
+				program: this.programEntityInstnace,
+				uniformList: []
+			}
+		], { materialSystem: this.materialSystem });
+	}
+	
+	async initProgram() {
+		const gl = this.gl;
+		const program = this.program;
+
+		program.init = () => {
+			program.use();
+			
+			gl.uniform1i(this.program.u_Texture   , 0);
+			gl.uniform1i(this.program.u_LgtTexture, 1);
+			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
+			
+			this.vbEmpty.bind();
+			this.ibEmpty.bind();
+			program.enableVertexAttribArrayList();
+			program.vertexAttribPointerList();
+		};
+		program.useAndSet = () => {
+			program.use();
+		
+			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
+			
+			gl.uniform1i(program.u_Texture   , 0);
+			gl.uniform1i(program.u_LgtTexture, 1);
+			gl.uniform1f(program.u_GammaFactor, this.gammaFactor);
+			this.lighting.setUniforms(program);
+			this.environment.setUniforms(program);
+			this.materialSystem.setUniforms(program, -1);
+		};
+		program.unuse = () => {};
+		program.enableVertexAttribArrayList = () => {
+			gl.enableVertexAttribArray(program.a_Position);
+			gl.enableVertexAttribArray(program.a_Uv);
+			gl.enableVertexAttribArray(program.a_LgtUv);
+			gl.enableVertexAttribArray(program.a_Color);
+		};
+		program.vertexAttribPointerList = () => {
+			gl.vertexAttribPointer(this.program.a_Position, 3, gl.FLOAT        , false, 28, 0);
+			gl.vertexAttribPointer(this.program.a_Uv      , 2, gl.FLOAT        , false, 28, 3*4);
+			gl.vertexAttribPointer(this.program.a_LgtUv   , 2, gl.SHORT        , false, 28, 3*4+2*4);
+			gl.vertexAttribPointer(this.program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 28, 3*4+2*4+2*2);
+		};
+		
+		program.init();
+	}
+	async initProgramEntitySimple() {
+		const gl = this.gl;
+		const program = this.programEntitySimple;
+
+		program.init = () => {
+			program.use();
+		
+			gl.uniform1i(program.u_Texture   , 0);
+			
+			this.vbEmpty.bind();
+			this.ibEmpty.bind();
+			program.enableVertexAttribArrayList();
+			program.vertexAttribPointerList();
+		};
+		program.useAndSet = () => {
+			program.use();
+			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
+			gl.uniform1f(program.u_GammaFactor, this.gammaFactor);
+			this.lighting.setUniforms(program);
+			this.environment.setUniforms(program);
+			this.materialSystem.setUniforms(program, -1);
+		};
+		program.unuse = () => {};
+		program.enableVertexAttribArrayList = () => {
+			gl.enableVertexAttribArray(program.a_Position);
+			gl.enableVertexAttribArray(program.a_Uv);
+			gl.enableVertexAttribArray(program.a_Color);
+		};
+		program.vertexAttribPointerList = () => {
+			program.enableVertexAttribArrayList();
+			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 24, 0);
+			gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT        , false, 24, 3*4);
+			gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 24, 3*4+2*4);
+		};
+	
+		program.init();
+	}
+	async initProgramEntityInstance() {
+		const gl = this.gl;
+		const program = this.programEntityInstnace;
+		
+		program.verticesBuffer = new GlBuffer(gl);
+		program.indexesBuffer = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+		program.instancedBuffer = new GlBuffer(gl, gl.ARRAY_BUFFER, gl.DYNAMIC_DRAW);
+	
+		const vbEmpty = new GlBuffer(gl);
+		const vbEmpty2 = new GlBuffer(gl);
+	
+		program.init = () => {
+			program.use();
+			
+			gl.uniform1i(program.u_Texture   , 0);
+			
+			vbEmpty.bind();
+			program.enableVertexAttribArrayList();
+			program.vertexAttribPointerList();
+			
+			program.instancedBuffer.bind();
+			program.specialEnableVertexAttribArrayList();
+			program.specialVertexAttribPointerList();
+		};
+		program.useAndSet = () => {
+			program.use();
+			
+			program.beginVertexAttribDivisorANGLEList();
+		};
+		program.unuse = () => {
+			program.endVertexAttribDivisorANGLEList();
+		};
+		
+		program.enableVertexAttribArrayList = () => {
+			gl.enableVertexAttribArray(program.a_Position);
+			gl.enableVertexAttribArray(program.a_Uv);
+			gl.enableVertexAttribArray(program.a_Color);
+		};
+		program.vertexAttribPointerList = (offset = 0) => {
+			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 24, offset+0);
+			gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT        , false, 24, offset+3*4);
+			gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 24, offset+3*4+2*4);
+		};
+		
+		program.beginVertexAttribDivisorANGLEList = () => {
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix0, 1);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix1, 1);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix2, 1);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix3, 1);
+		};
+		program.endVertexAttribDivisorANGLEList = () => {
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix0, 0);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix1, 0);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix2, 0);
+			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix3, 0);
+		};
+		
+		
+		program.specialEnableVertexAttribArrayList = () => {
+			gl.enableVertexAttribArray(program.a_InstancedMatrix0);
+			gl.enableVertexAttribArray(program.a_InstancedMatrix1);
+			gl.enableVertexAttribArray(program.a_InstancedMatrix2);
+			gl.enableVertexAttribArray(program.a_InstancedMatrix3);		
+		};
+		program.specialVertexAttribPointerList = (offset = 0) => {
+			program.instancedBuffer.bind();
+			program.beginVertexAttribDivisorANGLEList();
+			
+			gl.vertexAttribPointer(program.a_InstancedMatrix0, 4, gl.FLOAT, false, 4*4*4, offset+0*4*4);
+			gl.vertexAttribPointer(program.a_InstancedMatrix1, 4, gl.FLOAT, false, 4*4*4, offset+1*4*4);
+			gl.vertexAttribPointer(program.a_InstancedMatrix2, 4, gl.FLOAT, false, 4*4*4, offset+2*4*4);
+			gl.vertexAttribPointer(program.a_InstancedMatrix3, 4, gl.FLOAT, false, 4*4*4, offset+3*4*4);
+		};
+	
+		program.specialInstancedBufferData = (data) => {
+			program.instancedBuffer.bind().bufferData(data);
+			//program.instancedBuffer.bind().bufferAppendData(new Float32Array(16))
+			//program.instancedBuffer.bind().bufferData(new Float32Array(16)).bufferAppendData(data);
+			this.__instb = data;
+			program.specialVertexAttribPointerList();
+		};
+		
+		program.init();
+	}
+
+	async initProgramEntityVertexTexture() {
+		const gl = this.gl;
+		const program = this.programEntityVertexTexture;
+		program.use();
+
+		program.verticesFloatTexture = new FloatTexture(gl);
+		program.vertexIdexesBuffer = new GlBuffer(gl);
+				
+		program.useAndSet = () => {
+			program.use();
+			
+			gl.enableVertexAttribArray( program.a_VertexOffset );
+			
+			program.vertexIdexesBuffer.bind();
+			gl.vertexAttribPointer(program.a_VertexOffset, 1, gl.FLOAT, false, 4, 0);
+			
+			gl.uniform1i(program.u_DataVerticesTexture, 4);
+			gl.activeTexture(gl.TEXTURE4);
+			program.verticesFloatTexture.bind();
+		};
+	}
+
+	
+	glSetTexture(texId, glTex) {
+		const gl = this.gl;
+		const map = new Map();
+		this.glSetTexture = (texId, glTex) => {
+		//	if ( map.get(texId) === glTex )
+		//		return;
+			
+			map.set(texId, glTex);
+			gl.activeTexture(texId);
+			gl.bindTexture(gl.TEXTURE_2D, glTex);
+		};
+		return this.glSetTexture(texId, glTex);
+	}
+
+	/// on map unload; drops the per-map state of the renderer and unbinds the old map's GL objects
+	resetState() {
+		const gl = this.gl;
+
+		this.saveFM = null;
+		this.camera.stopPath();
+		if ( this.renderPassSorter )
+			this.renderPassSorter.clear();
+
+		for(let i = 0; i < 4; i++)
+			this.glSetTexture(gl.TEXTURE0 + i, null);
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindBuffer(gl.ARRAY_BUFFER, null);
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+		if ( glVertexArrayObjectExt )
+			glVertexArrayObjectExt.bindVertexArrayOES(null);
+	}
+
+	programRenderUse() {
+		const program = this.program;
+		program.use();
+			
+		//gl.uniformMatrix4fv(this.program.u_ProjectionViewMatrix , false, projectionViewMatrix);
+		gl.uniform1i(this.program.u_Texture   , 0);
+		gl.uniform1i(this.program.u_LgtTexture, 1);
+		gl.uniform1i(this.program.u_DataTexture, 2);
+
+		gl.activeTexture(gl.TEXTURE2);
+		this.program.floatTexture.bind();
+		glMatrix.mat4.identity( this.program.floatTexture.floatArray );
+		this.program.floatTexture.update();
+			
+		gl.enableVertexAttribArray(program.a_Position);
+		gl.enableVertexAttribArray(program.a_Uv);
+		gl.enableVertexAttribArray(program.a_LgtUv);
+		gl.enableVertexAttribArray(program.a_Color);
+		
+		this.program.verticesBuffer.bind();
+		gl.vertexAttribPointer(this.program.a_Position, 3, gl.FLOAT        , false, 28, 0);
+		gl.vertexAttribPointer(this.program.a_Uv      , 2, gl.FLOAT        , false, 28, 3*4);
+		gl.vertexAttribPointer(this.program.a_LgtUv   , 2, gl.SHORT        , false, 28, 3*4+2*4);
+		gl.vertexAttribPointer(this.program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 28, 3*4+2*4+2*2);	
+
+		this.program.indexesBuffer .bind();
+	}
+
+	
+	
+	preRenderEntity(renderMatGroups) {
+		const gl = this.gl;
+		
+		const groupMap = {};
+		for(const matGroup of renderMatGroups) {
+			if ( matGroup.entityId === -1 )
+				continue;
+
+			const key = `${ matGroup.entityId }-${ matGroup.start }-${ matGroup.count }`;
+			const group = groupMap[key] = groupMap[key] || {
+				...matGroup,
+				matrixList: []
+			};
+				
+			group.matrixList.push(matGroup.matrix);
+		}
+		const groups = Object.values(groupMap);
+		for(const group of groups) {
+			group.matrixs = new Float32Array(group.matrixList.length*16);
+			let offset = 0;
+			for(const matrix of group.matrixList) {
+				group.matrixs.set(matrix, offset);
+				offset += 16;
+			}
+		}
+		
+		globalThis.groups=groups;
+		return groups;
+	}
+	
+	loopDraw() {
+		const draw = (frameTime) => {
+			requestAnimationFrame(draw);
+			
+			if ( !this.glBench )
+				this.glBench = new GLBench(gl, {
+					chartLen: 60,
+				});
+				
+			this.glBench.begin();
+			
+			
+			showInfo.begin();
+			
+			if ( this.benchmark ) this.benchmark.frameBegin();
+			
+			if ( this.stat ) this.stat.update();
+			
+			this.camera.update();
+
+			const o = tt();
+			if ( !globalThis.noSyncWasm ) {
+				o.pos.set(this.camera.pos); 
+				o.pitch[0] = this.camera.pitch; 
+				o.yaw[0] = this.camera.yaw;
+			}
+			
+
+			
+			this.saveFM = null;
+			if ( !this.saveFM ) {
+				deltaTimeMark.begin("Module.API_frameMove");
+					Module.API_frameMove();
+				deltaTimeMark.end("Module.API_frameMove");	
+				const projectionViewMatrix = tt().viewProjectMatrix;
+				const renderMatGroups = getMatGroupsRanges();
+				if ( APIJS.FS.scheduler.numQueued )
+					APIJS.TEX.prioritizeTextures(renderMatGroups.map(g => g.textureId));
+				APIJS.TEX.updateQuality(renderMatGroups, this.camera.pos);
+			
+				this.saveFM = {
+					projectionViewMatrix, renderMatGroups
+				};
+			}
+			
+			const {projectionViewMatrix, renderMatGroups} = this.saveFM;	
+			const rr = getRR();
+			this.viewport.fixProjection(rr, projectionViewMatrix);
+
+			this.lighting.update(this.camera.pos);
+			deltaTimeMark.begin("Lighting.renderShadows");
+				this.lighting.renderShadows(rr, this.camera.pos);
+			deltaTimeMark.end("Lighting.renderShadows");
+			this.lighting.bindShadowMap();
+
+			this.materialSystem.update();
+			deltaTimeMark.begin("ParticleSystem.update");
+				this.particleSystem.update(this.camera.pos);
+			deltaTimeMark.end("ParticleSystem.update");
+			
+			this.renderFrame(rr, projectionViewMatrix);
+			
+			if ( this.screenshot.isPending )
+				this.screenshot.capture(rr, projectionViewMatrix);
+			if ( this.frameCapture.isPending )
+				this.frameCapture.capture(rr, projectionViewMatrix);
+			
+			deltaTimeMark.begin("Minimap.render");
+				this.minimap.render(rr, projectionViewMatrix);
+			deltaTimeMark.end("Minimap.render");
+
+			//showInfo.addText(`numDrawTringles: ${numDrawTringles} \n`);
+			//showInfo.addText(`numDrawElementsCalls: ${numDrawElementsCalls} \n`);
+			showInfo.addText(deltaTimeMark.getText());
+			showInfo.addText(this.renderPassSorter.getText());
+			showInfo.addText(this.particleSystem.getText());
+			showInfo.addText(this.materialSystem.getText());
+			showInfo.addText(`camera: ${this.camera.mode} (${this.camera.keyBindings.getKeyName("toggleMode")} to switch)\n`);
+			showInfo.end();
+			
+			if ( this.benchmark ) this.benchmark.frameEnd(frameTime);
+			
+			this.glBench.end();
+			this.glBench.nextFrame(frameTime);
+		}; 
+		
+		requestAnimationFrame(draw);
+	}
+
+	/// the frame's commands into the bound framebuffer; projectionViewMatrix may be a screenshot tile of viewProjectionMatrix
+	renderFrame(rr, projectionViewMatrix, viewProjectionMatrix = projectionViewMatrix) {
+		const gl = this.gl;
+		
+		/** webgl render */
+		gl.clearColor(...this.skyRenderer.getClearColor(this.environment));
+		gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+		this.skyRenderer.draw(this.environment, projectionViewMatrix, this.camera.pos);
+		
+		gl.disable(gl.BLEND);
+		
+		gl.enable(gl.DEPTH_TEST);
+			gl.depthFunc(gl.LEQUAL);
+			gl.depthMask(gl.DEPTH_WRITEMASK);
+		
+		gl.enable(gl.CULL_FACE);
+			gl.cullFace(gl.FRONT);
+		
+		//this.programEntitySimple.useAndSet();
+		
+		deltaTimeMark.begin("RenderPassSorter.sort");
+			const cmdMemory = this.renderPassSorter.sort(rr.cmdMemory, rr.uniformMemory, projectionViewMatrix);
+		deltaTimeMark.end("RenderPassSorter.sort");
+		
+		const materialCmdMemory = this.materialSystem.apply(cmdMemory);
+		
+		deltaTimeMark.begin("ExecCode.exec");
+			this.execCode.exec(materialCmdMemory, rr.uniformMemory);
+		deltaTimeMark.end("ExecCode.exec");
+		
+		deltaTimeMark.begin("ParticleSystem.draw");
+			this.particleSystem.draw(projectionViewMatrix, this.camera.pos, viewProjectionMatrix);
+		deltaTimeMark.end("ParticleSystem.draw");
+	}
+
+	groupByTextures(renderMatGroups) {
+		let t = performance.now();
+		
+		const makeGroups = (arr, offset) => {
+			let seq = 0;
+			const groups = {};
+			for(let i = 0; i < arr.length; i += 4) {
+				const start = arr[i+0];
+				const count = arr[i+1];
+				const texId = arr[i+2];
+				const lgtTexId = arr[i+3];
+				const key = arr[i+offset];
+				groups[key] = groups[key] || {i: seq++, arr: []};
+				groups[key].arr.push(start, count, texId, lgtTexId);
+			}
+			
+			return Object
+				.values(groups)
+				.sort((l, r) => l.i - r.i)
+				.map(g => g.arr);
+		};
+		
+		const result = makeGroups(renderMatGroups, 3)
+			.map(arr => makeGroups(arr, 2))
+			.flat()
+			.flat();
+		
+		t = performance.now() - t;
+		//console.log(t);
+		return result;
+	}
+	
+	async loadEntityList() {
+		/*
+		this.entityNameList = loadEntityNames();
+		globalThis.entityNameList=this.entityNameList;
+		this.entityFilesList = await loadEntities(this.entityNameList);
+		globalThis.entityFilesList=this.entityFilesList;
+		
+		this.entities = [];
+		let i = 0;
+		for(const entityFiles of this.entityFilesList) {
+			if ( entityFiles ) {
+				console.log(i, entityFiles);
+				await wrapWriteData(entityFiles.r3e, entityFiles.r3m, (pR3e, pR3m) => {
+					Module.API_loadEntity(i, pR3e, pR3m);
+				});
+			}
+			
+			i++;
+		}
+		*/
+		//return;
+		const vbib = readVerticesRenderData(Module.API_getEntityRenderDataAll());
+		console.log({vbib});
+		console.log( this.entities );
+		this.programEntitySimple.verticesBuffer.bind().bufferData(vbib.vertices);
+		this.programEntitySimple.indexesBuffer .bind().bufferData(vbib.indexes );
+		
+		this.programEntityInstnace.verticesBuffer.bind().bufferData(vbib.vertices);
+		this.programEntityInstnace.indexesBuffer .bind().bufferData(vbib.indexes );
+				
+				
+		if ( this.programEntityVertexTexture ) {
+			this.programEntityVertexTexture.verticesFloatTexture.setNumFloats( (vbib.vertices.byteLength/24 * 32) / 4 );
+			
+			for(let i = 0, j = 0; i < this.programEntityVertexTexture.verticesFloatTexture.floatArray.length; ) {
+				for(let k = 0; k < 6; k++)
+					this.programEntityVertexTexture.verticesFloatTexture.floatArray[i++] = vbib.vertices[j++];
+				i += 2;
+			}
+			
+			for(let i = 0, j = 0; i < this.programEntityVertexTexture.verticesFloatTexture.floatArray.length; ) {
+				for(let k = 0; k < 3; k++)
+					this.programEntityVertexTexture.verticesFloatTexture.floatArray[i++] = vbib.vertices[j++];
+				for(let k = 0; k < 3; k++) j++;
+				i++;
+			}
+			this.programEntityVertexTexture.verticesFloatTexture.update();
+			
+			this.programEntityVertexTexture.vertexIdexesBuffer.bind().bufferData(new Float32Array(vbib.indexes));
+		}
+	}
+	
+	
+}
+
+
+/**
+	Canvas size: fills the window in device pixels times the render scale, or keeps a fixed size.
+	The wasm camera builds its projection and culling frustum from its own width and height,
+	and the wasm API has no setter for them; fixProjection rescales the view-projection and
+	every matrix of the frame's commands after each API_frameMove instead, with culling
+	left at the wasm aspect.
+	
+	#size=<width>x<height>  fixed canvas, centered
+	#renderscale=<scale>    drawing buffer pixels per device pixel, default 1
+*/
+class CanvasViewport extends EventTarget {
+	constructor(canvas, gl, fixedSize = null) {
+		super();
+		this.canvas = canvas;
+		this.gl = gl;
+		
+		const size = (gbGetConst("size") || "").split("x").map(v => parseInt(v));
+		this.fixedSize = size.length === 2 && size.every(v => v > 0) ? size : fixedSize;
+		this.renderScale = parseFloat(gbGetConst("renderscale")) || 1;
+		this.maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+		
+		this.width = 0;
+		this.height = 0;
+		this.pixelRatio = 1;
+		
+		this.onresize = () => this.resize();
+		/// a zoom or a move to another screen changes devicePixelRatio without a resize event
+		this.ondprchange = () => {
+			this._mediaQuery.removeEventListener("change", this.ondprchange);
+			this._mediaQuery = null;
+			this.resize();
+		};
+		this._mediaQuery = null;
+		
+		this.setEvents();
+		this.resize();
+	}
+	
+	get aspect() {
+		return this.width / Math.max(this.height, 1);
+	}
+	get isFullscreen() {
+		return !!document.fullscreenElement;
+	}
+	
+	resize() {
+		const canvas = this.canvas;
+		const pixelRatio = this.pixelRatio = window.devicePixelRatio || 1;
+		
+		const [cssWidth, cssHeight] = this.fixedSize && !this.isFullscreen ? 
+			this.fixedSize : 
+			[window.innerWidth, window.innerHeight];
+		Object.assign(canvas.style, {
+			width : `${cssWidth}px`,
+			height: `${cssHeight}px`,
+			left  : `calc(50% - ${cssWidth}px/2)`,
+			top   : `calc(50% - ${cssHeight}px/2)`,
+			"box-shadow": this.fixedSize && !this.isFullscreen ? "0 0 20px 0px" : "none",
+		});
+		
+		const scale = pixelRatio * this.renderScale;
+		const width  = Math.max(1, Math.min(Math.round(cssWidth  * scale), this.maxSize));
+		const height = Math.max(1, Math.min(Math.round(cssHeight * scale), this.maxSize));
+		if ( canvas.width !== width || canvas.height !== height )
+			Object.assign(canvas, { width, height });
+		this.width = width;
+		this.height = height;
+		this.gl.viewport(0, 0, width, height);
+		
+		if ( this._mediaQuery )
+			this._mediaQuery.removeEventListener("change", this.ondprchange);
+		this._mediaQuery = matchMedia(`(resolution: ${pixelRatio}dppx)`);
+		this._mediaQuery.addEventListener("change", this.ondprchange);
+		
+		this.dispatchEvent(new Event("resize"));
+	}
+	setRenderScale(scale) {
+		this.renderScale = Math.min(Math.max(scale, 0.1), 4);
+		this.resize();
+	}
+	toggleFullscreen() {
+		/// the whole page, so the panels stay
+		const promise = this.isFullscreen ? 
+			document.exitFullscreen() : 
+			document.documentElement.requestFullscreen();
+		return promise.catch(e => console.log(e));
+	}
+	
+	/// scale of clip x so that wasm's projection gets the canvas aspect; x and y rows of P*V*M have lengths f/aspect and f
+	_getAspectFix(projectionViewMatrix) {
+		const m = projectionViewMatrix;
+		const lengthX = Math.hypot(m[0], m[4], m[8]);
+		const lengthY = Math.hypot(m[1], m[5], m[9]);
+		if ( !lengthX || !lengthY )
+			return 1;
+		return lengthY / this.aspect / lengthX;
+	}
+	/// in place, once per API_frameMove: the view-projection of tt() and the matrices the commands read;
+	/// a no-op while the wasm aspect matches the canvas
+	fixProjection(rr, projectionViewMatrix) {
+		const k = this._getAspectFix(projectionViewMatrix);
+		if ( Math.abs(k - 1) < 1e-4 )
+			return;
+		
+		transformClipXY(projectionViewMatrix, 0, k);
+		forEachRRMatrix(rr.cmdMemory, rr.uniformMemory, 
+			(F32, offset) => transformClipXY(F32, offset, k), 
+			new Set([ projectionViewMatrix.byteOffset ]));
+	}
+
+	setEvents() {
+		window.addEventListener("resize", this.onresize);
+		document.addEventListener("fullscreenchange", this.onresize);
+	}
+	deleteEvents() {
+		window.removeEventListener("resize", this.onresize);
+		document.removeEventListener("fullscreenchange", this.onresize);
+		if ( this._mediaQuery )
+			this._mediaQuery.removeEventListener("change", this.ondprchange);
+	}
+	
+	delete() {
+		this.deleteEvents();
+	}
+}
+
+class ViewportPanel extends Panel {
+	constructor(viewport) {
+		super({
+			name : "viewport",
+			title: "Display",
+			body : `
+				<table><tbody>
+					<tr><td>resolution</td><td class="viewport-resolution"></td></tr>
+					<tr><td>render scale</td><td><input class="viewport-scale" type="number" min="0.1" max="4" step="0.25" /></td></tr>
+				</tbody></table>
+				<button class="viewport-fullscreen">Fullscreen</button>
+			`,
+		});
+		this.viewport = viewport;
+		
+		this.$resolution = this.$(".viewport-resolution");
+		this.$scale      = this.$(".viewport-scale");
+		this.$fullscreen = this.$(".viewport-fullscreen");
+
+		this.oninput = () => {
+			const scale = parseFloat(this.$scale.value);
+			if ( Number.isFinite(scale) && scale > 0 )
+				this.viewport.setRenderScale(scale);
+		};
+		this.onfullscreen = () => this.viewport.toggleFullscreen();
+		this.onresize = () => this.render();
+
+		this.setEvents();
+		this.mount();
+	}
+
+	render() {
+		if ( !this.isOpen )
+			return;
+		
+		const viewport = this.viewport;
+		this.$resolution.textContent = `${viewport.width}x${viewport.height} @${ viewport.pixelRatio }x`;
+		if ( this.$scale !== document.activeElement )
+			this.$scale.value = viewport.renderScale;
+		this.$fullscreen.textContent = viewport.isFullscreen ? "Exit fullscreen" : "Fullscreen";
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$scale.addEventListener("change", this.oninput);
+		this.$fullscreen.addEventListener("click", this.onfullscreen);
+		this.viewport.addEventListener("resize", this.onresize);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$scale.removeEventListener("change", this.oninput);
+		this.$fullscreen.removeEventListener("click", this.onfullscreen);
+		this.viewport.removeEventListener("resize", this.onresize);
+	}
+}
+
+/**
+	Screenshots at any size: the frame's commands are drawn again into an offscreen framebuffer,
+	in tiles when the size is above one renderbuffer, and stitched on a 2d canvas.
+	The file name carries the map and the camera pose.
+*/
+const SCREENSHOT_MAX_SIZE = 16384;
+class Screenshot {
+	constructor(gl, renderer) {
+		this.gl = gl;
+		this.renderer = renderer;
+		this.tileSize = Math.min(4096, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+		
+		/// { width, height, type, quality, resolve, reject }
+		this.pending = null;
+		
+		this._tileMatrix = glMatrix.mat4.create();
+	}
+	
+	get isPending() {
+		return !!this.pending;
+	}
+	
+	/// -> Promise<{ blob, fileName }>, taken at the end of the next frame
+	request({width, height, type = "image/png", quality = 0.95} = {}) {
+		if ( this.pending )
+			return Promise.reject(new Error(`Screenshot: already taking one`));
+		
+		const viewport = this.renderer.viewport;
+		width  = Math.min(Math.max(width  | 0 || viewport.width , 1), SCREENSHOT_MAX_SIZE);
+		height = Math.min(Math.max(height | 0 || viewport.height, 1), SCREENSHOT_MAX_SIZE);
+		return new Promise((resolve, reject) => {
+			this.pending = { width, height, type, quality, resolve, reject };
+		});
+	}
+	
+	getFileName(width, height, type) {
+		const camera = this.renderer.camera;
+		const pos = [...camera.pos].map(v => v.toFixed(1)).join(",");
+		const ext = type === "image/webp" ? "webp" : type === "image/jpeg" ? "jpg" : "png";
+		return `${ this.renderer.mapManager.mapName }_pos${ pos }_yaw${ camera.yaw.toFixed(1) }_pitch${ camera.pitch.toFixed(1) }_${width}x${height}.${ext}`;
+	}
+	
+	_createTarget(width, height) {
+		const gl = this.gl;
+		const target = {
+			glTexture     : gl.createTexture(),
+			glRenderbuffer: gl.createRenderbuffer(),
+			glFramebuffer : gl.createFramebuffer(),
+		};
+		gl.bindTexture(gl.TEXTURE_2D, target.glTexture);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.bindTexture(gl.TEXTURE_2D, null);
+		
+		gl.bindRenderbuffer(gl.RENDERBUFFER, target.glRenderbuffer);
+		gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+		
+		gl.bindFramebuffer(gl.FRAMEBUFFER, target.glFramebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.glTexture, 0);
+		gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.glRenderbuffer);
+		return target;
+	}
+	_deleteTarget(target) {
+		const gl = this.gl;
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.deleteFramebuffer(target.glFramebuffer);
+		gl.deleteRenderbuffer(target.glRenderbuffer);
+		gl.deleteTexture(target.glTexture);
+	}
+	
+	/// called by Renderer after the frame, while rr is still the frame's
+	capture(rr, projectionViewMatrix) {
+		const gl = this.gl;
+		const {width, height, type, quality, resolve, reject} = this.pending;
+		this.pending = null;
+		
+		const canvas = document.createElement("canvas");
+		Object.assign(canvas, { width, height });
+		const ctx = canvas.getContext("2d");
+		
+		const tileSize = this.tileSize;
+		const target = this._createTarget(Math.min(width, tileSize), Math.min(height, tileSize));
+		const pixels = new Uint8Array(Math.min(width, tileSize) * Math.min(height, tileSize) * 4);
+		/// the canvas aspect is already in the projection
+		const aspectFix = this.renderer.viewport.aspect / (width / height);
+		/// tiles need the live stream, not the frozen one
+		const execCode = this.renderer.execCode;
+		const frameDebugger = execCode.frameDebugger;
+		execCode.frameDebugger = null;
+		
+		try {
+			for(let y0 = 0; y0 < height; y0 += tileSize) {
+				for(let x0 = 0; x0 < width; x0 += tileSize) {
+					const tileWidth  = Math.min(tileSize, width  - x0);
+					const tileHeight = Math.min(tileSize, height - y0);
+					
+					/// full image ndc -> tile ndc
+					const sx = width / tileWidth;
+					const sy = height / tileHeight;
+					const ox = -(((x0 + tileWidth  / 2) / width ) * 2 - 1) * sx;
+					const oy = -(((y0 + tileHeight / 2) / height) * 2 - 1) * sy;
+					
+					const tileMatrix = this._tileMatrix;
+					tileMatrix.set(projectionViewMatrix);
+					transformClipXY(tileMatrix, 0, sx * aspectFix, ox, sy, oy);
+					const uniformMemory = rr.uniformMemory.slice();
+					forEachRRMatrix(rr.cmdMemory, uniformMemory, 
+						(F32, offset) => transformClipXY(F32, offset, sx * aspectFix, ox, sy, oy));
+					
+					gl.bindFramebuffer(gl.FRAMEBUFFER, target.glFramebuffer);
+					gl.viewport(0, 0, tileWidth, tileHeight);
+					this.renderer.renderFrame({ cmdMemory: rr.cmdMemory, uniformMemory }, tileMatrix, projectionViewMatrix);
+					
+					/// gl rows go up, image rows go down
+					const tilePixels = pixels.subarray(0, tileWidth * tileHeight * 4);
+					gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, tilePixels);
+					const imageData = ctx.createImageData(tileWidth, tileHeight);
+					const rowSize = tileWidth * 4;
+					for(let row = 0; row < tileHeight; row++)
+						imageData.data.set(tilePixels.subarray(row * rowSize, (row + 1) * rowSize), (tileHeight - 1 - row) * rowSize);
+					ctx.putImageData(imageData, x0, height - y0 - tileHeight);
+				}
+			}
+		} catch(e) {
+			reject(e);
+			return;
+		} finally {
+			execCode.frameDebugger = frameDebugger;
+			this._deleteTarget(target);
+			gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+		}
+		
+		canvas.toBlob(blob => {
+			if ( !blob ) {
+				reject(new Error(`Screenshot: ${width}x${height} could not be encoded`));
+				return;
+			}
+			/// no webp encoder falls back to png
+			resolve({ blob, fileName: this.getFileName(width, height, blob.type) });
+		}, type, quality);
+	}
+	
+	download({blob, fileName}) {
+		const a = document.createElement("a");
+		a.href = URL.createObjectURL(blob);
+		a.download = fileName;
+		a.click();
+		setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+	}
+	
+	async take(options) {
+		const result = await this.request(options);
+		this.download(result);
+		return result;
+	}
+}
+
+class ScreenshotPanel extends Panel {
+	constructor(screenshot, viewport) {
+		super({
+			name : "screenshot",
+			title: "Screenshot",
+			body : `
+				<table><tbody>
+					<tr><td>width</td><td><input class="screenshot-width" type="number" min="1" max="${SCREENSHOT_MAX_SIZE}" /></td></tr>
+					<tr><td>height</td><td><input class="screenshot-height" type="number" min="1" max="${SCREENSHOT_MAX_SIZE}" /></td></tr>
+					<tr><td>format</td><td>
+						<select class="screenshot-type">
+							<option value="image/png">png</option>
+							<option value="image/webp">webp</option>
+						</select>
+					</td></tr>
+				</tbody></table>
+				<button class="screenshot-window">Window size</button>
+				<button class="screenshot-take">Take</button>
+				<div class="screenshot-status"></div>
+			`,
+			style: `
+				.screenshot-status {
+					padding: 1px 4px;
+				}
+			`,
+		});
+		this.screenshot = screenshot;
+		this.viewport = viewport;
+		
+		this.$width  = this.$(".screenshot-width");
+		this.$height = this.$(".screenshot-height");
+		this.$type   = this.$(".screenshot-type");
+		this.$window = this.$(".screenshot-window");
+		this.$take   = this.$(".screenshot-take");
+		this.$status = this.$(".screenshot-status");
+
+		this.onwindow = () => {
+			this.$width.value = this.viewport.width;
+			this.$height.value = this.viewport.height;
+		};
+		this.ontake = () => {
+			this.$status.textContent = "...";
+			this.screenshot
+				.take({
+					width : parseInt(this.$width.value),
+					height: parseInt(this.$height.value),
+					type  : this.$type.value,
+				})
+				.then(({blob, fileName}) => this.$status.textContent = `${fileName} ${ (blob.size / 1024 / 1024).toFixed(1) }MB`)
+				.catch(e => {
+					console.log(e);
+					this.$status.textContent = e.message;
+				});
+		};
+
+		this.setEvents();
+		this.mount();
+	}
+	
+	onToggle() {
+		if ( this.isOpen && !this.$width.value )
+			this.onwindow();
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$window.addEventListener("click", this.onwindow);
+		this.$take.addEventListener("click", this.ontake);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$window.removeEventListener("click", this.onwindow);
+		this.$take.removeEventListener("click", this.ontake);
+	}
+}
+
+/// reads textures back as RGBA8 by drawing them into a framebuffer, any format and size
+class TextureReader {
+	constructor(gl) {
+		this.gl = gl;
+		
+		this.program = new GlProgram(gl, ...getShaderSource_TEXTURE_COPY());
+		this.glVertexBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.glVertexBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+		gl.bindBuffer(gl.ARRAY_BUFFER, null);
+		this.vertexArray = new PassVertexArray(gl);
+	}
+	
+	/// -> ImageData of glTexture drawn at width x height, top row first as texImage2D wants it
+	_read(glTexture, width, height) {
+		const gl = this.gl;
+		const program = this.program;
+		
+		const glTarget = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, glTarget);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+		const glFramebuffer = gl.createFramebuffer();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, glFramebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, glTarget, 0);
+		gl.viewport(0, 0, width, height);
+		
+		program.use();
+		gl.uniform1i(program.u_Texture, 0);
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindTexture(gl.TEXTURE_2D, glTexture);
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.glVertexBuffer);
+		gl.enableVertexAttribArray(program.a_Position);
+		gl.vertexAttribPointer(program.a_Position, 2, gl.FLOAT, false, 8, 0);
+		gl.drawArrays(gl.TRIANGLES, 0, 3);
+		gl.disableVertexAttribArray(program.a_Position);
+		
+		const imageData = new ImageData(width, height);
+		gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(imageData.data.buffer));
+		
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.deleteFramebuffer(glFramebuffer);
+		gl.deleteTexture(glTarget);
+		return imageData;
+	}
+	
+	/// list: [{ glTexture, width, height }] -> ImageData list; between frames or after one
+	read(list) {
+		const gl = this.gl;
+		
+		/// the draws touch state the next frame sets again anyway, except these
+		this.vertexArray.begin();
+		const wasDepthTest = gl.isEnabled(gl.DEPTH_TEST);
+		const wasBlend = gl.isEnabled(gl.BLEND);
+		const wasCullFace = gl.isEnabled(gl.CULL_FACE);
+		gl.disable(gl.DEPTH_TEST);
+		gl.disable(gl.BLEND);
+		gl.disable(gl.CULL_FACE);
+		
+		try {
+			return list.map(({glTexture, width, height}) => this._read(glTexture, width, height));
+		} finally {
+			gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+			gl.bindBuffer(gl.ARRAY_BUFFER, null);
+			this.vertexArray.end();
+			if ( wasDepthTest ) gl.enable(gl.DEPTH_TEST);
+			if ( wasBlend ) gl.enable(gl.BLEND);
+			if ( wasCullFace ) gl.enable(gl.CULL_FACE);
+		}
+	}
+	
+	delete() {
+		this.gl.deleteBuffer(this.glVertexBuffer);
+		this.vertexArray.delete();
+	}
+}
+
+/**
+	ExecCode captures: the frame's commands and uniforms as they were drawn, plus every buffer
+	and texture they bind, in one file that replay.html draws without the wasm module.
+	Textures are read back through a draw into an RGBA8 framebuffer: level 0 at full size
+	(#capturetexsize caps it), decoded from compressed formats, alpha not premultiplied.
+	Mipmaps are generated again on replay. MaterialSystem's parameters of the frame
+	(uv animation, colors, texture frames) are stored with it and frozen on replay.
+	
+	typedef struct {
+		char     magic[4];          /// "RRCP"
+		uint32_t version;
+		uint32_t headerSize;
+		char     header[headerSize]; /// JSON; offsets of the parts are relative to data
+		uint8_t  data[];             /// parts, 4-byte aligned
+	} rrCapture_t;
+*/
+const RR_CAPTURE_MAGIC = "RRCP";
+const RR_CAPTURE_VERSION = 2;
+
+/// -> { buffers: Map<id, glBufferType>, textures: Set<id> } the commands bind
+function getRRResources(cmdMemory) {
+	const buffers = new Map();
+	const textures = new Set();
+	for(let cursor = 0; cursor < cmdMemory.length; ) {
+		const cmd = cmdMemory[cursor++];
+		const numArgs = RR_CMD_NUM_ARGS[cmd];
+		if ( numArgs === undefined )
+			break;
+		
+		if ( cmd === RR_CMD.BIND_VB && !buffers.has(cmdMemory[cursor]) )
+			buffers.set(cmdMemory[cursor], WebGLRenderingContext.ARRAY_BUFFER);
+		else if ( cmd === RR_CMD.BIND_IB && !buffers.has(cmdMemory[cursor]) )
+			buffers.set(cmdMemory[cursor], WebGLRenderingContext.ELEMENT_ARRAY_BUFFER);
+		else if ( cmd === RR_CMD.BIND_TEXTURE )
+			textures.add(cmdMemory[cursor]);
+		else if ( cmd === RR_CMD.SET_ACTIVE_TEXTURE )
+			textures.add(cmdMemory[cursor + 1]);
+		cursor += numArgs;
+	}
+	return { buffers, textures };
+}
+
+/// parts: ArrayBufferView list; header gets { offset, size } of each part in part.entry
+function writeRRCapture(header, parts) {
+	let size = 0;
+	for(const {entry, data} of parts) {
+		entry.offset = size;
+		entry.size = data.byteLength;
+		size += Math.ceil(data.byteLength / 4) * 4;
+	}
+	
+	const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+	const prefix = new Uint8Array(12);
+	const view = new DataView(prefix.buffer);
+	prefix.set(new TextEncoder().encode(RR_CAPTURE_MAGIC), 0);
+	view.setUint32(4, RR_CAPTURE_VERSION, true);
+	view.setUint32(8, headerBytes.byteLength, true);
+	
+	/// data starts 4-byte aligned too
+	const headerPadding = new Uint8Array((4 - headerBytes.byteLength % 4) % 4);
+	const blobParts = [prefix, headerBytes, headerPadding];
+	for(const {data} of parts) {
+		blobParts.push(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+		blobParts.push(new Uint8Array((4 - data.byteLength % 4) % 4));
+	}
+	return new Blob(blobParts, { type: "application/octet-stream" });
+}
+/// -> { header, getPart(entry) -> Uint8Array }
+function readRRCapture(arrayBuffer) {
+	const view = new DataView(arrayBuffer);
+	const magic = new TextDecoder().decode(new Uint8Array(arrayBuffer, 0, 4));
+	if ( magic !== RR_CAPTURE_MAGIC )
+		throw new Error(`Bad capture magic; expected "${RR_CAPTURE_MAGIC}", got "${magic}"`);
+	const version = view.getUint32(4, true);
+	if ( version !== RR_CAPTURE_VERSION )
+		throw new Error(`Bad capture version; expected ${RR_CAPTURE_VERSION}, got ${version}`);
+	
+	const headerSize = view.getUint32(8, true);
+	const header = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, 12, headerSize)));
+	const dataOffset = 12 + Math.ceil(headerSize / 4) * 4;
+	return {
+		header,
+		getPart: ({offset, size}) => new Uint8Array(arrayBuffer, dataOffset + offset, size),
+	};
+}
+
+class FrameCapture {
+	constructor(gl, renderer) {
+		this.gl = gl;
+		this.renderer = renderer;
+		/// 0: full size
+		this.maxTextureSize = gbGetConstI("capturetexsize", 0);
+		
+		/// { resolve, reject }
+		this.pending = null;
+		
+		this.textureReader = new TextureReader(gl);
+	}
+	
+	get isPending() {
+		return !!this.pending;
+	}
+	
+	/// -> Promise<{ blob, fileName }>, taken at the end of the next frame
+	request() {
+		if ( this.pending )
+			return Promise.reject(new Error(`FrameCapture: already capturing`));
+		return new Promise((resolve, reject) => this.pending = { resolve, reject });
+	}
+	
+	/// called by Renderer after the frame, while rr is still the frame's
+	capture(rr, projectionViewMatrix) {
+		const {resolve, reject} = this.pending;
+		this.pending = null;
+		
+		const renderer = this.renderer;
+		const camera = renderer.camera;
+		const {buffers, textures} = getRRResources(rr.cmdMemory);
+		const materials = renderer.materialSystem.getState();
+		for(const params of materials.slots)
+			if ( params )
+				[params.frameTextureId, params.layerTextureId].filter(id => id !== -1).map(id => textures.add(id));
+		const header = {
+			date                : new Date().toISOString(),
+			mapName             : renderer.mapManager.mapName,
+			camera              : { pos: [...camera.pos], yaw: camera.yaw, pitch: camera.pitch },
+			canvas              : [renderer.viewport.width, renderer.viewport.height],
+			projectionViewMatrix: [...projectionViewMatrix],
+			environment         : renderer.environment.params,
+			materials,
+			cmdMemory           : {},
+			uniformMemory       : {},
+			buffers             : [],
+			textures            : [],
+		};
+		const parts = [
+			{ entry: header.cmdMemory    , data: rr.cmdMemory.slice() },
+			{ entry: header.uniformMemory, data: rr.uniformMemory.slice() },
+		];
+		
+		for(const [id, glBufferType] of buffers) {
+			const source = APIJS.GEOMETRYBUFFER.getBufferSource(id);
+			if ( !source )
+				continue;
+			const entry = { id, glBufferType };
+			header.buffers.push(entry);
+			parts.push({ entry, data: new Uint8Array(source.arrayBuffer.slice(0)) });
+		}
+		
+		try {
+			const list = [];
+			for(const id of textures) {
+				if ( !glTextures[id] )
+					continue;
+				const [originalWidth, originalHeight] = APIJS.TEX.getTextureSize(id) || [1, 1];
+				const scale = this.maxTextureSize ? Math.min(1, this.maxTextureSize / Math.max(originalWidth, originalHeight)) : 1;
+				const width = Math.max(1, Math.round(originalWidth * scale));
+				const height = Math.max(1, Math.round(originalHeight * scale));
+				
+				const entry = { id, width, height, originalWidth, originalHeight, type: "rgba8" };
+				header.textures.push(entry);
+				list.push({ entry, glTexture: glTextures[id], width, height });
+			}
+			this.textureReader
+				.read(list)
+				.map((imageData, i) => parts.push({ entry: list[i].entry, data: new Uint8Array(imageData.data.buffer) }));
+		} catch(e) {
+			reject(e);
+			return;
+		}
+		
+		resolve({
+			blob    : writeRRCapture(header, parts),
+			fileName: `${ header.mapName }_${ header.date.replace(/[:.]/g, "-") }.rrcap`,
+		});
+	}
+	
+	download({blob, fileName}) {
+		const a = document.createElement("a");
+		a.href = URL.createObjectURL(blob);
+		a.download = fileName;
+		a.click();
+		setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+	}
+	
+	async take() {
+		const result = await this.request();
+		this.download(result);
+		return result;
+	}
+}
+
+class FrameCapturePanel extends Panel {
+	constructor(frameCapture) {
+		super({
+			name : "capture",
+			title: "Capture",
+			body : `
+				<button class="capture-take">Capture frame</button>
+				<a class="capture-replay" href="replay.html" target="_blank">replay.html</a>
+				<div class="capture-status"></div>
+			`,
+			style: `
+				.capture-replay, .capture-status {
+					padding: 1px 4px;
+					color: #AAA;
+				}
+			`,
+		});
+		this.frameCapture = frameCapture;
+		
+		this.$take   = this.$(".capture-take");
+		this.$status = this.$(".capture-status");
+
+		this.ontake = () => {
+			this.$status.textContent = "...";
+			this.frameCapture
+				.take()
+				.then(({blob, fileName}) => this.$status.textContent = `${fileName} ${ (blob.size / 1024 / 1024).toFixed(1) }MB`)
+				.catch(e => {
+					console.log(e);
+					this.$status.textContent = e.message;
+				});
+		};
+
+		this.setEvents();
+		this.mount();
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$take.addEventListener("click", this.ontake);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$take.removeEventListener("click", this.ontake);
+	}
+}
+
+/**
+	Draws a capture with the viewer's Renderer but without wasm: the captured buffers and
+	textures go into glBuffers/glTextures under their original ids.
+*/
+class FrameReplay {
+	constructor(renderer) {
+		this.renderer = renderer;
+		this.gl = renderer.gl;
+		
+		this.header = null;
+		this.rr = null;
+		this.projectionViewMatrix = new Float32Array(16);
+		
+		/// id -> GlBuffer, also the geometry source of RenderPassSorter
+		this.bufferSources = new Map();
+		this.textureIds = [];
+	}
+	
+	getBufferSource(id) {
+		return this.bufferSources.get(id) || null;
+	}
+	
+	clear() {
+		const gl = this.gl;
+		for(const [id, source] of this.bufferSources) {
+			gl.deleteBuffer(source.glBuffer);
+			glBuffers[id] = null;
+		}
+		this.bufferSources.clear();
+		
+		for(const id of this.textureIds) {
+			gl.deleteTexture(glTextures[id]);
+			glTextures[id] = null;
+		}
+		this.textureIds = [];
+		
+		this.header = null;
+		this.rr = null;
+		if ( this.renderer.renderPassSorter )
+			this.renderer.renderPassSorter.clear();
+		if ( this.renderer.materialSystem )
+			this.renderer.materialSystem.clear();
+	}
+	
+	async load(arrayBuffer) {
+		const gl = this.gl;
+		this.clear();
+		
+		const {header, getPart} = readRRCapture(arrayBuffer);
+		const copy = (entry, TypedArray) => {
+			const bytes = getPart(entry);
+			const data = new TypedArray(bytes.byteLength / TypedArray.BYTES_PER_ELEMENT);
+			new Uint8Array(data.buffer).set(bytes);
+			return data;
+		};
+		
+		for(const entry of header.buffers) {
+			const source = new GlBuffer(gl, entry.glBufferType);
+			source.bind().bufferData(copy(entry, Uint8Array));
+			this.bufferSources.set(entry.id, source);
+			glBuffers[entry.id] = source.glBuffer;
+		}
+		
+		for(const entry of header.textures) {
+			const isPowerOf2 = [entry.width, entry.height].every(v => (v & (v - 1)) === 0);
+			
+			const glTexture = gl.createTexture();
+			gl.bindTexture(gl.TEXTURE_2D, glTexture);
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, entry.width, entry.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, copy(entry, Uint8Array));
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, isPowerOf2 ? gl.REPEAT : gl.CLAMP_TO_EDGE);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, isPowerOf2 ? gl.REPEAT : gl.CLAMP_TO_EDGE);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, isPowerOf2 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+			if ( isPowerOf2 )
+				gl.generateMipmap(gl.TEXTURE_2D);
+			
+			glTextures[entry.id] = glTexture;
+			this.textureIds.push(entry.id);
+		}
+		
+		/// fixProjection tells matrices apart by byte address, so the view-projection lives behind the uniforms
+		const uniformSize = header.uniformMemory.size;
+		const storage = new ArrayBuffer(uniformSize + 16*4);
+		const uniformMemory = new Int32Array(storage, 0, uniformSize / 4);
+		new Uint8Array(storage).set(getPart(header.uniformMemory));
+		this.projectionViewMatrix = new Float32Array(storage, uniformSize, 16);
+		this.projectionViewMatrix.set(header.projectionViewMatrix);
+		
+		this.header = header;
+		this.rr = {
+			cmdMemory: copy(header.cmdMemory, Int32Array),
+			uniformMemory,
+		};
+		
+		const renderer = this.renderer;
+		renderer.environment.mapName = header.mapName;
+		renderer.environment.params = JSON.parse(JSON.stringify(header.environment));
+		renderer.materialSystem.setState(header.materials);
+		renderer.camera.pos.set(header.camera.pos);
+		renderer.camera.yaw = header.camera.yaw;
+		renderer.camera.pitch = header.camera.pitch;
+		return header;
+	}
+	
+	render() {
+		const renderer = this.renderer;
+		const gl = this.gl;
+		
+		gl.clearColor(0, 0, 0, 1);
+		gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+		if ( !this.rr )
+			return;
+		
+		/// the capture's canvas may have had another aspect; a no-op once fixed
+		renderer.viewport.fixProjection(this.rr, this.projectionViewMatrix);
+		
+		const cameraPos = renderer.camera.pos;
+		renderer.lighting.update(cameraPos);
+		renderer.lighting.renderShadows(this.rr, cameraPos);
+		renderer.lighting.bindShadowMap();
+		renderer.renderFrame(this.rr, this.projectionViewMatrix);
+	}
+	
+	getText() {
+		const header = this.header;
+		if ( !header )
+			return `drop a .rrcap file or pick one\n`;
+		return [
+			`${ header.mapName } ${ header.date }`,
+			`canvas: ${ header.canvas.join("x") }`,
+			`commands: ${ this.rr.cmdMemory.length } ints, uniforms: ${ this.rr.uniformMemory.byteLength } bytes`,
+			`buffers: ${ header.buffers.length }, textures: ${ header.textures.length }`,
+		].join("\n") + "\n";
+	}
+}
+
+/**
+	Steps through the main ExecCode stream: while attached (execCode.frameDebugger) the first frame's
+	stream and uniforms are frozen and replayed every frame, up to and including command stopAt.
+	The rest of the frame (sky, particles, shadows) stays live.
+*/
+class FrameDebugger extends EventTarget {
+	constructor(gl) {
+		super();
+		this.gl = gl;
+		
+		/// { cmdMemory, uniformMemory } copies; null: freeze the next frame
+		this.frame = null;
+		/// decodeRRCommands of the frozen stream
+		this.commands = [];
+		/// last command ExecCode runs, -1: all
+		this.stopAt = -1;
+		this.highlight = true;
+		
+		this.textureReader = new TextureReader(gl);
+	}
+	
+	refresh() {
+		this.frame = null;
+	}
+	
+	/// from ExecCode.exec -> the stream to run instead
+	begin(cmdMemory, uniformMemory) {
+		if ( !this.frame ) {
+			this.frame = { cmdMemory: cmdMemory.slice(), uniformMemory: uniformMemory.slice() };
+			this.commands = decodeRRCommands(this.frame.cmdMemory);
+			this.stopAt = Math.min(this.stopAt, this.commands.length - 1);
+			/// listeners read textures back, not in the middle of exec
+			queueMicrotask(() => this.dispatchEvent(new Event("update")));
+		}
+		return [this.frame.cmdMemory, this.frame.uniformMemory];
+	}
+	
+	/// from ExecCode.exec right after command index ran; draws it again over everything in magenta
+	stop(index) {
+		const command = this.commands[index];
+		if ( !this.highlight || !command || !command.isDraw )
+			return;
+		
+		const gl = this.gl;
+		const wasBlend = gl.isEnabled(gl.BLEND);
+		const wasDepthTest = gl.isEnabled(gl.DEPTH_TEST);
+		const depthMask = gl.getParameter(gl.DEPTH_WRITEMASK);
+		const blendFunc = [gl.BLEND_SRC_RGB, gl.BLEND_DST_RGB, gl.BLEND_SRC_ALPHA, gl.BLEND_DST_ALPHA].map(p => gl.getParameter(p));
+		const blendColor = gl.getParameter(gl.BLEND_COLOR);
+		
+		/// the draw's own colors tinted, over the frame dimmed; hidden parts too
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.CONSTANT_COLOR, gl.ONE_MINUS_CONSTANT_ALPHA);
+		gl.blendColor(1, 0.2, 1, 0.5);
+		gl.disable(gl.DEPTH_TEST);
+		gl.depthMask(false);
+		
+		const [start, count, primcount] = command.args;
+		if ( command.cmd === RR_CMD.DRAW_ELEMENTS_TRI_U32 )
+			gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, start*4);
+		else
+			glInstancedArraysExt.drawElementsInstancedANGLE(gl.TRIANGLES, count, gl.UNSIGNED_INT, start*4, primcount);
+		
+		if ( !wasBlend ) gl.disable(gl.BLEND);
+		if ( wasDepthTest ) gl.enable(gl.DEPTH_TEST);
+		gl.depthMask(depthMask);
+		gl.blendFuncSeparate(...blendFunc);
+		gl.blendColor(...blendColor);
+	}
+	
+	/// -> [{ unit, id, width, height, imageData }] of the textures bound once command index ran
+	getTextures(index, maxSize = 128) {
+		const command = this.commands[index];
+		if ( !command )
+			return [];
+		
+		const list = Object.entries(command.state.textures)
+			.filter(([unit, id]) => glTextures[id])
+			.map(([unit, id]) => {
+				const [width, height] = (APIJS.TEX && APIJS.TEX.getTextureSize(id)) || [1, 1];
+				const scale = Math.min(1, maxSize / Math.max(width, height));
+				return {
+					unit: parseInt(unit), id, width, height,
+					glTexture: glTextures[id],
+					readWidth : Math.max(1, Math.round(width  * scale)),
+					readHeight: Math.max(1, Math.round(height * scale)),
+				};
+			});
+		const images = this.textureReader.read(list.map(({glTexture, readWidth, readHeight}) => 
+			({ glTexture, width: readWidth, height: readHeight })));
+		return list.map(({unit, id, width, height}, i) => ({ unit, id, width, height, imageData: images[i] }));
+	}
+	
+	delete() {
+		this.textureReader.delete();
+	}
+}
+
+class FrameDebuggerPanel extends Panel {
+	constructor(frameDebugger, execCode) {
+		super({
+			name : "debugger",
+			title: "Frame debugger",
+			body : `
+				<div>
+					<button class="debugger-refresh">Refresh</button>
+					<button class="debugger-prev">&lt; draw</button>
+					<button class="debugger-next">draw &gt;</button>
+					<label><input class="debugger-highlight" type="checkbox" checked /> highlight</label>
+					<span class="debugger-position"></span>
+				</div>
+				<input class="debugger-scrub" type="range" min="0" max="0" step="1" />
+				<div class="debugger-list"></div>
+				<div class="debugger-textures"></div>
+			`,
+			style: `
+				.debugger-body {
+					width: 640px;
+				}
+				.debugger-scrub {
+					width: 100%;
+				}
+				.debugger-list {
+					max-height: 40vh;
+					overflow-y: auto;
+					white-space: pre;
+					cursor: pointer;
+				}
+				.debugger-list div:hover {
+					background: #333;
+				}
+				.debugger-list .draw {
+					color: #DDD;
+				}
+				.debugger-list .current {
+					color: #F4F;
+					background: #444;
+				}
+				.debugger-textures > div {
+					display: inline-block;
+					margin: 4px 4px 0 0;
+					vertical-align: top;
+				}
+				.debugger-textures canvas {
+					display: block;
+					background: repeating-conic-gradient(#555 0 25%, #333 0 50%) 0 0 / 16px 16px;
+				}
+			`,
+		});
+		this.frameDebugger = frameDebugger;
+		this.execCode = execCode;
+		this.$current = null;
+		
+		this.$refresh   = this.$(".debugger-refresh");
+		this.$prev      = this.$(".debugger-prev");
+		this.$next      = this.$(".debugger-next");
+		this.$highlight = this.$(".debugger-highlight");
+		this.$position  = this.$(".debugger-position");
+		this.$scrub     = this.$(".debugger-scrub");
+		this.$list      = this.$(".debugger-list");
+		this.$textures  = this.$(".debugger-textures");
+
+		this.onupdate = () => this.render();
+		this.onrefresh = () => this.frameDebugger.refresh();
+		this.onprev = () => this.selectDraw(-1);
+		this.onnext = () => this.selectDraw(1);
+		this.onhighlight = () => this.frameDebugger.highlight = this.$highlight.checked;
+		this.onscrub = () => this.select(parseInt(this.$scrub.value));
+		this.onclick = (event) => {
+			const $item = event.target.closest("[data-index]");
+			if ( $item )
+				this.select(parseInt($item.dataset.index));
+		};
+
+		this.setEvents();
+		this.mount();
+	}
+	
+	/// the list is built from the "update" of the refresh, not here
+	toggle(isOpen = !this.isOpen) {
+		this.isOpen = isOpen;
+		this.dom.classList.toggle("open", isOpen);
+		this.execCode.frameDebugger = isOpen ? this.frameDebugger : null;
+		this.frameDebugger.stopAt = -1;
+		this.frameDebugger.refresh();
+	}
+
+	render() {
+		const commands = this.frameDebugger.commands;
+		const $fragment = document.createDocumentFragment();
+		for(const {index, name, text, isDraw} of commands) {
+			const $item = document.createElement("div");
+			$item.dataset.index = index;
+			$item.textContent = `#${index} ${name} ${text}`;
+			if ( isDraw )
+				$item.classList.add("draw");
+			$fragment.appendChild($item);
+		}
+		this.$list.innerHTML = "";
+		this.$list.appendChild($fragment);
+		this.$current = null;
+		
+		this.$scrub.max = Math.max(commands.length - 1, 0);
+		const stopAt = this.frameDebugger.stopAt;
+		this.select(stopAt === -1 ? commands.length - 1 : stopAt);
+	}
+	
+	select(index) {
+		const frameDebugger = this.frameDebugger;
+		const commands = frameDebugger.commands;
+		if ( !commands.length )
+			return;
+		index = Math.min(Math.max(index, 0), commands.length - 1);
+		
+		frameDebugger.stopAt = index;
+		this.$scrub.value = index;
+		this.$position.textContent = `${index + 1} / ${commands.length}`;
+		
+		if ( this.$current )
+			this.$current.classList.remove("current");
+		this.$current = this.$list.children[index];
+		this.$current.classList.add("current");
+		this.$current.scrollIntoView({ block: "nearest" });
+		
+		this.$textures.innerHTML = "";
+		for(const {unit, id, width, height, imageData} of frameDebugger.getTextures(index)) {
+			const $texture = document.createElement("div");
+			const $canvas = document.createElement("canvas");
+			Object.assign($canvas, { width: imageData.width, height: imageData.height });
+			$canvas.getContext("2d").putImageData(imageData, 0, 0);
+			$texture.appendChild($canvas);
+			$texture.appendChild(document.createTextNode(`t${unit}: ${id} ${width}x${height}`));
+			this.$textures.appendChild($texture);
+		}
+	}
+	/// next draw in direction (1 or -1) from the selected command
+	selectDraw(direction) {
+		const commands = this.frameDebugger.commands;
+		for(let i = this.frameDebugger.stopAt + direction; i >= 0 && i < commands.length; i += direction) {
+			if ( commands[i].isDraw ) {
+				this.select(i);
+				return;
+			}
+		}
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$refresh.addEventListener("click", this.onrefresh);
+		this.$prev.addEventListener("click", this.onprev);
+		this.$next.addEventListener("click", this.onnext);
+		this.$highlight.addEventListener("change", this.onhighlight);
+		this.$scrub.addEventListener("input", this.onscrub);
+		this.$list.addEventListener("click", this.onclick);
+		this.frameDebugger.addEventListener("update", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$refresh.removeEventListener("click", this.onrefresh);
+		this.$prev.removeEventListener("click", this.onprev);
+		this.$next.removeEventListener("click", this.onnext);
+		this.$highlight.removeEventListener("change", this.onhighlight);
+		this.$scrub.removeEventListener("input", this.onscrub);
+		this.$list.removeEventListener("click", this.onclick);
+		this.frameDebugger.removeEventListener("update", this.onupdate);
+	}
+
+	delete() {
+		if ( this.execCode.frameDebugger === this.frameDebugger )
+			this.execCode.frameDebugger = null;
+		super.delete();
+	}
+}
+
+/**
+	Top-down orthographic map of the loaded BSP, rendered into an offscreen texture.
+	The whole bsp is drawn once, untextured, from its geometry buffers as soon as they stop
+	growing; every few frames the commands of the current frame are drawn over it textured,
+	so the places the camera has seen fill in. Nothing is drawn or read back while
+	isVisible is off, MinimapOverlay keeps it in step with the overlay.
+	
+	#nominimap     off
+	#minimap=<size> texture size, default 512
+*/
+class Minimap extends EventTarget {
+	constructor(gl, mapManager) {
+		super();
+		this.gl = gl;
+		this.mapManager = mapManager;
+		this.enabled = !gbGetConstBool("nominimap");
+		this.size = gbGetConstI("minimap", 0) || 512;
+		/// frames between two textured passes
+		this.interval = 15;
+		/// frames between two polls of the bsp buffers
+		this.pollInterval = 30;
+		/// shown somewhere; render() does nothing otherwise
+		this.isVisible = false;
+		
+		/// { min: [x, y, z], max: [x, y, z], extent }, square on x/z; null until the bsp is there
+		this.bounds = null;
+		this.pixels = new Uint8Array(this.size * this.size * 4);
+		this.numUpdates = 0;
 		
-		this.vbEmpty = new GlBuffer(gl);
-		this.ibEmpty = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+		this.projectionViewMatrix = glMatrix.mat4.create();
+		this._cameraToMapMatrix = glMatrix.mat4.create();
+		this._frame = 0;
+		/// bsp index bytes at the last poll
+		this._baseSize = 0;
 		
-		this.program = new GlProgram(gl, ...getShaderSource_BSP());
-		await this.initProgram();
+		this.glTexture = gl.createTexture();
+		this.glRenderbuffer = gl.createRenderbuffer();
+		this.glFramebuffer = gl.createFramebuffer();
+		this.vertexArray = new PassVertexArray(gl);
 		
-		//this.programEntityVertexTexture = new GlProgram(gl, entityVertexShaderSource, entityFragmentShaderSource);
-		//await this.initProgramEntityVertexTexture();
+		gl.bindTexture(gl.TEXTURE_2D, this.glTexture);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.size, this.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 		
-		this.programEntitySimple = new GlProgram(gl, ...getShaderSource_ENTITY());
-		await this.initProgramEntitySimple();
+		gl.bindRenderbuffer(gl.RENDERBUFFER, this.glRenderbuffer);
+		gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.size, this.size);
 		
-		this.programEntityInstnace = new GlProgram(gl, entityInstanceVertexShaderSource, entityInstanceFragmentShaderSource);
-		await this.initProgramEntityInstance();
-			
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.glFramebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.glTexture, 0);
+		gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.glRenderbuffer);
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		
+		this._createPrograms();
+		/// depthOnly keeps blending off and depth writes on; the minimap shaders discard instead
 		this.execCode = new ExecCode(gl, [
 			null,
-			{
-				program: this.program,
-				uniformList: [ this.program.u_ProjectionViewMatrix ]
-			},
-			{
-				program: this.programEntitySimple,
-				uniformList: [ this.programEntitySimple.u_ProjectionViewMatrix ]
-			},
-			{
-				program: this.programEntityInstnace,
-				uniformList: []
-			}
-		]);
+			{ program: this.programBsp      , uniformList: [ null ] },
+			{ program: this.programEntity   , uniformList: [ null ] },
+			{ program: this.programInstanced, uniformList: [] },
+		], { depthOnly: true });
+		
+		this.onload = () => this.clear();
+		this.mapManager.addEventListener("load", this.onload);
 	}
 	
-	async initProgram() {
+	_createPrograms() {
 		const gl = this.gl;
-		const program = this.program;
-
-		program.init = () => {
-			program.use();
-			
-			gl.uniform1i(this.program.u_Texture   , 0);
-			gl.uniform1i(this.program.u_LgtTexture, 1);
-			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
-			
-			this.vbEmpty.bind();
-			this.ibEmpty.bind();
-			program.enableVertexAttribArrayList();
-			program.vertexAttribPointerList();
+		const createProgram = (stride, isBsp, isInstanced) => {
+			const program = new GlProgram(gl, ...getShaderSource_MINIMAP(isBsp, isInstanced));
+			program.useAndSet = () => {
+				program.use();
+				gl.uniform1i(program.u_Texture, 0);
+				if ( isBsp )
+					gl.uniform1i(program.u_LgtTexture, 1);
+				gl.uniformMatrix4fv(program.u_ProjectionViewMatrix, false, 
+					isInstanced ? this._cameraToMapMatrix : this.projectionViewMatrix);
+			};
+			program.unuse = () => {};
+			program.vertexAttribPointerList = (offset = 0) => {
+				gl.enableVertexAttribArray(program.a_Position);
+				gl.enableVertexAttribArray(program.a_Uv);
+				gl.enableVertexAttribArray(program.a_Color);
+				gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT, false, stride, offset);
+				gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT, false, stride, offset+3*4);
+				if ( isBsp ) {
+					gl.enableVertexAttribArray(program.a_LgtUv);
+					gl.vertexAttribPointer(program.a_LgtUv, 2, gl.SHORT        , false, stride, offset+3*4+2*4);
+					gl.vertexAttribPointer(program.a_Color, 4, gl.UNSIGNED_BYTE, false, stride, offset+3*4+2*4+2*2);
+				} else {
+					gl.vertexAttribPointer(program.a_Color, 4, gl.UNSIGNED_BYTE, false, stride, offset+3*4+2*4);
+				}
+			};
+			return program;
 		};
-		program.useAndSet = () => {
-			program.use();
 		
-			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
-			
-			gl.uniform1i(program.u_Texture   , 0);
-			gl.uniform1i(program.u_LgtTexture, 1);
-			gl.uniform1f(program.u_GammaFactor, this.gammaFactor);
-		};
-		program.unuse = () => {};
-		program.enableVertexAttribArrayList = () => {
-			gl.enableVertexAttribArray(program.a_Position);
-			gl.enableVertexAttribArray(program.a_Uv);
-			gl.enableVertexAttribArray(program.a_LgtUv);
-			gl.enableVertexAttribArray(program.a_Color);
-		};
-		program.vertexAttribPointerList = () => {
-			gl.vertexAttribPointer(this.program.a_Position, 3, gl.FLOAT        , false, 28, 0);
-			gl.vertexAttribPointer(this.program.a_Uv      , 2, gl.FLOAT        , false, 28, 3*4);
-			gl.vertexAttribPointer(this.program.a_LgtUv   , 2, gl.SHORT        , false, 28, 3*4+2*4);
-			gl.vertexAttribPointer(this.program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 28, 3*4+2*4+2*2);
-		};
+		this.programBsp    = createProgram(28, true, false);
+		this.programEntity = createProgram(24, false, false);
 		
-		program.init();
-	}
-	async initProgramEntitySimple() {
-		const gl = this.gl;
-		const program = this.programEntitySimple;
-
-		program.init = () => {
-			program.use();
+		/// instanced matrices already hold the camera projection-view; undone by _cameraToMapMatrix
+		const program = this.programInstanced = createProgram(24, false, true);
+		const instancedList = [0, 1, 2, 3].map(i => program[`a_InstancedMatrix${i}`]);
+		program.instancedBuffer = new GlBuffer(gl, gl.ARRAY_BUFFER, gl.DYNAMIC_DRAW);
 		
-			gl.uniform1i(program.u_Texture   , 0);
-			
-			this.vbEmpty.bind();
-			this.ibEmpty.bind();
-			program.enableVertexAttribArrayList();
-			program.vertexAttribPointerList();
-		};
+		const useAndSet = program.useAndSet;
 		program.useAndSet = () => {
-			program.use();
-			gl.uniform4f(program.u_Color, 1, 1, 1, 1);
-			gl.uniform1f(program.u_GammaFactor, this.gammaFactor);
+			useAndSet();
+			instancedList.map(location => glInstancedArraysExt.vertexAttribDivisorANGLE(location, 1));
 		};
-		program.unuse = () => {};
-		program.enableVertexAttribArrayList = () => {
-			gl.enableVertexAttribArray(program.a_Position);
-			gl.enableVertexAttribArray(program.a_Uv);
-			gl.enableVertexAttribArray(program.a_Color);
+		program.unuse = () => {
+			instancedList.map(location => glInstancedArraysExt.vertexAttribDivisorANGLE(location, 0));
 		};
-		program.vertexAttribPointerList = () => {
-			program.enableVertexAttribArrayList();
-			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 24, 0);
-			gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT        , false, 24, 3*4);
-			gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 24, 3*4+2*4);
+		program.specialVertexAttribPointerList = (offset = 0) => {
+			program.instancedBuffer.bind();
+			instancedList.map((location, i) => {
+				gl.enableVertexAttribArray(location);
+				glInstancedArraysExt.vertexAttribDivisorANGLE(location, 1);
+				gl.vertexAttribPointer(location, 4, gl.FLOAT, false, 4*4*4, offset+i*4*4);
+			});
+		};
+		program.specialInstancedBufferData = (data) => {
+			program.instancedBuffer.bind().bufferData(data);
+			program.specialVertexAttribPointerList();
 		};
+		
+		this.programBase = new GlProgram(gl, ...getShaderSource_MINIMAP_BASE());
+	}
 	
-		program.init();
+	clear() {
+		this.bounds = null;
+		this._frame = 0;
+		this._baseSize = 0;
+		this.pixels.fill(0);
+		this.numUpdates++;
+		this.dispatchEvent(new Event("update"));
 	}
-	async initProgramEntityInstance() {
-		const gl = this.gl;
-		const program = this.programEntityInstnace;
+	
+	/// x -> [-1, 1] left to right, z -> [-1, 1] so that readPixels rows run from min z; higher y is nearer
+	updateMatrix() {
+		const {min, max, extent} = this.bounds;
+		const halfHeight = Math.max((max[1] - min[1]) / 2, 1);
+		const midHeight = (max[1] + min[1]) / 2;
 		
-		program.verticesBuffer = new GlBuffer(gl);
-		program.indexesBuffer = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
-		program.instancedBuffer = new GlBuffer(gl, gl.ARRAY_BUFFER, gl.DYNAMIC_DRAW);
+		const m = this.projectionViewMatrix;
+		glMatrix.mat4.identity(m);
+		m[0]  = 2 / extent;
+		m[5]  = 0;
+		m[6]  = -1 / halfHeight;
+		m[9]  = 2 / extent;
+		m[10] = 0;
+		m[12] = -2 * min[0] / extent - 1;
+		m[13] = -2 * min[2] / extent - 1;
+		m[14] = midHeight / halfHeight;
+	}
 	
-		const vbEmpty = new GlBuffer(gl);
-		const vbEmpty2 = new GlBuffer(gl);
+	/// -> true once the whole bsp is drawn; its buffers are taken when two polls agree on their size
+	_pollBase(rr) {
+		const geometryBuffer = APIJS.GEOMETRYBUFFER;
+		const parts = getRRDrawBuffers(rr.cmdMemory, RR_SHADER_BSP)
+			.map(({vb, ib}) => ({ vb, ib, vbSource: geometryBuffer.getBufferSource(vb), ibSource: geometryBuffer.getBufferSource(ib) }))
+			.filter(({vbSource, ibSource}) => vbSource && ibSource);
+		const size = parts.reduce((size, {ibSource}) => size + ibSource.arrayBuffer.byteLength, 0);
+		if ( !size || size !== this._baseSize ) {
+			this._baseSize = size;
+			return false;
+		}
+		
+		const {min, max} = getBspVertexBounds(parts.map(({vbSource}) => vbSource));
+		const extent = Math.max(max[0] - min[0], max[2] - min[2], 1) * 1.02;
+		for(const i of [0, 2]) {
+			const center = (min[i] + max[i]) / 2;
+			min[i] = center - extent / 2;
+			max[i] = center + extent / 2;
+		}
+		this.bounds = { min, max, extent };
+		this.updateMatrix();
+		
+		this._begin(true);
+		this._drawBase(parts);
+		this._end();
+		return true;
+	}
+	/// parts: [{ vb, ib, ibSource }] of the bsp, drawn with the buffers the wasm made
+	_drawBase(parts) {
+		const gl = this.gl;
+		const program = this.programBase;
+		
+		program.use();
+		gl.uniformMatrix4fv(program.u_ProjectionViewMatrix, false, this.projectionViewMatrix);
+		gl.uniform2f(program.u_HeightRange, this.bounds.min[1], this.bounds.max[1]);
+		gl.enableVertexAttribArray(program.a_Position);
+		gl.enableVertexAttribArray(program.a_Color);
+		for(const {vb, ib, ibSource} of parts) {
+			gl.bindBuffer(gl.ARRAY_BUFFER, glBuffers[vb]);
+			gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, glBuffers[ib]);
+			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 28, 0);
+			gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 28, 3*4+2*4+2*2);
+			gl.drawElements(gl.TRIANGLES, ibSource.arrayBuffer.byteLength / 4 | 0, gl.UNSIGNED_INT, 0);
+		}
+		
+		gl.disableVertexAttribArray(program.a_Position);
+		gl.disableVertexAttribArray(program.a_Color);
+		gl.bindBuffer(gl.ARRAY_BUFFER, null);
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+	}
 	
-		program.init = () => {
-			program.use();
-			
-			gl.uniform1i(program.u_Texture   , 0);
-			
-			vbEmpty.bind();
-			program.enableVertexAttribArrayList();
-			program.vertexAttribPointerList();
-			
-			program.instancedBuffer.bind();
-			program.specialEnableVertexAttribArrayList();
-			program.specialVertexAttribPointerList();
-		};
-		program.useAndSet = () => {
-			program.use();
-			
-			program.beginVertexAttribDivisorANGLEList();
-		};
-		program.unuse = () => {
-			program.endVertexAttribDivisorANGLEList();
+	/// the minimap programs use their own attributes; the arrays of the frame's VAO may point anywhere
+	_begin(isClear) {
+		const gl = this.gl;
+		this._saved = {
+			clearColor : gl.getParameter(gl.COLOR_CLEAR_VALUE),
+			blend      : gl.isEnabled(gl.BLEND),
+			cullFace   : gl.isEnabled(gl.CULL_FACE),
 		};
+		this.vertexArray.begin();
 		
-		program.enableVertexAttribArrayList = () => {
-			gl.enableVertexAttribArray(program.a_Position);
-			gl.enableVertexAttribArray(program.a_Uv);
-			gl.enableVertexAttribArray(program.a_Color);
-		};
-		program.vertexAttribPointerList = (offset = 0) => {
-			gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 24, offset+0);
-			gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT        , false, 24, offset+3*4);
-			gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 24, offset+3*4+2*4);
-		};
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.glFramebuffer);
+		gl.viewport(0, 0, this.size, this.size);
+		if ( isClear ) {
+			gl.clearColor(0, 0, 0, 1);
+			gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+		}
 		
-		program.beginVertexAttribDivisorANGLEList = () => {
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix0, 1);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix1, 1);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix2, 1);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix3, 1);
-		};
-		program.endVertexAttribDivisorANGLEList = () => {
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix0, 0);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix1, 0);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix2, 0);
-			glInstancedArraysExt.vertexAttribDivisorANGLE(program.a_InstancedMatrix3, 0);
-		};
+		gl.disable(gl.BLEND);
+		gl.disable(gl.CULL_FACE);
+		gl.enable(gl.DEPTH_TEST);
+		gl.depthFunc(gl.LEQUAL);
+		gl.depthMask(true);
+	}
+	_end() {
+		const gl = this.gl;
+		const saved = this._saved;
 		
+		gl.readPixels(0, 0, this.size, this.size, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
 		
-		program.specialEnableVertexAttribArrayList = () => {
-			gl.enableVertexAttribArray(program.a_InstancedMatrix0);
-			gl.enableVertexAttribArray(program.a_InstancedMatrix1);
-			gl.enableVertexAttribArray(program.a_InstancedMatrix2);
-			gl.enableVertexAttribArray(program.a_InstancedMatrix3);		
-		};
-		program.specialVertexAttribPointerList = (offset = 0) => {
-			program.instancedBuffer.bind();
-			program.beginVertexAttribDivisorANGLEList();
-			
-			gl.vertexAttribPointer(program.a_InstancedMatrix0, 4, gl.FLOAT, false, 4*4*4, offset+0*4*4);
-			gl.vertexAttribPointer(program.a_InstancedMatrix1, 4, gl.FLOAT, false, 4*4*4, offset+1*4*4);
-			gl.vertexAttribPointer(program.a_InstancedMatrix2, 4, gl.FLOAT, false, 4*4*4, offset+2*4*4);
-			gl.vertexAttribPointer(program.a_InstancedMatrix3, 4, gl.FLOAT, false, 4*4*4, offset+3*4*4);
-		};
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+		gl.clearColor(...saved.clearColor);
+		if ( saved.blend )
+			gl.enable(gl.BLEND);
+		if ( saved.cullFace )
+			gl.enable(gl.CULL_FACE);
+		
+		this.vertexArray.end();
+		this._saved = null;
+		
+		this.numUpdates++;
+		this.dispatchEvent(new Event("update"));
+	}
 	
-		program.specialInstancedBufferData = (data) => {
-			program.instancedBuffer.bind().bufferData(data);
-			//program.instancedBuffer.bind().bufferAppendData(new Float32Array(16))
-			//program.instancedBuffer.bind().bufferData(new Float32Array(16)).bufferAppendData(data);
-			this.__instb = data;
-			program.specialVertexAttribPointerList();
+	render(rr, cameraProjectionViewMatrix) {
+		if ( !this.enabled || !this.isVisible || !this.mapManager.mapName )
+			return;
+		
+		const frame = this._frame++;
+		if ( !this.bounds ) {
+			if ( frame % this.pollInterval === 0 )
+				this._pollBase(rr);
+			return;
+		}
+		if ( frame % this.interval )
+			return;
+		
+		const {mat4} = glMatrix;
+		if ( !mat4.invert(this._cameraToMapMatrix, cameraProjectionViewMatrix) )
+			mat4.identity(this._cameraToMapMatrix);
+		mat4.multiply(this._cameraToMapMatrix, this.projectionViewMatrix, this._cameraToMapMatrix);
+		
+		this._begin(false);
+		this.execCode.exec(rr.cmdMemory, rr.uniformMemory);
+		this.programInstanced.unuse();
+		this._end();
+	}
+	
+	/// world pos -> [u, v] in [0, 1], v from min z
+	toMap(pos) {
+		const {min, extent} = this.bounds;
+		return [ (pos[0] - min[0]) / extent, (pos[2] - min[2]) / extent ];
+	}
+	/// [u, v] -> [x, floor y or null, z]
+	toWorld(u, v) {
+		const {min, max, extent} = this.bounds;
+		const x = min[0] + u * extent;
+		const z = min[2] + v * extent;
+		const y = getNextYpos([x, max[1] + 100, z]);
+		return [x, y > NO_FLOOR_Y ? y : null, z];
+	}
+	
+	delete() {
+		const gl = this.gl;
+		this.mapManager.removeEventListener("load", this.onload);
+		gl.deleteFramebuffer(this.glFramebuffer);
+		gl.deleteRenderbuffer(this.glRenderbuffer);
+		gl.deleteTexture(this.glTexture);
+		this.vertexArray.delete();
+	}
+}
+
+/**
+	Minimap in the top left corner with the camera marker; click to teleport.
+	The header collapses it, and while collapsed the minimap is not rendered at all.
+*/
+class MinimapOverlay {
+	constructor(minimap, camera) {
+		this.minimap = minimap;
+		this.camera = camera;
+		this.isOpen = true;
+		this._numUpdates = -1;
+		this._raf = null;
+
+		this.html = `
+		<div class="minimap-overlay">
+			<button class="minimap-toggle">Map</button>
+			<div class="minimap-body">
+				<canvas class="minimap-canvas" width="${minimap.size}" height="${minimap.size}"></canvas>
+				<div class="minimap-marker"></div>
+			</div>
+		</div>
+		`;
+		this.dom = document.createElement("div");
+		this.dom.innerHTML = this.html;
+		this.dom = this.dom.children[0];
+		
+		this.$toggle = this.dom.querySelector(".minimap-toggle");
+		this.$body   = this.dom.querySelector(".minimap-body");
+		this.$canvas = this.dom.querySelector(".minimap-canvas");
+		this.$marker = this.dom.querySelector(".minimap-marker");
+		this.ctx = this.$canvas.getContext("2d");
+		this.imageData = this.ctx.createImageData(minimap.size, minimap.size);
+
+		this.style = document.createElement("style");
+		this.style.textContent = `
+			.minimap-overlay {
+				position: fixed;
+				left: 10px;
+				top: 10px;
+				z-index: 1000;
+				font: 12px monospace;
+				opacity: 0.85;
+			}
+			.minimap-overlay button {
+				display: block;
+				width: 100%;
+				padding: 2px 10px;
+				color: #AAA;
+				background: rgba(72, 72, 72, 0.8);
+				border: none;
+				text-align: left;
+				cursor: pointer;
+			}
+			.minimap-overlay button:hover {
+				background: #333;
+			}
+			.minimap-body {
+				display: none;
+				position: relative;
+				width: 200px;
+				height: 200px;
+				background: #000;
+				overflow: hidden;
+			}
+			.minimap-overlay.open .minimap-body {
+				display: block;
+			}
+			.minimap-canvas {
+				width: 100%;
+				height: 100%;
+				cursor: crosshair;
+			}
+			.minimap-marker {
+				position: absolute;
+				width: 0px;
+				height: 0px;
+				margin: -7px 0 0 -5px;
+				border-left: 5px solid transparent;
+				border-right: 5px solid transparent;
+				border-bottom: 14px solid #ff4040;
+				transform-origin: 5px 7px;
+				pointer-events: none;
+			}
+		`;
+
+		this.ontoggle = () => this.toggle();
+		this.onframe = () => {
+			this._raf = requestAnimationFrame(this.onframe);
+			this.render();
+		};
+		/// teleport; the camera must not start a drag
+		this.onmousedown = (event) => {
+			event.stopPropagation();
+			if ( !this.minimap.bounds )
+				return;
+			
+			const u = event.offsetX / this.$canvas.clientWidth;
+			const v = event.offsetY / this.$canvas.clientHeight;
+			const [x, floorY, z] = this.minimap.toWorld(u, v);
+			const camera = this.camera;
+			camera.stopPath();
+			camera.pos.set([x, floorY === null ? camera.pos[1] : floorY + camera.walk.config.eyeHeight, z]);
+			camera.walk.reset();
 		};
+
+		this.setEvents();
+		this.mount();
+		this.toggle(this.isOpen);
+	}
+	
+	toggle(isOpen = !this.isOpen) {
+		this.isOpen = isOpen;
+		this.dom.classList.toggle("open", isOpen);
+		this.minimap.isVisible = isOpen;
+		cancelAnimationFrame(this._raf);
+		if ( isOpen )
+			this._raf = requestAnimationFrame(this.onframe);
+	}
+
+	render() {
+		const minimap = this.minimap;
+		if ( this._numUpdates !== minimap.numUpdates ) {
+			this._numUpdates = minimap.numUpdates;
+			this.imageData.data.set(minimap.pixels);
+			this.ctx.putImageData(this.imageData, 0, 0);
+		}
 		
-		program.init();
+		this.$marker.style.display = minimap.bounds ? "block" : "none";
+		if ( !minimap.bounds )
+			return;
+		
+		/// position and heading as the wasm sees them
+		const o = tt();
+		const [u, v] = minimap.toMap(o.pos);
+		this.$marker.style.left = `${ u * 100 }%`;
+		this.$marker.style.top = `${ v * 100 }%`;
+		this.$marker.style.transform = `rotate(${ o.yaw[0] }deg)`;
 	}
 
-	async initProgramEntityVertexTexture() {
-		const gl = this.gl;
-		const program = this.programEntityVertexTexture;
-		program.use();
+	mount() {
+		document.body.appendChild(this.style);
+		document.body.appendChild(this.dom);
+	}
+	unmount() {
+		document.body.removeChild(this.style);
+		document.body.removeChild(this.dom);
+	}
 
-		program.verticesFloatTexture = new FloatTexture(gl);
-		program.vertexIdexesBuffer = new GlBuffer(gl);
-				
-		program.useAndSet = () => {
-			program.use();
-			
-			gl.enableVertexAttribArray( program.a_VertexOffset );
-			
-			program.vertexIdexesBuffer.bind();
-			gl.vertexAttribPointer(program.a_VertexOffset, 1, gl.FLOAT, false, 4, 0);
-			
-			gl.uniform1i(program.u_DataVerticesTexture, 4);
-			gl.activeTexture(gl.TEXTURE4);
-			program.verticesFloatTexture.bind();
-		};
+	setEvents() {
+		this.$toggle.addEventListener("click", this.ontoggle);
+		this.$canvas.addEventListener("mousedown", this.onmousedown);
+	}
+	deleteEvents() {
+		this.$toggle.removeEventListener("click", this.ontoggle);
+		this.$canvas.removeEventListener("mousedown", this.onmousedown);
 	}
 
-	
-	glSetTexture(texId, glTex) {
-		const gl = this.gl;
-		const map = new Map();
-		this.glSetTexture = (texId, glTex) => {
-		//	if ( map.get(texId) === glTex )
-		//		return;
-			
-			map.set(texId, glTex);
-			gl.activeTexture(texId);
-			gl.bindTexture(gl.TEXTURE_2D, glTex);
-		};
-		return this.glSetTexture(texId, glTex);
+	delete() {
+		cancelAnimationFrame(this._raf);
+		this.minimap.isVisible = false;
+		this.deleteEvents();
+		this.unmount();
+	}
+}
+
+/**
+	Map lifecycle: unload the current map (requests, renderer state), then load the next one
+	and put the camera at its spawn point.
+	The wasm has no unload entry point and keeps the texture/buffer ids and heap data of
+	the maps it loaded, so a map switch starts a new wasm instance: once it is ready the
+	old map's GL textures and buffers are deleted and the old instance goes with its heap
+	(file data included). The footprint stays that of one map.
+*/
+/// known spawn points; other maps derive one from their bsp geometry
+const MAP_SPAWN_POINTS = {
+	neutrala: { pos: [-7399.944336, 1042.556641+50, -5483.316895], yaw: 90, pitch: 0 },
+};
+class MapManager extends EventTarget {
+	constructor(renderer) {
+		super();
+		this.renderer = renderer;
+		this.mapName = null;
+		/// APIJS.GEOMETRYBUFFER.vbibList length when the current map started loading
+		this.firstVbib = 0;
+		/// whether the wasm instance already loaded a map
+		this.isWasmUsed = false;
+		this._loadSeq = 0;
 	}
 	
-	programRenderUse() {
-		const program = this.program;
-		program.use();
+	getSpawnPoint(mapName) {
+		mapName = mapName.toLowerCase();
+		const view = getCameraFromHash(mapName);
+		if ( view )
+			return view;
+		
+		if ( MAP_SPAWN_POINTS[mapName] )
+			return MAP_SPAWN_POINTS[mapName];
+		
+		try {
+			const obj = JSON.parse(localStorage.getItem("CAMERA_" + mapName));
+			if ( obj )
+				return obj;
+		} catch(e) {}
+		
+		return null;
+	}
+	setSpawnPoint(mapName) {
+		const camera = this.renderer.camera;
+		camera.walk.reset();
+		const spawn = this.getSpawnPoint(mapName);
+		if ( spawn ) {
+			camera.pos.set(spawn.pos);
+			camera.yaw = spawn.yaw;
+			camera.pitch = spawn.pitch;
+			return;
+		}
+		
+		camera.pos.set([0, 0, 0]);
+		camera.yaw = 0;
+		camera.pitch = 0;
+		this._deriveSpawnPoint(mapName);
+	}
+	/// bounds of the bsp vertices loaded for the current map, null while there are none
+	getBspBounds() {
+		const vbSources = [...new Set(APIJS.GEOMETRYBUFFER.vbibList.slice(this.firstVbib))]
+			.map(({vb}) => vb)
+			.filter(vb => vb.arrayBuffer);
+		const bounds = getBspVertexBounds(vbSources);
+		return bounds.min[0] <= bounds.max[0] ? bounds : null;
+	}
+	/// unknown map: stand on the ground under the middle of the bsp once it stopped streaming in
+	async _deriveSpawnPoint(mapName, maxFrames = 600, numStableFrames = 30) {
+		const camera = this.renderer.camera;
+		const start = [...camera.pos];
+		let numVbibs = 0, numStable = 0;
+		for(let i = 0; i < maxFrames && this.mapName === mapName; i++) {
+			await new Promise(requestAnimationFrame);
+			/// the user or a bookmark moved the camera meanwhile
+			if ( camera.pos.some((v, i) => v !== start[i]) )
+				return;
 			
-		//gl.uniformMatrix4fv(this.program.u_ProjectionViewMatrix , false, projectionViewMatrix);
-		gl.uniform1i(this.program.u_Texture   , 0);
-		gl.uniform1i(this.program.u_LgtTexture, 1);
-		gl.uniform1i(this.program.u_DataTexture, 2);
-
-		gl.activeTexture(gl.TEXTURE2);
-		this.program.floatTexture.bind();
-		glMatrix.mat4.identity( this.program.floatTexture.floatArray );
-		this.program.floatTexture.update();
+			const length = APIJS.GEOMETRYBUFFER.vbibList.length;
+			numStable = length === numVbibs ? numStable + 1 : 0;
+			numVbibs = length;
+			if ( numStable < numStableFrames )
+				continue;
 			
-		gl.enableVertexAttribArray(program.a_Position);
-		gl.enableVertexAttribArray(program.a_Uv);
-		gl.enableVertexAttribArray(program.a_LgtUv);
-		gl.enableVertexAttribArray(program.a_Color);
-		
-		this.program.verticesBuffer.bind();
-		gl.vertexAttribPointer(this.program.a_Position, 3, gl.FLOAT        , false, 28, 0);
-		gl.vertexAttribPointer(this.program.a_Uv      , 2, gl.FLOAT        , false, 28, 3*4);
-		gl.vertexAttribPointer(this.program.a_LgtUv   , 2, gl.SHORT        , false, 28, 3*4+2*4);
-		gl.vertexAttribPointer(this.program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 28, 3*4+2*4+2*2);	
-
-		this.program.indexesBuffer .bind();
+			const bounds = this.getBspBounds();
+			if ( !bounds )
+				continue;
+			
+			const {min, max} = bounds;
+			const pos = [(min[0] + max[0]) / 2, max[1], (min[2] + max[2]) / 2];
+			const y = getNextYpos(pos);
+			if ( y > -30e3 ) {
+				pos[1] = y + camera.walk.config.eyeHeight;
+				camera.pos.set(pos);
+				camera.walk.reset();
+				console.log(`MapManager: no spawn point for "${mapName}", using the middle of the map`);
+				return;
+			}
+		}
+		if ( this.mapName === mapName )
+			console.log(`MapManager: no spawn point for "${mapName}" and no ground found, camera left at the origin`);
 	}
-
 	
+	unload() {
+		if ( !this.mapName )
+			return;
+		
+		APIJS.FS.cancelRequests(FETCH_GROUP.MAP);
+		APIJS.FS.mapGUIDs.clear();
+		this.renderer.resetState();
+		
+		const mapName = this.mapName;
+		this.mapName = null;
+		this.dispatchEvent(Object.assign(new Event("unload"), { mapName }));
+	}
+	/// -> a new wasm instance, API_init done
+	async createWasm() {
+		const wasm = await wasmInit(Module$1);
+		wasm.API_init();
+		return wasm;
+	}
+	/// drops every GL object of the old instance, in the same tick as the instance is replaced
+	_setWasm(wasm) {
+		APIJS.TEX.deleteAll();
+		APIJS.GEOMETRYBUFFER.deleteAll();
+		[APIJS.FS, APIJS.TEX, APIJS.GEOMETRYBUFFER].map(api => api.setWasm(wasm));
+		globalThis.Module = globalThis.wasm = wasm;
+	}
 	
-	preRenderEntity(renderMatGroups) {
-		const gl = this.gl;
+	/// the old map stays on screen until the new instance is ready; the last of several calls wins
+	async load(mapName) {
+		mapName = mapName.toLowerCase();
+		const loadSeq = ++this._loadSeq;
+		const wasm = this.isWasmUsed ? await this.createWasm() : null;
+		if ( loadSeq !== this._loadSeq )
+			return;
 		
-		const groupMap = {};
-		for(const matGroup of renderMatGroups) {
-			if ( matGroup.entityId === -1 )
-				continue;
+		this.unload();
+		if ( wasm )
+			this._setWasm(wasm);
+		this.isWasmUsed = true;
+		
+		this.mapName = mapName;
+		this.firstVbib = APIJS.GEOMETRYBUFFER.vbibList.length;
+		Module.API_loadBsp(mapName);
+		this.setSpawnPoint(mapName);
+		
+		this.dispatchEvent(Object.assign(new Event("load"), { mapName }));
+	}
+}
 
-			const key = `${ matGroup.entityId }-${ matGroup.start }-${ matGroup.count }`;
-			const group = groupMap[key] = groupMap[key] || {
-				...matGroup,
-				matrixList: []
+/**
+	GPU time of a frame part via EXT_disjoint_timer_query; results arrive a few frames later
+*/
+class GpuTimer {
+	constructor(gl) {
+		this.gl = gl;
+		this.pending = [];
+		this.query = null;
+		
+		/// WebGL2 moved the query functions to the context
+		if ( isWebGL2(gl) ) {
+			const ext = gl.getExtension("EXT_disjoint_timer_query_webgl2");
+			this.ext = ext && {
+				TIME_ELAPSED_EXT          : ext.TIME_ELAPSED_EXT,
+				GPU_DISJOINT_EXT          : ext.GPU_DISJOINT_EXT,
+				QUERY_RESULT_AVAILABLE_EXT: gl.QUERY_RESULT_AVAILABLE,
+				QUERY_RESULT_EXT          : gl.QUERY_RESULT,
+				createQueryEXT   : () => gl.createQuery(),
+				deleteQueryEXT   : query => gl.deleteQuery(query),
+				beginQueryEXT    : (target, query) => gl.beginQuery(target, query),
+				endQueryEXT      : target => gl.endQuery(target),
+				getQueryObjectEXT: (query, pname) => gl.getQueryParameter(query, pname),
 			};
-				
-			group.matrixList.push(matGroup.matrix);
-		}
-		const groups = Object.values(groupMap);
-		for(const group of groups) {
-			group.matrixs = new Float32Array(group.matrixList.length*16);
-			let offset = 0;
-			for(const matrix of group.matrixList) {
-				group.matrixs.set(matrix, offset);
-				offset += 16;
-			}
+		} else {
+			this.ext = gl.getExtension("EXT_disjoint_timer_query");
 		}
-		
-		globalThis.groups=groups;
-		return groups;
 	}
 	
-	loopDraw() {
-		const draw = (frameTime) => {
-			requestAnimationFrame(draw);
-			
-			if ( !this.glBench )
-				this.glBench = new GLBench(gl, {
-					chartLen: 60,
-				});
-				
-			this.glBench.begin();
-			
-			
-			showInfo.begin();
-			
-			if ( this.stat ) this.stat.update();
-			
-			this.camera.update();
+	get supported() { return !!this.ext; }
 
-			const o = tt();
-			if ( !globalThis.noSyncWasm ) {
-				o.pos.set(this.camera.pos); 
-				o.pitch[0] = this.camera.pitch; 
-				o.yaw[0] = this.camera.yaw;
-			}
-			
+	begin(tag) {
+		const ext = this.ext;
+		if ( !ext || this.query )
+			return;
 
-			
-			this.saveFM = null;
-			if ( !this.saveFM ) {
-				deltaTimeMark.begin("Module.API_frameMove");
-					Module.API_frameMove();
-				deltaTimeMark.end("Module.API_frameMove");	
-				const projectionViewMatrix = tt().viewProjectMatrix;
-				const renderMatGroups = getMatGroupsRanges();
-			
-				this.saveFM = {
-					projectionViewMatrix, renderMatGroups
-				};
-			}
-			
-			const {projectionViewMatrix, renderMatGroups} = this.saveFM;	
+		this.query = ext.createQueryEXT();
+		ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, this.query);
+		this.pending.push({ query: this.query, tag });
+	}
+	end() {
+		const ext = this.ext;
+		if ( !ext || !this.query )
+			return;
 
+		ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+		this.query = null;
+	}
+	
+	/// -> [{tag, ms}] of finished queries; ms === null if the GPU was disjoint
+	poll() {
+		const gl = this.gl;
+		const ext = this.ext;
+		if ( !ext )
+			return [];
+
+		const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+		const results = [];
+		while(this.pending.length) {
+			const {query, tag} = this.pending[0];
+			if ( query === this.query || !ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT) )
+				break;
 
-			/** webgl render */
-			gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-			
-			gl.disable(gl.BLEND);
-			
-			gl.enable(gl.DEPTH_TEST);
-				gl.depthFunc(gl.LEQUAL);
-				gl.depthMask(gl.DEPTH_WRITEMASK);
-			
-			gl.enable(gl.CULL_FACE);
-				gl.cullFace(gl.FRONT);
-			
-			//this.programEntitySimple.useAndSet();
-			
-			const rr = getRR();
-			this.execCode.exec(rr.cmdMemory, rr.uniformMemory);
+			const ns = ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT);
+			results.push({ tag, ms: disjoint ? null : ns * 1e-6 });
+			ext.deleteQueryEXT(query);
+			this.pending.shift();
+		}
+		return results;
+	}
+}
 
-			//showInfo.addText(`numDrawTringles: ${numDrawTringles} \n`);
-			//showInfo.addText(`numDrawElementsCalls: ${numDrawElementsCalls} \n`);
-			showInfo.addText(deltaTimeMark.getText());
-			showInfo.end();
-			
-			this.glBench.end();
-			this.glBench.nextFrame(frameTime);
-		}; 
+/**
+	#bench[=<frames>][&benchmaps=NeutralA,Elan][&benchtimeout=<seconds>]
+	
+	For each map: load, wait until LoadingProgress reports it resident, warm up, then play
+	the camera path with a fixed time step for exactly <frames> frames, so every run
+	renders the same views. A map not resident within benchtimeout (default 300s) is
+	recorded with its error and no frames, and the run goes on with the next one.
+*/
+class Benchmark {
+	/// warmupFrames: after the map is resident, for shader compiles and texture uploads to settle
+	constructor(renderer, {maps, loadingProgress, frames = 600, warmupFrames = 60, residentTimeoutSec = 300} = {}) {
+		this.renderer = renderer;
+		this.loadingProgress = loadingProgress;
+		this.maps = maps;
+		this.frames = frames;
+		this.warmupFrames = warmupFrames;
+		this.residentTimeoutSec = residentTimeoutSec;
 		
-		requestAnimationFrame(draw);
+		this.gpuTimer = new GpuTimer(renderer.gl);
+		
+		this.results = [];
+		this.current = null;
+		this._frame = null;
+		this._frameWaiters = [];
+		this._frameBeginTime = 0;
+		this._prevFrameTime = null;
 	}
 
-	groupByTextures(renderMatGroups) {
-		let t = performance.now();
-		
-		const makeGroups = (arr, offset) => {
-			let seq = 0;
-			const groups = {};
-			for(let i = 0; i < arr.length; i += 4) {
-				const start = arr[i+0];
-				const count = arr[i+1];
-				const texId = arr[i+2];
-				const lgtTexId = arr[i+3];
-				const key = arr[i+offset];
-				groups[key] = groups[key] || {i: seq++, arr: []};
-				groups[key].arr.push(start, count, texId, lgtTexId);
-			}
-			
-			return Object
-				.values(groups)
-				.sort((l, r) => l.i - r.i)
-				.map(g => g.arr);
-		};
+	/// 8 keys around the middle of the loaded bsp, for maps without .cam; the spawn point without geometry
+	_createDefaultPath() {
+		const camera = this.renderer.camera;
+		const bounds = this.renderer.mapManager.getBspBounds();
+		let center = [...camera.pos];
+		let radius = 1500;
+		if ( bounds ) {
+			const {min, max} = bounds;
+			center = [(min[0] + max[0]) / 2, max[1], (min[2] + max[2]) / 2];
+			const y = getNextYpos(center);
+			center[1] = y > -30e3 ? y + camera.walk.config.eyeHeight : (min[1] + max[1]) / 2;
+			radius = Math.min(radius, Math.max(max[0] - min[0], max[2] - min[2]) / 4);
+		}
+		const keys = Array(8).fill(0).map((v, i) => {
+			const a = i / 8 * Math.PI * 2;
+			return {
+				pos   : [center[0] + Math.cos(a) * radius, center[1] + 300, center[2] + Math.sin(a) * radius],
+				target: center,
+			};
+		});
+		return new CameraPath({ keysPerSec: 0.5, keys });
+	}
+
+	async _getPath(mapName) {
+		try {
+			const {keysPerSec, keys} = await cameraPathControl.load(mapName);
+			const path = new CameraPath({ keysPerSec, keys });
+			path.loop = false;
+			return path;
+		} catch(e) {
+			console.log(`Benchmark: ${e.message}; using default path`);
+			return this._createDefaultPath();
+		}
+	}
+
+	_waitFrames(numFrames) {
+		return new Promise(resolve => this._frameWaiters.push({ numFrames, resolve }));
+	}
+	/// -> false if the map is not resident within timeoutSec
+	_waitResident(mapName, timeoutSec) {
+		const loadingProgress = this.loadingProgress;
+		return new Promise(resolve => {
+			const done = (isResident) => {
+				clearTimeout(timer);
+				loadingProgress.removeEventListener("resident", onresident);
+				resolve(isResident);
+			};
+			const onresident = (event) => {
+				if ( event.mapName === mapName )
+					done(true);
+			};
+			const timer = setTimeout(() => done(false), timeoutSec * 1e3);
+			loadingProgress.addEventListener("resident", onresident);
+		});
+	}
+
+	/// called by Renderer
+	frameBegin() {
+		this._frameBeginTime = performance.now();
 		
-		const result = makeGroups(renderMatGroups, 3)
-			.map(arr => makeGroups(arr, 2))
-			.flat()
-			.flat();
+		this._frame = null;
+		if ( this.current ) {
+			this._frame = {
+				frame      : this.current.frames.length,
+				frameMs    : null,
+				cpuMs      : null,
+				frameMoveMs: null,
+				execMs     : null,
+				gpuMs      : null,
+			};
+			this.current.frames.push(this._frame);
+			this.gpuTimer.begin(this._frame);
+		}
+	}
+	frameEnd(frameTime) {
+		this.gpuTimer.end();
+
+		const frame = this._frame;
+		if ( frame ) {
+			frame.frameMs     = this._prevFrameTime === null ? null : frameTime - this._prevFrameTime;
+			frame.cpuMs       = performance.now() - this._frameBeginTime;
+			frame.frameMoveMs = deltaTimeMark.map["Module.API_frameMove"];
+			frame.execMs      = deltaTimeMark.map["ExecCode.exec"];
+		}
+		this._prevFrameTime = frameTime;
 		
-		t = performance.now() - t;
-		//console.log(t);
+		for(const {tag, ms} of this.gpuTimer.poll())
+			tag.gpuMs = ms;
+
+		this._frameWaiters = this._frameWaiters.filter(waiter => {
+			if ( --waiter.numFrames > 0 )
+				return true;
+			waiter.resolve();
+			return false;
+		});
+	}
+
+	async _runMap(mapName) {
+		const camera = this.renderer.camera;
+		
+		/// listening before load: a cached map may become resident within a few polls
+		const resident = this._waitResident(mapName.toLowerCase(), this.residentTimeoutSec);
+		this.renderer.mapManager.load(mapName).catch(e => console.log(e));
+		if ( !await resident ) {
+			const error = `not resident after ${this.residentTimeoutSec}s`;
+			console.log(`Benchmark: ${mapName} ${error}; skipped`);
+			return { mapName, error, frames: [], summary: null };
+		}
+		await this._waitFrames(this.warmupFrames);
+		
+		const path = await this._getPath(mapName);
+		camera.fixedDeltaTimeSec = path.duration / this.frames;
+		camera.playPath(path);
+		
+		this._prevFrameTime = null;
+		this.current = { mapName, frames: [] };
+		await this._waitFrames(this.frames);
+		const result = this.current;
+		this.current = null;
+
+		camera.stopPath();
+		camera.fixedDeltaTimeSec = null;
+		
+		/// late GPU results
+		await this._waitFrames(10);
+		
+		result.summary = Benchmark.summary(result.frames);
 		return result;
 	}
-	
-	async loadEntityList() {
-		/*
-		this.entityNameList = loadEntityNames();
-		globalThis.entityNameList=this.entityNameList;
-		this.entityFilesList = await loadEntities(this.entityNameList);
-		globalThis.entityFilesList=this.entityFilesList;
+
+	async run() {
+		const camera = this.renderer.camera;
+		this.renderer.benchmark = this;
+		camera.stopEvents();
 		
-		this.entities = [];
-		let i = 0;
-		for(const entityFiles of this.entityFilesList) {
-			if ( entityFiles ) {
-				console.log(i, entityFiles);
-				await wrapWriteData(entityFiles.r3e, entityFiles.r3m, (pR3e, pR3m) => {
-					Module.API_loadEntity(i, pR3e, pR3m);
-				});
+		try {
+			for(const mapName of this.maps) {
+				console.log(`Benchmark: ${mapName}`);
+				this.results.push( await this._runMap(mapName) );
 			}
-			
-			i++;
+		} finally {
+			this.renderer.benchmark = null;
+			camera.startEvents();
 		}
-		*/
-		//return;
-		const vbib = readVerticesRenderData(Module.API_getEntityRenderDataAll());
-		console.log({vbib});
-		console.log( this.entities );
-		this.programEntitySimple.verticesBuffer.bind().bufferData(vbib.vertices);
-		this.programEntitySimple.indexesBuffer .bind().bufferData(vbib.indexes );
 		
-		this.programEntityInstnace.verticesBuffer.bind().bufferData(vbib.vertices);
-		this.programEntityInstnace.indexesBuffer .bind().bufferData(vbib.indexes );
-				
-				
-		if ( this.programEntityVertexTexture ) {
-			this.programEntityVertexTexture.verticesFloatTexture.setNumFloats( (vbib.vertices.byteLength/24 * 32) / 4 );
-			
-			for(let i = 0, j = 0; i < this.programEntityVertexTexture.verticesFloatTexture.floatArray.length; ) {
-				for(let k = 0; k < 6; k++)
-					this.programEntityVertexTexture.verticesFloatTexture.floatArray[i++] = vbib.vertices[j++];
-				i += 2;
-			}
-			
-			for(let i = 0, j = 0; i < this.programEntityVertexTexture.verticesFloatTexture.floatArray.length; ) {
-				for(let k = 0; k < 3; k++)
-					this.programEntityVertexTexture.verticesFloatTexture.floatArray[i++] = vbib.vertices[j++];
-				for(let k = 0; k < 3; k++) j++;
-				i++;
+		const report = this.getReport();
+		this.download(report);
+		return report;
+	}
+
+	static summary(frames) {
+		const keys = ["frameMs", "cpuMs", "frameMoveMs", "execMs", "gpuMs"];
+		const summary = {};
+		for(const key of keys) {
+			const values = frames
+				.map(f => f[key])
+				.filter(v => typeof v === "number")
+				.sort((l, r) => l - r);
+			if ( !values.length ) {
+				summary[key] = null;
+				continue;
 			}
-			this.programEntityVertexTexture.verticesFloatTexture.update();
 			
-			this.programEntityVertexTexture.vertexIdexesBuffer.bind().bufferData(new Float32Array(vbib.indexes));
+			const percentile = (p) => values[ Math.min(values.length - 1, Math.floor(values.length * p)) ];
+			summary[key] = {
+				avg: values.reduce((s, v) => s + v, 0) / values.length,
+				min: values[0],
+				p50: percentile(0.50),
+				p95: percentile(0.95),
+				p99: percentile(0.99),
+				max: values[values.length - 1],
+			};
 		}
+		return summary;
+	}
+
+	getReport() {
+		const gl = this.renderer.gl;
+		const glDebugRendererInfo = gl.getExtension("WEBGL_debug_renderer_info");
+		return {
+			date        : new Date().toISOString(),
+			userAgent   : navigator.userAgent,
+			glRenderer  : glDebugRendererInfo ? gl.getParameter(glDebugRendererInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+			canvas      : [this.renderer.canvas.width, this.renderer.canvas.height],
+			hash        : location.hash,
+			frames      : this.frames,
+			warmupFrames: this.warmupFrames,
+			gpuTimer    : this.gpuTimer.supported,
+			maps        : this.results,
+		};
+	}
+
+	static toCSV(report) {
+		const columns = ["frame", "frameMs", "cpuMs", "frameMoveMs", "execMs", "gpuMs"];
+		const lines = [ ["mapName", ...columns].join(",") ];
+		for(const {mapName, frames} of report.maps)
+			for(const frame of frames)
+				lines.push([mapName, ...columns.map(c => frame[c] === null ? "" : frame[c])].join(","));
+		return lines.join("\n");
+	}
+
+	download(report) {
+		const name = `benchmark-${ report.date.replace(/[:.]/g, "-") }`;
+		const save = (data, type, ext) => {
+			const a = document.createElement("a");
+			a.href = URL.createObjectURL(new Blob([data], {type}));
+			a.download = `${name}.${ext}`;
+			document.body.appendChild(a);
+			a.click();
+			document.body.removeChild(a);
+			setTimeout(() => URL.revokeObjectURL(a.href), 1e3);
+		};
+		save(JSON.stringify(report, null, "\t"), "application/json", "json");
+		save(Benchmark.toCSV(report), "text/csv", "csv");
 	}
-	
-	
 }
 
 
@@ -15285,9 +21001,9 @@ function getMatGroupsRanges() {
 	return array;
 }
 
-var _getPathCrossPointPTR = 0;
+/// scratch memory lives in the wasm instance it was allocated in
 function getPathCrossPoint(src = [0,0,0], dst = [0,0,0]) {
-	_getPathCrossPointPTR = _getPathCrossPointPTR || Module._malloc(4*3*2);
+	const _getPathCrossPointPTR = Module._getPathCrossPointPTR = Module._getPathCrossPointPTR || Module._malloc(4*3*2);
 	let fp = _getPathCrossPointPTR / 4;
 	
 	for(let i = 0; i < 3; i++) Module.HEAPF32[fp++] = src[i];
@@ -15312,7 +21028,25 @@ function getPathCrossPoint(src = [0,0,0], dst = [0,0,0]) {
 	
 	return {pos, flag, flagStr: flagMap[flag]};
 }
-function ExecCode(gl, shaderInfoList) {
+/// options.depthOnly: shadow pass; blending and depth test/write stay as set by the caller
+/**
+	Thrown by ExecCode with validate on: the first command that would read past cmdMemory or
+	uniformMemory or use a shader, texture, buffer or material slot that does not exist.
+	Without validate only an unknown command throws it, with an empty history.
+	index: command number in the stream, cursor: its offset in ints, history: the commands before it
+*/
+class ExecCodeError extends Error {
+	constructor(message, { index, cursor, cmd, history }) {
+		super(`${message}\n\tat command #${index} (cmd ${cmd}, int ${cursor})\n${ history.map(s => `\t${s}`).join("\n") }`);
+		this.name = "ExecCodeError";
+		this.index = index;
+		this.cursor = cursor;
+		this.cmd = cmd;
+		this.history = history;
+	}
+}
+
+function ExecCode(gl, shaderInfoList, options = {}) {
 	let cursor = 0;
 	
 	let I8, U8, F32, I32, U32;
@@ -15324,10 +21058,8 @@ function ExecCode(gl, shaderInfoList) {
 	};
 	const I = () => cmdMemory[cursor++];
 
-	const throwErrorFunction = () => {
-		throw new Error(`RR:Method not found`);
-	};
-	const map = Array(1024).fill(throwErrorFunction);
+	/// cmd -> handler; null: unknown command
+	const map = Array(1024).fill(null);
 	
 	const CMD_USE_SHADER = 4;
 	map[CMD_USE_SHADER] = () => {
@@ -15344,6 +21076,10 @@ function ExecCode(gl, shaderInfoList) {
 	map[CMD_DEPTH_TEST_ENABLE ] = () => gl.enable( gl.DEPTH_TEST );
 	map[CMD_DEPTH_TEST_DISABLE] = () => gl.disable( gl.DEPTH_TEST );
 	map[CMD_DEPTH_MASK        ] = () => gl.depthMask( I() );
+	if ( options.depthOnly ) {
+		map[CMD_DEPTH_TEST_DISABLE] = () => {};
+		map[CMD_DEPTH_MASK        ] = () => I();
+	}
 
 	const CMD_BLEND_ENABLE     = 52;
 	const CMD_BLEND_DISABLE    = 53;
@@ -15351,6 +21087,8 @@ function ExecCode(gl, shaderInfoList) {
 	map[CMD_BLEND_ENABLE ] = () => gl.enable( gl.BLEND );
 	map[CMD_BLEND_DISABLE] = () => gl.disable( gl.BLEND );
 	map[CMD_BLEND_FUNC   ] = () => gl.blendFunc( I(), I() );
+	if ( options.depthOnly )
+		map[CMD_BLEND_ENABLE] = () => {};
 
 	const CMD_ACTIVE_TEXTURE = 72;
 	const CMD_BIND_TEXTURE = 73;
@@ -15419,7 +21157,151 @@ function ExecCode(gl, shaderInfoList) {
 	const CMD_TEX_PARAMETERI = 167;
 	map[CMD_TEX_PARAMETERI] = () => gl.texParameteri(gl.TEXTURE_2D, I(), I());
 	
+	/// emitted by RenderPassSorter, not by wasm
+	const CMD_ALPHA_TEST = 240;
+	map[CMD_ALPHA_TEST] = () => gl.uniform1f(shaderInfo.program.u_AlphaTest, I() / 255);
+	
+	/// emitted by MaterialSystem; material slot, -1: none
+	const CMD_MATERIAL = 241;
+	map[CMD_MATERIAL] = () => {
+		const slot = I();
+		if ( options.materialSystem && shaderInfo.program.u_MaterialUvMatrix )
+			options.materialSystem.setUniforms(shaderInfo.program, slot);
+	};
+	
+	/// debug layer, #rrvalidate; every command is checked before it runs, release skips all of it
+	const validate = options.validate !== undefined ? options.validate : gbGetConstBool("rrvalidate");
+	const VALIDATE_HISTORY_SIZE = 16;
+	const maxTextureUnits = validate ? gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS) : 0;
+	const noShaderInfo = shaderInfo;
+	/// cursors of the last commands, ring buffer
+	const history = new Int32Array(VALIDATE_HISTORY_SIZE);
+	let uniformSize = 0;
+	let boundIb = -1;
+	
+	const validateError = (message, index, cmdCursor) => {
+		const names = Object.fromEntries(Object.entries(RR_CMD).map(([name, cmd]) => [cmd, name]));
+		const lines = [];
+		for(let i = Math.max(index - VALIDATE_HISTORY_SIZE, 0); i <= index; i++) {
+			const c = i === index ? cmdCursor : history[i % VALIDATE_HISTORY_SIZE];
+			const cmd = cmdMemory[c];
+			const args = cmdMemory.subarray(c + 1, c + 1 + (RR_CMD_NUM_ARGS[cmd] || 0));
+			lines.push(`${ i === index ? ">" : " " } #${i} ${ names[cmd] || cmd } ${ [...args].join(" ") }`);
+		}
+		return new ExecCodeError(message, { index, cursor: cmdCursor, cmd: cmdMemory[cmdCursor], history: lines });
+	};
+	/// cursor: right after cmd
+	const validateCommand = (index, cmd, cursor) => {
+		const cmdCursor = cursor - 1;
+		const fail = (message) => {
+			throw validateError(message, index, cmdCursor);
+		};
+		
+		const numArgs = RR_CMD_NUM_ARGS[cmd];
+		if ( numArgs === undefined )
+			fail(`Unknown command ${cmd}`);
+		if ( cursor + numArgs > cmdMemory.length )
+			fail(`Truncated command; expected ${numArgs} args, got ${ cmdMemory.length - cursor }`);
+		const a = cmdMemory.subarray(cursor, cursor + numArgs);
+		
+		const checkShader = () => {
+			if ( shaderInfo === noShaderInfo )
+				fail(`No shader in use`);
+		};
+		const checkUniformRange = (offset, size) => {
+			if ( offset < 0 || size < 0 || offset % 4 || offset + size > uniformSize )
+				fail(`Uniform range out of bounds; expected ${offset}+${size} within ${uniformSize} aligned to 4`);
+		};
+		const checkTexture = (unit, textureId) => {
+			if ( unit < 0 || unit >= maxTextureUnits )
+				fail(`Bad texture unit; expected 0..${ maxTextureUnits - 1 }, got ${unit}`);
+			if ( textureId !== undefined && !glTextures[textureId] )
+				fail(`Texture ${textureId} not found`);
+		};
+		const checkBuffer = (id) => {
+			if ( !glBuffers[id] )
+				fail(`Buffer ${id} not found`);
+		};
+		const checkDraw = (start, count) => {
+			checkShader();
+			if ( start < 0 || count < 0 || count % 3 )
+				fail(`Bad draw range; expected start >= 0 and count a multiple of 3, got ${start} ${count}`);
+			const source = APIJS.GEOMETRYBUFFER && APIJS.GEOMETRYBUFFER.getBufferSource(boundIb);
+			if ( source && (start + count) * 4 > source.arrayBuffer.byteLength )
+				fail(`Draw range out of index buffer ${boundIb}; expected ${start}+${count} within ${ source.arrayBuffer.byteLength / 4 }`);
+		};
+		
+		switch(cmd) {
+			case CMD_USE_SHADER:
+				if ( !shaderInfoList[a[0]] )
+					fail(`Shader ${a[0]} not found`);
+				break;
+			case CMD_ACTIVE_TEXTURE:
+				checkTexture(a[0]);
+				break;
+			case CMD_BIND_TEXTURE:
+				if ( !glTextures[a[0]] )
+					fail(`Texture ${a[0]} not found`);
+				break;
+			case CMD_SET_ACTIVE_TEXTURE:
+				checkTexture(a[0], a[1]);
+				break;
+			case CMD_SET_UNIFORM_OFFSET_DATA:
+				checkUniformRange(a[0], 16*4);
+				break;
+			case CMD_SET_UNIFORM_MATRIX4FV:
+				checkShader();
+				if ( a[0] < 0 || a[0] >= shaderInfo.uniformList.length )
+					fail(`Uniform ${a[0]} not found; the shader has ${shaderInfo.uniformList.length}`);
+				checkUniformRange(a[1], 16*4);
+				break;
+			case CMD_SPECIAL_INSTANCED_BUFFER_DATA:
+				checkShader();
+				checkUniformRange(a[0], a[1]);
+				if ( a[1] % (16*4) )
+					fail(`Bad instanced data size; expected a multiple of ${16*4}, got ${a[1]}`);
+				break;
+			case CMD_SPECIAL_VB_SHADER_ATTRIB_POINTER_LIST:
+				checkShader();
+				if ( a[0] < 0 )
+					fail(`Bad vertex offset ${a[0]}`);
+				break;
+			case CMD_BIND_VB:
+				checkBuffer(a[0]);
+				break;
+			case CMD_BIND_IB:
+				checkBuffer(a[0]);
+				boundIb = a[0];
+				break;
+			case CMD_VB_SHADER_ATTRIB_POINTER_LIST:
+			case CMD_ALPHA_TEST:
+				checkShader();
+				break;
+			case CMD_MATERIAL: {
+				checkShader();
+				const numSlots = options.materialSystem ? options.materialSystem.slots.length : 0;
+				if ( a[0] < -1 || a[0] >= numSlots )
+					fail(`Material slot ${a[0]} not found; expected -1..${ numSlots - 1 }`);
+				break;
+			}
+			case CMD_DRAW_ELEMENTS_TRI_U32:
+				checkDraw(a[0], a[1]);
+				break;
+			case CMD_DRAW_ELEMENTS_INSTANCED_TRI_U32:
+				checkDraw(a[0], a[1]);
+				if ( a[2] < 0 )
+					fail(`Bad instance count ${a[2]}`);
+				break;
+		}
+		
+		history[index % VALIDATE_HISTORY_SIZE] = cmdCursor;
+	};
+	
 	const exec = (_cmdMemory, _uniformMemory) => {
+		const frameDebugger = this.frameDebugger;
+		if ( frameDebugger )
+			[_cmdMemory, _uniformMemory] = frameDebugger.begin(_cmdMemory, _uniformMemory);
+		
 		cursor = 0;
 		cmdMemory = _cmdMemory;
 		I8  = new Int8Array(_uniformMemory.buffer, _uniformMemory.byteOffset);
@@ -15427,19 +21309,28 @@ function ExecCode(gl, shaderInfoList) {
 		F32 = new Float32Array(_uniformMemory.buffer, _uniformMemory.byteOffset);
 		I32 = new Int32Array(_uniformMemory.buffer, _uniformMemory.byteOffset);
 		U32 = new Uint32Array(_uniformMemory.buffer, _uniformMemory.byteOffset);
+		uniformSize = _uniformMemory.byteLength;
+		/// a stream must not rely on the shader or buffers the previous one left bound
+		if ( validate ) {
+			shaderInfo.program.unuse();
+			shaderInfo = noShaderInfo;
+		}
+		boundIb = -1;
 		
 		let icc = 0;
 		let iccMax = window.iccMax||1e9;
+		let index = 0;
+		const stopAt = frameDebugger ? frameDebugger.stopAt : -1;
 		let code = "";
 		while(cursor < cmdMemory.length) {
 			const cmd = I();
 			let saveCursor = cursor;
+			if ( validate )
+				validateCommand(index, cmd, cursor);
 			
 			const fn = map[cmd];
-			if ( !fn ) {
-				console.error(`Cmd ${cmd} not found`);
-				break;
-			}
+			if ( !fn )
+				throw new ExecCodeError(`Unknown command ${cmd}`, { index, cursor: cursor - 1, cmd, history: [] });
 			
 			if ( this.createCode ) {
 				let fnCode = fn
@@ -15458,12 +21349,18 @@ function ExecCode(gl, shaderInfoList) {
 			fn();
 			if ( cmd === CMD_DRAW_ELEMENTS_TRI_U32 && ++icc >= iccMax )
 				break;
+			if ( index++ === stopAt ) {
+				frameDebugger.stop(stopAt);
+				break;
+			}
 		}
 		
 		this.code = code;
 	};
 	
 	this.createCode = false;
+	/// FrameDebugger: freezes the stream and stops after its stopAt command
+	this.frameDebugger = null;
 	
 	this.exec = exec;
 }
@@ -15491,14 +21388,578 @@ const readVerticesRenderData = (offset) => {
 		vertices: Module.HEAPF32.subarray(rdOffset /4, rdOffset /4 + rdSize /4),
 		indexes : Module.HEAP32.subarray(rdiOffset/4, rdiOffset/4 + rdiSize/4),
 	}
-};
-
-/**
-draw noalpha map
-draw noalpha entities
-
-draw alpha map/entities
-*/
+};
+
+/// command ids of ExecCode and the number of int arguments each one reads
+const RR_CMD = {
+	USE_SHADER                       : 4,
+	DEPTH_TEST_ENABLE                : 32,
+	DEPTH_TEST_DISABLE               : 33,
+	DEPTH_MASK                       : 34,
+	BLEND_ENABLE                     : 52,
+	BLEND_DISABLE                    : 53,
+	BLEND_FUNC                       : 54,
+	DRAW_ELEMENTS_TRI_U32            : 64,
+	DRAW_ELEMENTS_INSTANCED_TRI_U32  : 65,
+	ACTIVE_TEXTURE                   : 72,
+	BIND_TEXTURE                     : 73,
+	SET_ACTIVE_TEXTURE               : 74,
+	SET_UNIFORM_OFFSET_DATA          : 84,
+	SET_UNIFORM_MATRIX4FV            : 85,
+	BIND_VB                          : 91,
+	BIND_IB                          : 92,
+	VB_SHADER_ATTRIB_POINTER_LIST    : 93,
+	SPECIAL_INSTANCED_BUFFER_DATA    : 108,
+	SPECIAL_VB_SHADER_ATTRIB_POINTER_LIST: 157,
+	TEX_PARAMETERI                   : 167,
+	/// JS side only; alpha cutoff * 255 for the current program
+	ALPHA_TEST                       : 240,
+	/// JS side only; MaterialSystem slot for the current program, -1: none
+	MATERIAL                         : 241,
+};
+const RR_CMD_NUM_ARGS = {
+	[RR_CMD.USE_SHADER                       ]: 1,
+	[RR_CMD.DEPTH_TEST_ENABLE                ]: 0,
+	[RR_CMD.DEPTH_TEST_DISABLE               ]: 0,
+	[RR_CMD.DEPTH_MASK                       ]: 1,
+	[RR_CMD.BLEND_ENABLE                     ]: 0,
+	[RR_CMD.BLEND_DISABLE                    ]: 0,
+	[RR_CMD.BLEND_FUNC                       ]: 2,
+	[RR_CMD.DRAW_ELEMENTS_TRI_U32            ]: 2,
+	[RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32  ]: 3,
+	[RR_CMD.ACTIVE_TEXTURE                   ]: 1,
+	[RR_CMD.BIND_TEXTURE                     ]: 1,
+	[RR_CMD.SET_ACTIVE_TEXTURE               ]: 2,
+	[RR_CMD.SET_UNIFORM_OFFSET_DATA          ]: 1,
+	[RR_CMD.SET_UNIFORM_MATRIX4FV            ]: 2,
+	[RR_CMD.BIND_VB                          ]: 1,
+	[RR_CMD.BIND_IB                          ]: 1,
+	[RR_CMD.VB_SHADER_ATTRIB_POINTER_LIST    ]: 0,
+	[RR_CMD.SPECIAL_INSTANCED_BUFFER_DATA    ]: 2,
+	[RR_CMD.SPECIAL_VB_SHADER_ATTRIB_POINTER_LIST]: 1,
+	[RR_CMD.TEX_PARAMETERI                   ]: 2,
+	[RR_CMD.ALPHA_TEST                       ]: 1,
+	[RR_CMD.MATERIAL                         ]: 1,
+};
+
+/// RR shader ids of USE_SHADER
+const RR_SHADER_BSP = 1;
+
+/// -> [{ vb, ib }] the draws of shaderId were made with, each pair once
+function getRRDrawBuffers(cmdMemory, shaderId) {
+	const pairs = new Map();
+	let shader = 0, vb = -1, ib = -1;
+	for(let cursor = 0; cursor < cmdMemory.length; ) {
+		const cmd = cmdMemory[cursor++];
+		const numArgs = RR_CMD_NUM_ARGS[cmd];
+		if ( numArgs === undefined )
+			break;
+		const arg = cmdMemory[cursor];
+		cursor += numArgs;
+		
+		if ( cmd === RR_CMD.USE_SHADER )
+			shader = arg;
+		else if ( cmd === RR_CMD.BIND_VB )
+			vb = arg;
+		else if ( cmd === RR_CMD.BIND_IB )
+			ib = arg;
+		else if ( cmd === RR_CMD.DRAW_ELEMENTS_TRI_U32 && shader === shaderId )
+			pairs.set(`${vb}:${ib}`, { vb, ib });
+	}
+	return [...pairs.values()];
+}
+
+/// {min, max} of the positions in bsp vertex buffers (28 byte vertices, position first)
+function getBspVertexBounds(vbSources) {
+	const min = [ Infinity,  Infinity,  Infinity];
+	const max = [-Infinity, -Infinity, -Infinity];
+	for(const vbSource of vbSources) {
+		const vertices = new Float32Array(vbSource.arrayBuffer, 0, vbSource.arrayBuffer.byteLength / 4 | 0);
+		for(let i = 0; i + 2 < vertices.length; i += 7) {
+			for(let j = 0; j < 3; j++) {
+				min[j] = Math.min(min[j], vertices[i + j]);
+				max[j] = Math.max(max[j], vertices[i + j]);
+			}
+		}
+	}
+	return { min, max };
+}
+
+/**
+	Calls callback(F32, floatOffset) once for each camera matrix the commands read:
+	SET_UNIFORM_MATRIX4FV and the instanced P*V*M matrices. done: byte addresses to skip,
+	commands may share a matrix.
+*/
+function forEachRRMatrix(cmdMemory, uniformMemory, callback, done = new Set()) {
+	const F32 = new Float32Array(uniformMemory.buffer, uniformMemory.byteOffset);
+	const visit = (byteOffset) => {
+		const address = uniformMemory.byteOffset + byteOffset;
+		if ( done.has(address) )
+			return;
+		done.add(address);
+		callback(F32, byteOffset / 4);
+	};
+	
+	for(let cursor = 0; cursor < cmdMemory.length; ) {
+		const cmd = cmdMemory[cursor++];
+		const numArgs = RR_CMD_NUM_ARGS[cmd];
+		if ( numArgs === undefined )
+			break;
+		
+		if ( cmd === RR_CMD.SET_UNIFORM_MATRIX4FV ) {
+			visit(cmdMemory[cursor + 1]);
+		} else if ( cmd === RR_CMD.SPECIAL_INSTANCED_BUFFER_DATA ) {
+			const offset = cmdMemory[cursor];
+			const size = cmdMemory[cursor + 1];
+			for(let i = 0; i < size; i += 16*4)
+				visit(offset + i);
+		}
+		cursor += numArgs;
+	}
+}
+/// in place on a column-major mat4: clip.x = sx * x + ox * w, clip.y = sy * y + oy * w
+function transformClipXY(F32, offset, sx, ox = 0, sy = 1, oy = 0) {
+	for(let col = offset; col < offset + 16; col += 4) {
+		const w = F32[col + 3];
+		F32[col + 0] = sx * F32[col + 0] + ox * w;
+		F32[col + 1] = sy * F32[col + 1] + oy * w;
+	}
+}
+
+/// ExecCode shader ids
+const RR_SHADER_NAMES = ["none", "bsp", "entity", "instanced"];
+/// GL enums of BLEND_FUNC and TEX_PARAMETERI arguments -> name
+const RR_GL_ENUM_NAMES = Object.fromEntries([
+	"ZERO", "ONE", "SRC_COLOR", "ONE_MINUS_SRC_COLOR", "SRC_ALPHA", "ONE_MINUS_SRC_ALPHA", 
+	"DST_ALPHA", "ONE_MINUS_DST_ALPHA", "DST_COLOR", "ONE_MINUS_DST_COLOR", "SRC_ALPHA_SATURATE",
+	"TEXTURE_MAG_FILTER", "TEXTURE_MIN_FILTER", "TEXTURE_WRAP_S", "TEXTURE_WRAP_T",
+	"NEAREST", "LINEAR", "NEAREST_MIPMAP_NEAREST", "LINEAR_MIPMAP_NEAREST", "NEAREST_MIPMAP_LINEAR", "LINEAR_MIPMAP_LINEAR",
+	"REPEAT", "CLAMP_TO_EDGE", "MIRRORED_REPEAT",
+].map(name => [WebGLRenderingContext[name], name]));
+
+/**
+	Command stream -> one entry per command: { index, cursor, cmd, name, args, text, isDraw, state },
+	state is what ExecCode has set once the command ran:
+		{ shader, depthTest, depthMask, blend, blendFunc: [src, dst], activeUnit, textures: { unit: textureId }, vb, ib }
+	Stops at the first unknown command, ExecCode would too.
+*/
+function decodeRRCommands(cmdMemory) {
+	const names = Object.fromEntries(Object.entries(RR_CMD).map(([name, cmd]) => [cmd, name]));
+	const glName = (value) => RR_GL_ENUM_NAMES[value] || `0x${ value.toString(16) }`;
+	
+	let state = {
+		shader    : 0,
+		depthTest : true,
+		depthMask : true,
+		blend     : false,
+		blendFunc : [WebGLRenderingContext.ONE, WebGLRenderingContext.ZERO],
+		activeUnit: 0,
+		textures  : {},
+		vb        : -1,
+		ib        : -1,
+	};
+	const commands = [];
+	for(let cursor = 0; cursor < cmdMemory.length; ) {
+		const cmdCursor = cursor;
+		const cmd = cmdMemory[cursor++];
+		const numArgs = RR_CMD_NUM_ARGS[cmd];
+		if ( numArgs === undefined )
+			break;
+		const args = [...cmdMemory.subarray(cursor, cursor + numArgs)];
+		cursor += numArgs;
+		
+		/// copied only where it changes, unchanged entries share it
+		const change = (values) => state = { ...state, ...values };
+		let text = args.join(" ");
+		switch(cmd) {
+			case RR_CMD.USE_SHADER:
+				change({ shader: args[0] });
+				text = RR_SHADER_NAMES[args[0]] || text;
+				break;
+			case RR_CMD.DEPTH_TEST_ENABLE : change({ depthTest: true  }); break;
+			case RR_CMD.DEPTH_TEST_DISABLE: change({ depthTest: false }); break;
+			case RR_CMD.DEPTH_MASK        : change({ depthMask: !!args[0] }); break;
+			case RR_CMD.BLEND_ENABLE      : change({ blend: true  }); break;
+			case RR_CMD.BLEND_DISABLE     : change({ blend: false }); break;
+			case RR_CMD.BLEND_FUNC:
+				change({ blendFunc: args });
+				text = args.map(glName).join(" ");
+				break;
+			case RR_CMD.ACTIVE_TEXTURE:
+				change({ activeUnit: args[0] });
+				text = `unit ${args[0]}`;
+				break;
+			case RR_CMD.BIND_TEXTURE:
+				change({ textures: { ...state.textures, [state.activeUnit]: args[0] } });
+				text = `unit ${state.activeUnit} texture ${args[0]}`;
+				break;
+			case RR_CMD.SET_ACTIVE_TEXTURE:
+				change({ activeUnit: args[0], textures: { ...state.textures, [args[0]]: args[1] } });
+				text = `unit ${args[0]} texture ${args[1]}`;
+				break;
+			case RR_CMD.SET_UNIFORM_MATRIX4FV:
+				text = `uniform ${args[0]} offset ${args[1]}`;
+				break;
+			case RR_CMD.BIND_VB: change({ vb: args[0] }); break;
+			case RR_CMD.BIND_IB: change({ ib: args[0] }); break;
+			case RR_CMD.TEX_PARAMETERI:
+				text = args.map(glName).join(" ");
+				break;
+			case RR_CMD.DRAW_ELEMENTS_TRI_U32:
+				text = `start ${args[0]} count ${args[1]}`;
+				break;
+			case RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32:
+				text = `start ${args[0]} count ${args[1]} instances ${args[2]}`;
+				break;
+		}
+		
+		const isDraw = cmd === RR_CMD.DRAW_ELEMENTS_TRI_U32 || cmd === RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32;
+		if ( isDraw ) {
+			const blend = state.blend ? state.blendFunc.map(glName).join("/") : "off";
+			const textures = Object.entries(state.textures).map(([unit, id]) => `t${unit}:${id}`).join(" ");
+			text += ` | ${ RR_SHADER_NAMES[state.shader] } vb ${state.vb} ib ${state.ib} blend ${blend} ${textures}`;
+		}
+		
+		commands.push({ index: commands.length, cursor: cmdCursor, cmd, name: names[cmd], args, text, isDraw, state });
+	}
+	return commands;
+}
+
+/**
+	Reorders the wasm command stream into passes:
+		opaque      - groups drawn without blending, in stream order
+		cutout      - #cutout only: alpha blended groups (SRC_ALPHA, ONE_MINUS_SRC_ALPHA) alpha tested, blending off,
+		              depth write on; foliage and fences get correct depth whatever order they come in
+		translucent - every blended group back to front by view depth, depth write off;
+		              with #cutout, alpha blended groups are drawn a second time here for the soft edges the cutout pass left out
+	#alphatest=<0..255> sets the cutout threshold, default 128; 0 turns the cutout pass off.
+	The result is again a command stream for ExecCode; state commands are emitted only where the state changes.
+*/
+class RenderPassSorter {
+	constructor(geometryBuffer) {
+		this.geometryBuffer = geometryBuffer;
+		
+		this.enabled = !gbGetConstBool("nosort");
+		/// alpha blended groups drawn twice, alpha tested with depth write, then blended
+		this.isCutoutPass = gbGetConstBool("cutout");
+		/// 0..255, 0: no cutout pass
+		this.alphaCutoff = Math.min(Math.max(gbGetConstI("alphatest", 128), 0), 255);
+		
+		/// vertex stride by shader id
+		this.vertexStrides = [0, 28, 24, 24];
+		/// "vb:ib:start:count" -> [x, y, z] | null
+		this.centroidCache = new Map();
+		
+		this.stats = { opaque: 0, cutout: 0, translucent: 0 };
+		
+		this._output = new Int32Array(1024);
+		this._length = 0;
+	}
+	
+	/// map unload
+	clear() {
+		this.centroidCache.clear();
+	}
+	
+	_push(...values) {
+		if ( this._length + values.length > this._output.length ) {
+			const output = new Int32Array(this._output.length * 2 + values.length);
+			output.set(this._output.subarray(0, this._length));
+			this._output = output;
+		}
+		for(const v of values)
+			this._output[this._length++] = v;
+	}
+	
+	/// stream -> list of draws, each with the whole state it was drawn with
+	_readDraws(cmdMemory) {
+		const draws = [];
+		const state = {
+			shader     : -1,
+			/// per shader: uniformId -> offset
+			uniforms   : [],
+			activeUnit : 0,
+			units      : [],
+			blend      : false,
+			blendSrc   : 1,
+			blendDst   : 0,
+			depthTest  : true,
+			depthMask  : 1,
+			vb         : -1,
+			ib         : -1,
+			attribVb   : -1,
+			/// per shader: [offset, size] of the last instanced data and the pointer offset into it
+			instData   : [],
+			instPointer: [],
+			texParams  : [],
+		};
+		
+		let cursor = 0;
+		while(cursor < cmdMemory.length) {
+			const cmd = cmdMemory[cursor++];
+			const numArgs = RR_CMD_NUM_ARGS[cmd];
+			if ( numArgs === undefined )
+				return null;
+			const a = cmdMemory.subarray(cursor, cursor + numArgs);
+			cursor += numArgs;
+			
+			switch(cmd) {
+				case RR_CMD.USE_SHADER:
+					state.shader = a[0];
+					state.uniforms[a[0]] = state.uniforms[a[0]] || new Map();
+					break;
+				case RR_CMD.DEPTH_TEST_ENABLE : state.depthTest = true ; break;
+				case RR_CMD.DEPTH_TEST_DISABLE: state.depthTest = false; break;
+				case RR_CMD.DEPTH_MASK        : state.depthMask = a[0]; break;
+				case RR_CMD.BLEND_ENABLE      : state.blend = true ; break;
+				case RR_CMD.BLEND_DISABLE     : state.blend = false; break;
+				case RR_CMD.BLEND_FUNC:
+					state.blendSrc = a[0];
+					state.blendDst = a[1];
+					break;
+				case RR_CMD.ACTIVE_TEXTURE:
+					state.activeUnit = a[0];
+					break;
+				case RR_CMD.BIND_TEXTURE:
+					state.units[state.activeUnit] = a[0];
+					break;
+				case RR_CMD.SET_ACTIVE_TEXTURE:
+					state.activeUnit = a[0];
+					state.units[a[0]] = a[1];
+					break;
+				case RR_CMD.SET_UNIFORM_MATRIX4FV:
+					state.uniforms[state.shader].set(a[0], a[1]);
+					break;
+				case RR_CMD.BIND_VB: state.vb = a[0]; break;
+				case RR_CMD.BIND_IB: state.ib = a[0]; break;
+				case RR_CMD.VB_SHADER_ATTRIB_POINTER_LIST:
+					state.attribVb = state.vb;
+					break;
+				case RR_CMD.SPECIAL_INSTANCED_BUFFER_DATA:
+					state.instData[state.shader] = [a[0], a[1]];
+					state.instPointer[state.shader] = 0;
+					break;
+				case RR_CMD.SPECIAL_VB_SHADER_ATTRIB_POINTER_LIST:
+					state.instPointer[state.shader] = a[0];
+					break;
+				case RR_CMD.TEX_PARAMETERI:
+					state.texParams.push([state.activeUnit, state.units[state.activeUnit], a[0], a[1]]);
+					break;
+				case RR_CMD.DRAW_ELEMENTS_TRI_U32:
+				case RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32:
+					draws.push({
+						cmd, args: [...a],
+						shader     : state.shader,
+						uniforms   : [...state.uniforms[state.shader]],
+						units      : [...state.units],
+						blend      : state.blend,
+						blendSrc   : state.blendSrc,
+						blendDst   : state.blendDst,
+						depthTest  : state.depthTest,
+						depthMask  : state.depthMask,
+						attribVb   : state.attribVb,
+						ib         : state.ib,
+						instData   : state.instData[state.shader] || null,
+						instPointer: state.instPointer[state.shader] || 0,
+						texParams  : state.texParams.splice(0),
+						depth      : 0,
+					});
+					break;
+			}
+		}
+		
+		return draws;
+	}
+	
+	_getCentroid(draw) {
+		const [start, count] = draw.args;
+		const key = `${draw.attribVb}:${draw.ib}:${start}:${count}`;
+		if ( this.centroidCache.has(key) )
+			return this.centroidCache.get(key);
+		
+		let centroid = null;
+		const vb = this.geometryBuffer.getBufferSource(draw.attribVb);
+		const ib = this.geometryBuffer.getBufferSource(draw.ib);
+		const stride = this.vertexStrides[draw.shader];
+		if ( vb && ib && stride && (start + count) * 4 <= ib.arrayBuffer.byteLength ) {
+			const indexes = new Uint32Array(ib.arrayBuffer, start * 4, count);
+			const positions = new DataView(vb.arrayBuffer);
+			/// a few samples are plenty for ordering
+			const step = Math.max(1, Math.floor(count / 64));
+			const sum = [0, 0, 0];
+			let num = 0;
+			for(let i = 0; i < count; i += step) {
+				const byteOffset = indexes[i] * stride;
+				if ( byteOffset + 12 > positions.byteLength )
+					continue;
+				sum[0] += positions.getFloat32(byteOffset + 0, true);
+				sum[1] += positions.getFloat32(byteOffset + 4, true);
+				sum[2] += positions.getFloat32(byteOffset + 8, true);
+				num++;
+			}
+			if ( num )
+				centroid = sum.map(v => v / num);
+		}
+		
+		this.centroidCache.set(key, centroid);
+		return centroid;
+	}
+	
+	/// clip w of the group center: view depth for a perspective projection
+	_getDepth(draw, uniformMemory, projectionViewMatrix) {
+		const centroid = this._getCentroid(draw);
+		if ( !centroid )
+			return Infinity;
+		
+		let m = projectionViewMatrix;
+		if ( draw.cmd === RR_CMD.DRAW_ELEMENTS_INSTANCED_TRI_U32 && draw.instData ) {
+			/// instanced matrices are the whole model-view-projection; order by the first instance
+			const offset = (draw.instData[0] + draw.instPointer) / 4;
+			m = new Float32Array(uniformMemory.buffer, uniformMemory.byteOffset).subarray(offset, offset + 16);
+		}
+		
+		const [x, y, z] = centroid;
+		return m[3] * x + m[7] * y + m[11] * z + m[15];
+	}
+	
+	_emitDraw(emitted, draw, pass) {
+		if ( emitted.shader !== draw.shader ) {
+			this._push(RR_CMD.USE_SHADER, draw.shader);
+			emitted.shader = draw.shader;
+			/// programs share attribute locations, pointers of the previous one may overlap
+			emitted.attribKey = null;
+			emitted.instPointer = null;
+		}
+		
+		const uniforms = emitted.uniforms[draw.shader] = emitted.uniforms[draw.shader] || new Map();
+		for(const [uniformId, offset] of draw.uniforms) {
+			if ( uniforms.get(uniformId) !== offset ) {
+				this._push(RR_CMD.SET_UNIFORM_MATRIX4FV, uniformId, offset);
+				uniforms.set(uniformId, offset);
+			}
+		}
+		
+		const alphaTest = pass === "cutout" ? this.alphaCutoff : 0;
+		if ( emitted.alphaTest[draw.shader] !== alphaTest ) {
+			this._push(RR_CMD.ALPHA_TEST, alphaTest);
+			emitted.alphaTest[draw.shader] = alphaTest;
+		}
+		
+		draw.units.forEach((textureId, unit) => {
+			if ( textureId !== undefined && emitted.units[unit] !== textureId ) {
+				this._push(RR_CMD.SET_ACTIVE_TEXTURE, unit, textureId);
+				emitted.units[unit] = textureId;
+			}
+		});
+		for(const [unit, textureId, pname, param] of draw.texParams) {
+			this._push(RR_CMD.SET_ACTIVE_TEXTURE, unit, textureId);
+			this._push(RR_CMD.TEX_PARAMETERI, pname, param);
+			emitted.units[unit] = textureId;
+		}
+		
+		const blend = pass === "translucent";
+		if ( emitted.blend !== blend ) {
+			this._push(blend ? RR_CMD.BLEND_ENABLE : RR_CMD.BLEND_DISABLE);
+			emitted.blend = blend;
+		}
+		if ( blend && (emitted.blendSrc !== draw.blendSrc || emitted.blendDst !== draw.blendDst) ) {
+			this._push(RR_CMD.BLEND_FUNC, draw.blendSrc, draw.blendDst);
+			emitted.blendSrc = draw.blendSrc;
+			emitted.blendDst = draw.blendDst;
+		}
+		
+		if ( emitted.depthTest !== draw.depthTest ) {
+			this._push(draw.depthTest ? RR_CMD.DEPTH_TEST_ENABLE : RR_CMD.DEPTH_TEST_DISABLE);
+			emitted.depthTest = draw.depthTest;
+		}
+		const depthMask = pass === "translucent" ? 0 : pass === "cutout" ? 1 : draw.depthMask;
+		if ( emitted.depthMask !== depthMask ) {
+			this._push(RR_CMD.DEPTH_MASK, depthMask);
+			emitted.depthMask = depthMask;
+		}
+		
+		if ( draw.instData ) {
+			if ( emitted.instData !== draw.instData ) {
+				this._push(RR_CMD.SPECIAL_INSTANCED_BUFFER_DATA, ...draw.instData);
+				emitted.instData = draw.instData;
+				emitted.instPointer = 0;
+			}
+			if ( emitted.instPointer !== draw.instPointer ) {
+				this._push(RR_CMD.SPECIAL_VB_SHADER_ATTRIB_POINTER_LIST, draw.instPointer);
+				emitted.instPointer = draw.instPointer;
+			}
+		}
+		
+		const attribKey = `${draw.shader}:${draw.attribVb}`;
+		if ( emitted.attribKey !== attribKey ) {
+			this._push(RR_CMD.BIND_VB, draw.attribVb);
+			this._push(RR_CMD.VB_SHADER_ATTRIB_POINTER_LIST);
+			emitted.attribKey = attribKey;
+		}
+		if ( emitted.ib !== draw.ib ) {
+			this._push(RR_CMD.BIND_IB, draw.ib);
+			emitted.ib = draw.ib;
+		}
+		
+		this._push(draw.cmd, ...draw.args);
+	}
+	
+	sort(cmdMemory, uniformMemory, projectionViewMatrix) {
+		if ( !this.enabled )
+			return cmdMemory;
+		
+		const draws = this._readDraws(cmdMemory);
+		if ( !draws )
+			return cmdMemory;
+		
+		const GL_SRC_ALPHA = 0x0302;
+		const GL_ONE_MINUS_SRC_ALPHA = 0x0303;
+		const isCutout = this.isCutoutPass && this.alphaCutoff > 0;
+		const opaque = [];
+		const cutout = [];
+		const translucent = [];
+		for(const draw of draws) {
+			if ( !draw.blend ) {
+				opaque.push(draw);
+				continue;
+			}
+			if ( isCutout && draw.blendSrc === GL_SRC_ALPHA && draw.blendDst === GL_ONE_MINUS_SRC_ALPHA )
+				cutout.push(draw);
+			
+			draw.depth = this._getDepth(draw, uniformMemory, projectionViewMatrix);
+			translucent.push(draw);
+		}
+		translucent.sort((l, r) => r.depth - l.depth);
+		
+		this._length = 0;
+		const emitted = {
+			shader: -1, uniforms: [], alphaTest: [], units: [],
+			blend: null, blendSrc: -1, blendDst: -1, depthTest: null, depthMask: null,
+			instData: null, instPointer: null, attribKey: null, ib: -1,
+		};
+		for(const draw of opaque)
+			this._emitDraw(emitted, draw, "opaque");
+		for(const draw of cutout)
+			this._emitDraw(emitted, draw, "cutout");
+		for(const draw of translucent)
+			this._emitDraw(emitted, draw, "translucent");
+		
+		/// leave what the rest of the frame expects
+		this._push(RR_CMD.BLEND_DISABLE);
+		this._push(RR_CMD.DEPTH_MASK, 1);
+		
+		this.stats.opaque = opaque.length;
+		this.stats.cutout = cutout.length;
+		this.stats.translucent = translucent.length;
+		
+		return this._output.subarray(0, this._length);
+	}
+	
+	getText() {
+		const {opaque, cutout, translucent} = this.stats;
+		return `passes: opaque ${opaque}, cutout ${cutout}, translucent ${translucent}\n`;
+	}
+}
 
 const MAP_NAME = "NeutralA";
 
@@ -15611,31 +22072,634 @@ class SelectMapMenu extends EventTarget {
 			    color: #AAA;
 				background: #484848;
 			}
-			.select-map-menu ul li:hover {
-				background: #333;
-				//box-shadow: inset 0px 3px 10px 0px #f7f4f4;
+			.select-map-menu ul li:hover {
+				background: #333;
+				//box-shadow: inset 0px 3px 10px 0px #f7f4f4;
+			}
+			.select-map-menu ul li.active {
+			    background: #1d202b;
+			}
+		`;
+
+		this.onclick = (event) => {
+			this.elements.map(e => e.classList.remove("active"));
+			const el = event.target;
+			el.classList.add("active");
+			
+			const e = new Event("update");
+			e.mapName = event.target.textContent;
+			this.dispatchEvent(e);
+		};
+
+		this.setEvents();
+		this.mount();
+	}
+
+	get elements() {
+		return [...this.dom.querySelectorAll("li")];
+	}
+
+	mount() {
+		document.body.appendChild(this.style);
+		document.body.appendChild(this.dom);
+	}
+	unmount() {
+		document.body.removeChild(this.style);
+		document.body.removeChild(this.dom);
+	}
+
+	setEvents() {
+		this.elements.map(el => el.addEventListener("click", this.onclick));
+	}
+	deleteEvents() {
+		this.elements.map(el => el.removeEventListener("click", this.onclick));
+	}
+
+	delete() {
+		this.deleteEvents();
+		this.unmount();
+	}
+}
+
+if ( window.smm )
+	window.smm.delete();
+
+window.addEventListener("load", () => {
+	if ( globalThis.APP_ENTRY === "browser" || globalThis.APP_ENTRY === "replay" )
+		return;
+	
+	window.smm = new SelectMapMenu({
+		top: "100px",
+		"z-index": 1e3,
+	});
+
+	smm.addEventListener("update", ({mapName}) => {
+		renderer.mapManager.load(mapName);
+	});
+
+});
+
+})();
+
+
+function gbGetConst(key, def) {
+	const kv = location.hash
+		.slice(1)
+		.split("&")
+		.filter(s => s.length)
+		.map(s => s.split("="))
+		.find(([k]) => k === key);
+	
+	if ( !kv )
+		return def;
+	
+	return kv[1] === undefined ? "" : kv[1];
+}
+function gbGetConstBool(key) {
+	return gbGetConst(key) !== undefined;
+}
+function gbGetConstI(key, def) {
+	const n = gbGetConst(key, def);
+	if ( !isFinite(n) )
+		return def;
+	return n | 0;
+}
+
+
+ 
+
+
+
+const u32ToHex = n =>{
+	const ab = new ArrayBuffer(4);
+	const i32s = new Int32Array(ab);
+	const u8s = new Uint8Array(ab);
+	i32s[0] = n;
+	return [...u8s].reduce((s, b) => s + `0${b.toString(16)}`.slice(-2), "");
+};
+
+let gbFSDownloadSummarySize = 0;
+let gbFSDownloadUnicalSummarySize = 0;
+let gbFSDownloadSetGUID = new Set();
+/// by source; localForage hits are not downloads
+let gbFSNetworkSize = 0;
+let gbFSCacheSize = 0;
+let gbFSLoadedCount = 0;
+const SHADERID_ENTITY = 2;
+
+const gbFSFileGUIDList = new Set();
+
+/**
+	LRU cache of downloaded files on top of localForage
+	
+	Files are stored under F<guidHex>[.<version>]; the version is the optional third column
+	of fileSystemMap.json, so a changed asset gets a new key and the old one is pruned.
+	Their size and last access are kept in memory and saved as CACHE_INDEX, so eviction
+	needs no scan. Files cached in the shared default store by older builds are moved
+	over on the first load.
+*/
+/// own localForage store, clear() and prune() touch nothing else
+const ASSET_CACHE_STORE_NAME = "AssetCache";
+const ASSET_CACHE_INDEX_KEY = "CACHE_INDEX";
+const ASSET_CACHE_QUOTA_KEY = "ASSET_CACHE_QUOTA_MB";
+class AssetCache extends EventTarget {
+	constructor(storage, quotaMB = 512, legacyStorage = null) {
+		super();
+		
+		this.storage = storage;
+		this.legacyStorage = legacyStorage;
+		this.quota = quotaMB * 1024 * 1024;
+		
+		/// key -> {size, lastAccess}
+		this.index = new Map();
+		this.totalSize = 0;
+
+		this._saveIndexTimer = null;
+		this._ready = null;
+	}
+
+	ready() {
+		this._ready = this._ready || this._loadIndex();
+		return this._ready;
+	}
+	async _loadIndex() {
+		const index = await this.storage.getItem(ASSET_CACHE_INDEX_KEY);
+		if ( index ) {
+			for(const [key, entry] of Object.entries(index))
+				this._setEntry(key, entry);
+		} else {
+			/// cache from before the index existed
+			await this.storage.iterate((value, key) => {
+				if ( key !== ASSET_CACHE_INDEX_KEY && value && value.byteLength !== undefined )
+					this._setEntry(key, { size: value.byteLength, lastAccess: 0 });
+			});
+			this._saveIndex();
+		}
+		
+		if ( this.legacyStorage )
+			await this._migrateLegacyEntries(this.legacyStorage);
+	}
+
+	/// files cached as F<guid hex> in the shared default store before the cache had its own;
+	/// moved one by one, a reload halfway through picks up the rest
+	async _migrateLegacyEntries(legacyStorage) {
+		const keys = (await legacyStorage.keys())
+			.filter(key => /^F[0-9a-f]{8}(\.|$)/.test(key));
+		const legacyIndex = await legacyStorage.getItem(ASSET_CACHE_INDEX_KEY) || {};
+		
+		for(const key of keys) {
+			const data = await legacyStorage.getItem(key);
+			if ( data && data.byteLength !== undefined && !this.index.has(key) ) {
+				const lastAccess = legacyIndex[key] ? legacyIndex[key].lastAccess : 0;
+				await this.storage.setItem(key, data);
+				this._setEntry(key, { size: data.byteLength, lastAccess });
+			}
+			await legacyStorage.removeItem(key);
+		}
+		await legacyStorage.removeItem(ASSET_CACHE_INDEX_KEY);
+		
+		if ( keys.length ) {
+			await this.evict();
+			this._update();
+		}
+	}
+
+	_setEntry(key, entry) {
+		this._deleteEntry(key);
+		this.index.set(key, entry);
+		this.totalSize += entry.size;
+	}
+	_deleteEntry(key) {
+		const entry = this.index.get(key);
+		if ( !entry )
+			return;
+		
+		this.index.delete(key);
+		this.totalSize -= entry.size;
+	}
+	_saveIndex() {
+		clearTimeout(this._saveIndexTimer);
+		this._saveIndexTimer = setTimeout(() => {
+			this.storage
+				.setItem(ASSET_CACHE_INDEX_KEY, Object.fromEntries(this.index))
+				.catch(e => console.log(e));
+		}, 1e3);
+	}
+	_update() {
+		this._saveIndex();
+		this.dispatchEvent(new Event("update"));
+	}
+
+	async get(key) {
+		await this.ready();
+		
+		const entry = this.index.get(key);
+		if ( !entry )
+			return null;
+		
+		const data = await this.storage.getItem(key);
+		if ( !data ) {
+			this._deleteEntry(key);
+			this._update();
+			return null;
+		}
+		
+		entry.lastAccess = Date.now();
+		this._saveIndex();
+		return data;
+	}
+	async set(key, data) {
+		await this.ready();
+		
+		const size = data.byteLength;
+		if ( size > this.quota )
+			return false;
+		
+		this._setEntry(key, { size, lastAccess: Date.now() });
+		await this.evict(this.quota, key);
+		await this.storage.setItem(key, data);
+		this._update();
+		return true;
+	}
+	async remove(key) {
+		await this.ready();
+		
+		this._deleteEntry(key);
+		await this.storage.removeItem(key);
+		this._update();
+	}
+	async clear() {
+		await this.ready();
+		
+		this.index.clear();
+		this.totalSize = 0;
+		await this.storage.clear();
+		this._update();
+	}
+
+	/// least recently used first, until totalSize <= maxSize
+	async evict(maxSize = this.quota, keepKey = null) {
+		if ( this.totalSize <= maxSize )
+			return [];
+		
+		const entries = [...this.index.entries()]
+			.filter(([key]) => key !== keepKey)
+			.sort(([, l], [, r]) => l.lastAccess - r.lastAccess);
+
+		const evicted = [];
+		for(const [key] of entries) {
+			if ( this.totalSize <= maxSize )
+				break;
+
+			this._deleteEntry(key);
+			await this.storage.removeItem(key);
+			evicted.push(key);
+		}
+		
+		this._update();
+		return evicted;
+	}
+	/// drop entries not listed in validKeys
+	async prune(validKeys) {
+		await this.ready();
+		
+		const pruned = [...this.index.keys()].filter(key => !validKeys.has(key));
+		for(const key of pruned) {
+			this._deleteEntry(key);
+			await this.storage.removeItem(key);
+		}
+		
+		if ( pruned.length )
+			this._update();
+		return pruned;
+	}
+
+	async setQuotaMB(quotaMB) {
+		this.quota = quotaMB * 1024 * 1024;
+		localStorage.setItem(ASSET_CACHE_QUOTA_KEY, quotaMB);
+		await this.evict();
+		this._update();
+	}
+	get quotaMB() {
+		return this.quota / 1024 / 1024;
+	}
+
+	getEntries() {
+		return [...this.index.entries()].map(([key, entry]) => ({ key, ...entry }));
+	}
+}
+const assetCache = new AssetCache(localForage.createInstance({ name: ASSET_CACHE_STORE_NAME }), 
+	gbGetConstI("cachequota", 0) || 
+	parseFloat(localStorage.getItem(ASSET_CACHE_QUOTA_KEY)) || 
+	512, 
+	localForage );
+globalThis.assetCache = assetCache;
+
+const formatBytes = (n) => {
+	const units = ["B", "KB", "MB", "GB"];
+	let i = 0;
+	while(n >= 1024 && i < units.length - 1) {
+		n /= 1024;
+		i++;
+	}
+	return `${ n.toFixed(i ? 1 : 0) }${ units[i] }`;
+};
+
+class AssetCachePanel extends Panel {
+	constructor(cache, fs) {
+		super({
+			name : "asset-cache",
+			title: "Cache",
+			body : `
+				<div class="asset-cache-summary"></div>
+				<label>
+					Quota, MB
+					<input class="asset-cache-quota" type="number" min="16" step="16" />
+				</label>
+				<button class="asset-cache-clear">Clear cache</button>
+				<table>
+					<thead><tr><th>File</th><th>Size</th><th>Last access</th><th></th></tr></thead>
+					<tbody></tbody>
+				</table>
+			`,
+			style: `
+				.asset-cache-body {
+					width: 600px;
+				}
+				.asset-cache-body table {
+					width: 100%;
+					margin-top: 6px;
+					border-collapse: collapse;
+				}
+				.asset-cache-body td, .asset-cache-body th {
+					white-space: nowrap;
+				}
+			`,
+		});
+		this.cache = cache;
+		this.fs = fs;
+		this.maxRows = 200;
+		
+		this.$summary = this.$(".asset-cache-summary");
+		this.$quota   = this.$(".asset-cache-quota");
+		this.$clear   = this.$(".asset-cache-clear");
+		this.$tbody   = this.$("tbody");
+
+		/// key -> path, for display only
+		this._pathByGUIDHex = null;
+
+		this.onclear = async () => {
+			if ( confirm("Delete all cached files?") )
+				await this.cache.clear();
+		};
+		this.onquota = () => {
+			const quotaMB = parseFloat(this.$quota.value);
+			if ( quotaMB > 0 )
+				this.cache.setQuotaMB(quotaMB);
+		};
+		this.onremove = (event) => {
+			const key = event.target.dataset.key;
+			if ( key )
+				this.cache.remove(key);
+		};
+		this.onupdate = () => this.render();
+
+		this.setEvents();
+		this.mount();
+	}
+
+	_getPath(key) {
+		if ( !this._pathByGUIDHex ) {
+			this._pathByGUIDHex = new Map();
+			for(const [path, guid] of this.fs.map)
+				this._pathByGUIDHex.set(this.fs.guidToHex(guid), path);
+		}
+		const guidHex = key.slice(1).split(".")[0];
+		return this._pathByGUIDHex.get(guidHex) || key;
+	}
+
+	render() {
+		const cache = this.cache;
+		const entries = cache.getEntries();
+		this.$toggle.textContent = `Cache ${ formatBytes(cache.totalSize) }`;
+		if ( !this.isOpen )
+			return;
+		
+		this.$summary.textContent = 
+			`${entries.length} files, ${ formatBytes(cache.totalSize) } of ${ formatBytes(cache.quota) }`;
+		if ( document.activeElement !== this.$quota )
+			this.$quota.value = cache.quotaMB;
+
+		this.$tbody.innerHTML = "";
+		entries
+			.sort((l, r) => r.lastAccess - l.lastAccess)
+			.slice(0, this.maxRows)
+			.map(entry => {
+				const $tr = document.createElement("tr");
+				$tr.innerHTML = `<td></td><td></td><td></td><td><button>x</button></td>`;
+				$tr.children[0].textContent = this._getPath(entry.key);
+				$tr.children[1].textContent = formatBytes(entry.size);
+				$tr.children[2].textContent = entry.lastAccess ? new Date(entry.lastAccess).toLocaleString() : "-";
+				$tr.querySelector("button").dataset.key = entry.key;
+				this.$tbody.appendChild($tr);
+			});
+	}
+
+	setEvents() {
+		super.setEvents();
+		this.$clear.addEventListener("click", this.onclear);
+		this.$quota.addEventListener("change", this.onquota);
+		this.$tbody.addEventListener("click", this.onremove);
+		this.cache.addEventListener("update", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$clear.removeEventListener("click", this.onclear);
+		this.$quota.removeEventListener("change", this.onquota);
+		this.$tbody.removeEventListener("click", this.onremove);
+		this.cache.removeEventListener("update", this.onupdate);
+	}
+}
+
+/**
+	Streaming state of the current map, polled from FS/TEX/basis statistics
+	
+	events:
+		"start"    - map load began
+		"progress" - stats changed while loading
+		"resident" - nothing pending for a while; the map is fully loaded
+	every event carries { mapName, stats }
+*/
+class LoadingProgress extends EventTarget {
+	constructor(mapManager, interval = 200) {
+		super();
+		this.mapManager = mapManager;
+		this.interval = interval;
+		/// polls in a row with nothing pending before "resident", whether files were loaded or not (all cached or in memory);
+		/// long enough to cover the frames before the wasm asks for the first file
+		this.numIdlePolls = 5;
+		
+		this.mapName = null;
+		this.isResident = true;
+		this.stats = null;
+		
+		this._base = null;
+		this._startTime = 0;
+		this._idlePolls = 0;
+		this._statsKey = "";
+		this._timer = null;
+		
+		this.onload = ({mapName}) => this.start(mapName);
+		this.mapManager.addEventListener("load", this.onload);
+	}
+
+	_dispatch(type) {
+		this.dispatchEvent(Object.assign(new Event(type), { mapName: this.mapName, stats: this.stats }));
+	}
+
+	start(mapName) {
+		this.mapName = mapName;
+		this.isResident = false;
+		this._base = {
+			filesLoaded : gbFSLoadedCount,
+			bytesNetwork: gbFSNetworkSize,
+			bytesCache  : gbFSCacheSize,
+		};
+		this._startTime = performance.now();
+		this._idlePolls = 0;
+		this.stats = this.getStats();
+		
+		clearInterval(this._timer);
+		this._timer = setInterval(() => this.poll(), this.interval);
+		this._dispatch("start");
+	}
+	stop() {
+		clearInterval(this._timer);
+		this._timer = null;
+	}
+
+	getStats() {
+		const fs = APIJS.FS;
+		const tex = APIJS.TEX;
+		return {
+			filesPending       : fs.pending.size,
+			filesQueued        : fs.scheduler.numQueued,
+			filesActive        : fs.scheduler.numActive,
+			filesLoaded        : gbFSLoadedCount - this._base.filesLoaded,
+			bytesNetwork       : gbFSNetworkSize - this._base.bytesNetwork,
+			bytesCache         : gbFSCacheSize   - this._base.bytesCache,
+			texturesPending    : tex ? tex.numPending : 0,
+			texturesTranscoding: basisThreadControlPool.numTasks,
+			elapsedSec         : (performance.now() - this._startTime) / 1e3,
+		};
+	}
+	poll() {
+		const stats = this.stats = this.getStats();
+		const isIdle = !stats.filesPending && !stats.texturesPending && !stats.texturesTranscoding;
+		this._idlePolls = isIdle ? this._idlePolls + 1 : 0;
+		
+		if ( this._idlePolls >= this.numIdlePolls ) {
+			this.stop();
+			this.isResident = true;
+			this._dispatch("resident");
+			return;
+		}
+		
+		const {elapsedSec, ...rest} = stats;
+		const statsKey = JSON.stringify(rest);
+		if ( statsKey !== this._statsKey ) {
+			this._statsKey = statsKey;
+			this._dispatch("progress");
+		}
+	}
+
+	delete() {
+		this.stop();
+		this.mapManager.removeEventListener("load", this.onload);
+	}
+}
+
+class LoadingOverlay {
+	constructor(progress) {
+		this.progress = progress;
+
+		this.html = `
+		<div class="loading-overlay">
+			<div class="loading-overlay-title"></div>
+			<div class="loading-overlay-bar"><div></div></div>
+			<div class="loading-overlay-files"></div>
+			<div class="loading-overlay-bytes"></div>
+			<div class="loading-overlay-textures"></div>
+		</div>
+		`;
+		this.dom = document.createElement("div");
+		this.dom.innerHTML = this.html;
+		this.dom = this.dom.children[0];
+		
+		this.$title    = this.dom.querySelector(".loading-overlay-title");
+		this.$bar      = this.dom.querySelector(".loading-overlay-bar > div");
+		this.$files    = this.dom.querySelector(".loading-overlay-files");
+		this.$bytes    = this.dom.querySelector(".loading-overlay-bytes");
+		this.$textures = this.dom.querySelector(".loading-overlay-textures");
+
+		this.style = document.createElement("style");
+		this.style.textContent = `
+			.loading-overlay {
+				position: fixed;
+				left: 50%;
+				top: 50%;
+				transform: translate(-50%, -50%);
+				width: 360px;
+				padding: 10px;
+				z-index: 1000;
+				font: 12px monospace;
+				color: #AAA;
+				background: rgba(32, 32, 32, 0.9);
+				pointer-events: none;
+				display: none;
+			}
+			.loading-overlay.show {
+				display: block;
 			}
-			.select-map-menu ul li.active {
-			    background: #1d202b;
+			.loading-overlay-bar {
+				height: 6px;
+				margin: 6px 0px;
+				background: #484848;
+			}
+			.loading-overlay-bar > div {
+				height: 100%;
+				width: 0%;
+				background: #AAA;
 			}
 		`;
 
-		this.onclick = (event) => {
-			this.elements.map(e => e.classList.remove("active"));
-			const el = event.target;
-			el.classList.add("active");
-			
-			const e = new Event("update");
-			e.mapName = event.target.textContent;
-			this.dispatchEvent(e);
+		this.onstart = () => {
+			this.dom.classList.add("show");
+			this.render();
 		};
+		this.onprogress = () => this.render();
+		this.onresident = () => this.dom.classList.remove("show");
 
 		this.setEvents();
 		this.mount();
 	}
 
-	get elements() {
-		return [...this.dom.querySelectorAll("li")];
+	render() {
+		const {mapName, stats} = this.progress;
+		if ( !stats )
+			return;
+		
+		const numFiles = stats.filesLoaded + stats.filesPending;
+		const fraction = numFiles ? stats.filesLoaded / numFiles : 0;
+		
+		this.$title.textContent = `Loading ${ mapName }...`;
+		this.$bar.style.width = `${ (fraction * 100).toFixed(1) }%`;
+		this.$files.textContent = 
+			`Files: ${ stats.filesLoaded } loaded, ${ stats.filesPending } pending (${ stats.filesActive } downloading)`;
+		this.$bytes.textContent = 
+			`Network: ${ formatBytes(stats.bytesNetwork) }, cache: ${ formatBytes(stats.bytesCache) }`;
+		this.$textures.textContent = 
+			`Textures: ${ stats.texturesPending } pending, ${ stats.texturesTranscoding } transcoding`;
 	}
 
 	mount() {
@@ -15648,10 +22712,14 @@ class SelectMapMenu extends EventTarget {
 	}
 
 	setEvents() {
-		this.elements.map(el => el.addEventListener("click", this.onclick));
+		this.progress.addEventListener("start", this.onstart);
+		this.progress.addEventListener("progress", this.onprogress);
+		this.progress.addEventListener("resident", this.onresident);
 	}
 	deleteEvents() {
-		this.elements.map(el => el.removeEventListener("click", this.onclick));
+		this.progress.removeEventListener("start", this.onstart);
+		this.progress.removeEventListener("progress", this.onprogress);
+		this.progress.removeEventListener("resident", this.onresident);
 	}
 
 	delete() {
@@ -15660,80 +22728,416 @@ class SelectMapMenu extends EventTarget {
 	}
 }
 
-if ( window.smm )
-	window.smm.delete();
-
-window.addEventListener("load", () => {
-	window.smm = new SelectMapMenu({
-		top: "100px",
-		"z-index": 1e3,
-	});
+/**
+	Offline maps through the service worker (sw.js)
+	
+	The files of a map are its /map/<name>/ directory, the entities its .ebp places with their
+	materials, particles and textures (both qualities), plus everything the map read the last time
+	it became resident here. The list comes from the files alone, the current map stays as it is.
+	
+	events: "progress", "done" ({ mapName, done, total, bytes, failed }), "list" ({ maps })
+*/
+class OfflineMaps extends EventTarget {
+	constructor(fs, loadingProgress) {
+		super();
+		this.fs = fs;
+		this.loadingProgress = loadingProgress;
+		/// mapName -> number of files, from the service worker
+		this.maps = {};
+		
+		this.onresident = ({mapName}) => this.saveFileList(mapName, this.fs.mapGUIDs);
+		this.onmessage = ({data}) => {
+			const {type, ...rest} = data;
+			if ( type === "list" )
+				this.maps = rest.maps;
+			this.dispatchEvent(Object.assign(new Event(type), rest));
+		};
+		
+		this.loadingProgress.addEventListener("resident", this.onresident);
+		if ( this.isSupported )
+			navigator.serviceWorker.addEventListener("message", this.onmessage);
+	}
+	
+	get isSupported() {
+		return "serviceWorker" in navigator;
+	}
+	get isReady() {
+		return this.isSupported && !!navigator.serviceWorker.controller;
+	}
+	async register(url = "sw.js") {
+		if ( !this.isSupported )
+			return;
+		
+		await navigator.serviceWorker.register(url);
+		await navigator.serviceWorker.ready;
+		if ( this.isReady )
+			this.refresh();
+	}
+	_post(message) {
+		if ( !this.isReady )
+			throw new Error(`Service worker is not active; reload the page`);
+		navigator.serviceWorker.controller.postMessage(message);
+	}
+	
+	saveFileList(mapName, guids) {
+		localStorage.setItem("OFFLINE_FILES_" + mapName.toLowerCase(), JSON.stringify([...guids]));
+	}
+	loadFileList(mapName) {
+		return JSON.parse(localStorage.getItem("OFFLINE_FILES_" + mapName.toLowerCase()));
+	}
+	/// -> guids of the files the map needs; reads its .ebp, .r3mtl and particle files
+	async getMapFiles(mapName) {
+		mapName = mapName.toLowerCase();
+		const fs = this.fs;
+		const guids = new Set(this.loadFileList(mapName) || []);
+		const dir = `map/${mapName}/`;
+		for(const [path, guid] of fs.map)
+			if ( path.startsWith(dir) )
+				guids.add(guid);
+		
+		const paths = new Set();
+		const mtlPaths = [`${dir}${mapName}.r3mtl`, `${dir}sky/${mapName}sky.r3mtl`];
+		const addEntity = (path) => {
+			paths.add(path);
+			mtlPaths.push(fs.delExt(path) + ".r3mtl");
+		};
+		const ebpPath = `${dir}${mapName}.ebp`;
+		if ( fs.fileExistsSync(ebpPath) ) {
+			for(const entity of parseEBP(await fs.getFile(ebpPath)).entities) {
+				const path = fs.normalize("map/entity/" + entity.name);
+				if ( !entity.isParticle ) {
+					addEntity(path);
+					continue;
+				}
+				
+				const particlePath = fs.delExt(path) + ".particle";
+				paths.add(path);
+				paths.add(particlePath);
+				try {
+					const effect = fs.fileExistsSync(particlePath) ?
+						parseParticle(await fs.getFile(particlePath)) :
+						parseParticleSPT(await fs.getFile(path));
+					addEntity(fs.normalize(effect.entityName));
+				} catch(e) {
+					console.log(path, e);
+				}
+			}
+		}
+		
+		for(const path of mtlPaths) {
+			if ( !fs.fileExistsSync(path) )
+				continue;
+			paths.add(path);
+			try {
+				for(const guid of parseR3MTL(await fs.getFile(path)).textureGUIDs)
+					["low", "high"].map(quality => paths.add(APIJS.TEX.getTexturePath(guid, quality)));
+			} catch(e) {
+				console.log(path, e);
+			}
+		}
+		
+		for(const path of paths)
+			if ( fs.fileExistsSync(path) )
+				guids.add(fs.getFileGUID(path));
+		return guids;
+	}
+	async getMapURLs(mapName) {
+		const guids = await this.getMapFiles(mapName);
+		return [...guids].map(guid => `/static/RFOnline/files/${ this.fs.guidToHex(guid) }`);
+	}
+	
+	async save(mapName) {
+		mapName = mapName.toLowerCase();
+		const urls = await this.getMapURLs(mapName);
+		
+		const done = new Promise(resolve => {
+			const ondone = (event) => {
+				if ( event.mapName !== mapName )
+					return;
+				this.removeEventListener("done", ondone);
+				resolve(event);
+			};
+			this.addEventListener("done", ondone);
+		});
+		this._post({ type: "precache", mapName, urls });
+		const result = await done;
+		this.refresh();
+		return result;
+	}
+	remove(mapName) {
+		this._post({ type: "delete", mapName: mapName.toLowerCase() });
+	}
+	refresh() {
+		this._post({ type: "list" });
+	}
+	
+	delete() {
+		this.loadingProgress.removeEventListener("resident", this.onresident);
+		if ( this.isSupported )
+			navigator.serviceWorker.removeEventListener("message", this.onmessage);
+	}
+}
 
-	smm.addEventListener("update", ({mapName}) => {
-		Module.API_loadBsp(mapName);
-	});
+class OfflinePanel extends Panel {
+	constructor(offlineMaps, maps) {
+		super({
+			name : "offline",
+			title: "Offline",
+			side : "right",
+			body : `
+				<div class="offline-status"></div>
+				<table><tbody></tbody></table>
+			`,
+			style: `
+				.offline-body td {
+					white-space: nowrap;
+				}
+			`,
+		});
+		this.offlineMaps = offlineMaps;
+		this.mapList = maps;
+		/// mapName -> progress text while saving
+		this.progress = {};
+		
+		this.$status = this.$(".offline-status");
+		this.$tbody  = this.$("tbody");
 
-});
+		this.onclick = (event) => {
+			const {mapName, action} = event.target.dataset;
+			if ( !mapName )
+				return;
+			
+			if ( action === "remove" ) {
+				this.offlineMaps.remove(mapName);
+				return;
+			}
+			
+			this.progress[mapName] = "preparing...";
+			this.render();
+			this.offlineMaps.save(mapName)
+				.catch(e => console.log(e))
+				.then(() => {
+					delete this.progress[mapName];
+					this.render();
+				});
+		};
+		this.onprogress = ({mapName, done, total, bytes, failed}) => {
+			this.progress[mapName] = `${done}/${total} ${ formatBytes(bytes) }${ failed ? `, ${failed} failed` : "" }`;
+			this.render();
+		};
+		this.onupdate = () => this.render();
 
-})();
+		this.setEvents();
+		this.mount();
+	}
+	
+	onToggle() {
+		if ( this.isOpen && this.offlineMaps.isReady )
+			this.offlineMaps.refresh();
+	}
 
+	render() {
+		const offlineMaps = this.offlineMaps;
+		if ( !this.isOpen )
+			return;
+		
+		this.$status.textContent = !offlineMaps.isSupported ? "Service workers are not supported" :
+			!offlineMaps.isReady ? "Service worker is not active yet; reload the page" :
+			navigator.onLine ? "Online" : "Offline";
+		
+		this.$tbody.innerHTML = "";
+		for(const map of this.mapList) {
+			const mapName = map.toLowerCase();
+			const numFiles = offlineMaps.maps[mapName];
+			const $tr = document.createElement("tr");
+			$tr.innerHTML = `<td></td><td></td><td><button>Save</button></td><td><button>x</button></td>`;
+			$tr.children[0].textContent = map;
+			$tr.children[1].textContent = this.progress[mapName] || 
+				(numFiles ? `${numFiles} files` : "-");
+			
+			const [$save, $remove] = $tr.querySelectorAll("button");
+			$save.dataset.mapName = $remove.dataset.mapName = mapName;
+			$remove.dataset.action = "remove";
+			$save.disabled = !offlineMaps.isReady || !!this.progress[mapName];
+			$remove.disabled = !offlineMaps.isReady || !numFiles;
+			this.$tbody.appendChild($tr);
+		}
+	}
 
-function gbGetConst(key, def) {
-	const kv = location.hash
-		.slice(1)
-		.split("&")
-		.filter(s => s.length)
-		.map(s => s.split("="))
-		.find(([k]) => k === key);
-	
-	if ( !kv )
-		return def;
-	
-	return kv[1] === undefined ? "" : kv[1];
-}
-function gbGetConstBool(key) {
-	return gbGetConst(key) !== undefined;
-}
-function gbGetConstI(key, def) {
-	const n = gbGetConst(key, def);
-	if ( !isFinite(n) )
-		return def;
-	return n | 0;
+	setEvents() {
+		super.setEvents();
+		this.$tbody.addEventListener("click", this.onclick);
+		this.offlineMaps.addEventListener("progress", this.onprogress);
+		this.offlineMaps.addEventListener("list", this.onupdate);
+		window.addEventListener("online", this.onupdate);
+		window.addEventListener("offline", this.onupdate);
+	}
+	deleteEvents() {
+		super.deleteEvents();
+		this.$tbody.removeEventListener("click", this.onclick);
+		this.offlineMaps.removeEventListener("progress", this.onprogress);
+		this.offlineMaps.removeEventListener("list", this.onupdate);
+		window.removeEventListener("online", this.onupdate);
+		window.removeEventListener("offline", this.onupdate);
+	}
 }
 
 
- 
-
+/**
+	Network side of SimpleFileSystem: at most maxConcurrent fetches, highest priority
+	(lowest number) first, one request per GUID. A request belongs to the groups of its callers
+	and is canceled once the last of them is: the map's loads go away on a map switch, the same
+	file asked for by the asset browser keeps loading.
+*/
+const FETCH_PRIORITY = {
+	BSP            : 0,
+	TEXTURE_VISIBLE: 1,
+	DEFAULT        : 2,
+	TEXTURE        : 3,
+	ENTITY         : 4,
+};
+/// request groups; files asked for without one are never canceled
+const FETCH_GROUP = {
+	MAP: "map",
+};
+class FetchCancelError extends Error {
+	constructor(url) {
+		super(`Request canceled: ${url}`);
+		this.name = "FetchCancelError";
+	}
+}
+class FetchScheduler {
+	constructor(maxConcurrent = 6) {
+		this.maxConcurrent = maxConcurrent;
+		
+		this.queue = [];
+		this.active = new Set();
+		/// guid -> request, queued or active
+		this.requests = new Map();
+		
+		this._seq = 0;
+	}
 
+	request(guid, url, priority = FETCH_PRIORITY.DEFAULT, group = null) {
+		const existing = this.requests.get(guid);
+		if ( existing ) {
+			existing.groups.add(group);
+			this.setPriority(guid, priority);
+			return existing.promise;
+		}
+		
+		const req = {
+			guid, url, priority,
+			seq       : this._seq++,
+			groups    : new Set([group]),
+			controller: null,
+			canceled  : false,
+		};
+		req.promise = new Promise((resolve, reject) => Object.assign(req, {resolve, reject}));
+		
+		this.requests.set(guid, req);
+		this.queue.push(req);
+		this._next();
+		
+		return req.promise;
+	}
+	/// only raises priority; active requests are left as is
+	setPriority(guid, priority) {
+		const req = this.requests.get(guid);
+		if ( req && !req.controller && priority < req.priority )
+			req.priority = priority;
+	}
 
-const u32ToHex = n =>{
-	const ab = new ArrayBuffer(4);
-	const i32s = new Int32Array(ab);
-	const u8s = new Uint8Array(ab);
-	i32s[0] = n;
-	return [...u8s].reduce((s, b) => s + `0${b.toString(16)}`.slice(-2), "");
-};
+	_takeNext() {
+		let best = -1;
+		for(let i = 0; i < this.queue.length; i++) {
+			const req = this.queue[i];
+			if ( best === -1 || 
+				req.priority < this.queue[best].priority || 
+				(req.priority === this.queue[best].priority && req.seq < this.queue[best].seq) )
+				best = i;
+		}
+		return this.queue.splice(best, 1)[0];
+	}
+	_next() {
+		while(this.active.size < this.maxConcurrent && this.queue.length)
+			this._start(this._takeNext());
+	}
+	async _start(req) {
+		req.controller = new AbortController();
+		this.active.add(req);
+		try {
+			const response = await fetch(req.url, { signal: req.controller.signal });
+			if ( response.status !== 200 )
+				throw new Error(`Bad response status; expected 200, got ${response.status}`);
+			
+			req.resolve(await response.arrayBuffer());
+		} catch(e) {
+			req.reject( req.canceled ? new FetchCancelError(req.url) : e );
+		} finally {
+			this.active.delete(req);
+			if ( this.requests.get(req.guid) === req )
+				this.requests.delete(req.guid);
+			this._next();
+		}
+	}
 
-let gbFSDownloadSummarySize = 0;
-let gbFSDownloadUnicalSummarySize = 0;
-let gbFSDownloadSetGUID = new Set();
-const SHADERID_ENTITY = 2;
+	cancel(filter = () => true) {
+		const canceled = [...this.requests.values()].filter(filter);
+		for(const req of canceled) {
+			req.canceled = true;
+			this.requests.delete(req.guid);
+			if ( req.controller ) {
+				req.controller.abort();
+				continue;
+			}
 
-const gbFSFileGUIDList = new Set();
+			this.queue.splice(this.queue.indexOf(req), 1);
+			req.reject(new FetchCancelError(req.url));
+		}
+		return canceled.length;
+	}
+	/// map switch: drop the group from its requests, cancel those no one else waits for
+	cancelGroup(group) {
+		return this.cancel(req => {
+			req.groups.delete(group);
+			return !req.groups.size;
+		});
+	}
+	
+	get numQueued() { return this.queue.length; }
+	get numActive() { return this.active.size; }
+}
 
 function SimpleFileSystem(gl, wasm) {
-	const Module = wasm;
+	let Module = wasm;
 class _SimpleFileSystem {
 	constructor() {
 		this.map = new Map();
+		/// guid -> content version, from the optional 3rd column: [path, guid, version]
+		this.versions = new Map();
+		/// guid -> path, for request priorities
+		this.paths = new Map();
+		
+		this.scheduler = new FetchScheduler( gbGetConstI("fsconcurrency", 6) || 6 );
+		/// group:guid -> promise, merges concurrent getFileByGUID calls of a group
+		this.pending = new Map();
+		/// guids read since the current map started loading, for offline mode
+		this.mapGUIDs = new Set();
 	}
 
 	updateFSMapData(mapData) {
-		mapData.map(([key, val]) => 
-			this.map.set(this.normalize(key), val) );
+		mapData.map(([key, val, version]) => {
+			this.map.set(this.normalize(key), val);
+			this.paths.set(val, this.normalize(key));
+			if ( version !== undefined )
+				this.versions.set(val, version);
+		});
 	}
 	setFSMapData(mapData) {
 		this.map.clear();
+		this.versions.clear();
+		this.paths.clear();
 		this.updateFSMapData(mapData);
 	}
 
@@ -15808,24 +23212,67 @@ class _SimpleFileSystem {
 		}
 	}
 	
-	async loadFileByGUID(guid) {
+	getPriority(guid) {
+		const path = this.paths.get(guid) || "";
+		if ( path.startsWith("map/entity/") )
+			return FETCH_PRIORITY.ENTITY;
+		if ( path.startsWith("map/") )
+			return FETCH_PRIORITY.BSP;
+		if ( path.startsWith("textures-") )
+			return FETCH_PRIORITY.TEXTURE;
+		return FETCH_PRIORITY.DEFAULT;
+	}
+	setPriority(guid, priority) {
+		this.scheduler.setPriority(guid, priority);
+	}
+	cancelRequests(group) {
+		for(const key of this.pending.keys())
+			if ( key.startsWith(`${group}:`) )
+				this.pending.delete(key);
+		return this.scheduler.cancelGroup(group);
+	}
+
+	async loadFileByGUID(guid, priority = this.getPriority(guid), group = null) {
 		const guidHex = this.guidToHex(guid);
-		const response = await fetch(`/static/RFOnline/files/${guidHex}`);
-		if ( response.status !== 200 )
-			throw new Error(`Bad response status; expected 200, got ${response.status}`);
-		
-		return await response.arrayBuffer();
+		return this.scheduler.request(guid, `/static/RFOnline/files/${guidHex}`, priority, group);
+	}
+	getCacheKey(guid) {
+		const version = this.versions.get(guid);
+		return version === undefined ?
+			`F${ this.guidToHex(guid) }` :
+			`F${ this.guidToHex(guid) }.${ version }`;
+	}
+	/// forget cached files whose version changed or which left fileSystemMap.json
+	async pruneCache() {
+		const validKeys = new Set([...this.map.values()].map(guid => this.getCacheKey(guid)));
+		return assetCache.prune(validKeys);
+	}
+	async getFileByGUID(guid, group = null) {
+		const key = `${group}:${guid}`;
+		if ( !this.pending.has(key) ) {
+			const promise = this._getFileByGUID(guid, group);
+			this.pending.set(key, promise);
+			promise
+				.catch(() => {})
+				.then(() => this.pending.get(key) === promise && this.pending.delete(key));
+		}
+		return this.pending.get(key);
 	}
-	async getFileByGUID(guid) {
+	async _getFileByGUID(guid, group) {
 		const guidHex = this.guidToHex(guid);
 		gbFSFileGUIDList.add(guidHex);
-		const lfKey = `F${guidHex}`;
+		const lfKey = this.getCacheKey(guid);
 		
-		let fileData = await localForage.getItem(lfKey);
-		if ( !fileData ) {
-			fileData = await this.loadFileByGUID(guid);
-			await localForage.setItem(lfKey, fileData);
+		let fileData = await assetCache.get(lfKey);
+		if ( fileData ) {
+			gbFSCacheSize += fileData.byteLength;
+		} else {
+			fileData = await this.loadFileByGUID(guid, this.getPriority(guid), group);
+			gbFSNetworkSize += fileData.byteLength;
+			await assetCache.set(lfKey, fileData);
 		}
+		gbFSLoadedCount++;
+		this.mapGUIDs.add(guid);
 		
 		gbFSDownloadSummarySize += fileData.byteLength;
 		if ( !gbFSDownloadSetGUID.has(guid) )
@@ -15834,13 +23281,22 @@ class _SimpleFileSystem {
 		
 		return fileData;
 	}
-	async getFile(path) {
-		return this.getFileByGUID(this.getFileGUID(path));
+	async getFile(path, group = null) {
+		return this.getFileByGUID(this.getFileGUID(path), group);
+	}
+	
+	/// map switch: the next map runs in a new wasm instance
+	setWasm(wasm) {
+		Module = wasm;
 	}
 	
 	/// API
 	async readFileByGUID(retId, guid) {
+		/// retId belongs to the instance that asked; a replaced one gets no answer
+		const module = Module;
 		const answer = async (arrayBuffer, error = false) => {
+			if ( module !== Module )
+				return;
 			const rError = error ? 1 : 0;
 			if ( error ) {
 				Module.APIWASM_FS_answerFileData(retId, guid, rError);
@@ -15857,9 +23313,10 @@ class _SimpleFileSystem {
 		};
 		
 		try {
-			await answer( await this.getFileByGUID(guid) );
+			await answer( await this.getFileByGUID(guid, FETCH_GROUP.MAP) );
 		} catch(e) {
-			console.log(e);
+			if ( !(e instanceof FetchCancelError) )
+				console.log(e);
 			await answer(null, true);
 		}
 	}
@@ -15868,7 +23325,7 @@ class _SimpleFileSystem {
 	this.__proto__ = new _SimpleFileSystem();
 }
 function SimpleTex(gl, wasm) {
-	const Module = wasm;
+	let Module = wasm;
 	function texImageNullTexture(gl) {
 		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 2, 2, false, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([
 			255,255,255,255,
@@ -15878,11 +23335,36 @@ function SimpleTex(gl, wasm) {
 		]));
 		gl.generateMipmap(gl.TEXTURE_2D);
 	}
+	/// requestTexture calls not finished yet
+	let numPending = 0;
+	/// glTextures slots of the current wasm instance; freed slots are reused
+	const ids = new Set();
+	const freeIds = [];
 	function createTexture() {
 		const glTexture = gl.createTexture();
-		const id = glTextures.push(glTexture) - 1;
+		const id = freeIds.length ? freeIds.pop() : glTextures.push(null) - 1;
+		glTextures[id] = glTexture;
+		ids.add(id);
 		return [glTexture, id];
 	}
+	/// map switch, together with setWasm: the old instance took its ids with it
+	function deleteAll() {
+		for(const id of ids) {
+			gl.deleteTexture(glTextures[id]);
+			glTextures[id] = null;
+			freeIds.push(id);
+		}
+		ids.clear();
+		textureStates.clear();
+		idsByGUID.clear();
+		groupBounds.clear();
+		this.fileGUIDById.clear();
+		textureBytes = 0;
+		this._nullTexture = null;
+	}
+	function setWasm(wasm) {
+		Module = wasm;
+	}
 	function getNullTexture() {
 		if ( this._nullTexture )
 			return this._nullTexture[0];
@@ -15920,13 +23402,98 @@ function SimpleTex(gl, wasm) {
 		gl.texParameterf(gl.TEXTURE_2D, glTFA.TEXTURE_MAX_ANISOTROPY_EXT, level);
 		return level;
 	}
-	async function requestTexture(guid) {
+	/**
+		Quality streaming: every texture starts low, the ones on screen near the camera
+		are swapped to high in place (new levels in the same texture object), and when the 
+		GPU budget is exceeded the ones not seen for the longest time drop back to low.
+		Map groups are as near as the closest point of their bounds, entities as their origin.
+		q1 and q255 files have the same size once transcoded, so low also skips the top 
+		mip level (1/4 of the memory).
+		#tex_q=low|high pins one quality and turns streaming off.
+	*/
+	const TEXTURE_QUALITY_PATHS = {
+		low : guidHex => `/textures-basis-q1-level1/${ guidHex }-q1-level1.basis`,
+		high: guidHex => `/textures-basis-q255-level1/${ guidHex }-q255-level1.basis`,
+	};
+	const fixedQuality = TEXTURE_QUALITY_PATHS[gbGetConst("tex_q")] ? gbGetConst("tex_q") : null;
+	const qualityConfig = {
+		budgetBytes    : (gbGetConstI("texbudget", 0) || 256) * 1024 * 1024,
+		nearDistance   : gbGetConstI("texnear", 0) || 4000,
+		updateInterval : 30,
+		maxSwaps       : 2,
+		lowDropMips    : 1,
+	};
+	/// glTextures id -> { guid, quality, bytes, width, height, lastVisibleFrame, isSwapping, hasHigh }
+	const textureStates = new Map();
+	let textureBytes = 0;
+	let frame = 0;
+	let numSwaps = 0;
+	/// texture guid (as wasm asks for it) -> glTextures id
+	const idsByGUID = new Map();
+	/// "vb:ib:start:count" of a map group -> { min, max } of its vertices, null without geometry
+	const groupBounds = new Map();
+	const BSP_VERTEX_STRIDE = 28;
+	
+	function getTexturePath(guid, quality) {
+		return TEXTURE_QUALITY_PATHS[quality](u32ToHex(guid));
+	}
+	function setTextureParameters() {
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+		//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+		
+		if ( gbGetConstBool("anisotropic") )
+			anisotropic( gbGetConstI("anisotropic") );
+	}
+	/// fetch + transcode, then upload into the texture object of glTextures[id]; false if the slot moved on meanwhile
+	async function loadQuality(id, quality) {
+		const state = textureStates.get(id);
+		const texPath = getTexturePath(state.guid, quality);
+		
+		state.isSwapping = true;
 		try {
-			const guidHex = u32ToHex(guid);
+			this.fileGUIDById.set(id, APIJS.FS.getFileGUID(texPath));
+			const ab = await APIJS.FS.getFile(texPath, FETCH_GROUP.MAP);
+			if ( textureStates.get(id) !== state )
+				return false;
+			
+			const data = await basisThreadControlPool.transcode(ab, basisThreadControlPool.detectSupport(gl));
+			if ( textureStates.get(id) !== state )
+				return false;
+			
+			const dropMips = quality === "low" && !fixedQuality ? 
+				Math.min(qualityConfig.lowDropMips, data.mipmaps.length - 1) : 0;
+			const mipmaps = data.mipmaps.slice(dropMips);
 			
+			/// same object, new levels: ids held by wasm and bound elsewhere stay valid, no second allocation
+			gl.bindTexture(gl.TEXTURE_2D, glTextures[id]);
+			setTextureParameters();
+			basisThreadControlPool.compressedTexImage2D(gl, { format: data.format, mipmaps });
+			
+			const bytes = mipmaps.reduce((s, mipmap) => s + mipmap.data.byteLength, 0);
+			textureBytes += bytes - state.bytes;
+			state.bytes = bytes;
+			state.quality = quality;
+			state.width = mipmaps[0].width;
+			state.height = mipmaps[0].height;
+			return true;
+		} finally {
+			state.isSwapping = false;
+		}
+	}
+	async function requestTexture(guid) {
+		/// answers go to the instance that asked only
+		const module = Module;
+		numPending++;
+		try {
 			while(globalThis.gl === undefined)
 				await sleep(100);
-
+			if ( module !== Module )
+				return;
 
 			const [glTexture, id] = this.createTexture();
 			//glTextures[id] = this.getNullTexture();
@@ -15937,44 +23504,186 @@ function SimpleTex(gl, wasm) {
 			
 			Module.APIWASM_TEX_answerTexture(guid, id, 0);
 		
-			const qmap = {
-				low : `/textures-basis-q1-level1/${ guidHex }-q1-level1.basis`,
-				high: `/textures-basis-q255-level1/${ guidHex }-q255-level1.basis`,
-			};
-			const ab = await APIJS.FS.getFile( qmap[gbGetConst("tex_q")] || qmap.low );
-
-			gl.bindTexture(gl.TEXTURE_2D, glTexture);
-			//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-			//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-			//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-			//gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-			
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-			
-			if ( gbGetConstBool("anisotropic") )
-				anisotropic( gbGetConstI("anisotropic") );
-			
-			if ( 1 ) {
-				const support = await basisThreadControlPool.transcode(ab, basisThreadControlPool.detectSupport(gl));
-				gl.bindTexture(gl.TEXTURE_2D, glTexture);
-				basisThreadControlPool.compressedTexImage2D(gl, support);
-			}
-			
-			glTextures[id] = glTexture;
+			textureStates.set(id, {
+				guid,
+				quality         : null,
+				bytes           : 0,
+				/// the null texture until a quality is in
+				width           : 2,
+				height          : 2,
+				lastVisibleFrame: frame,
+				isSwapping      : false,
+				hasHigh         : APIJS.FS.fileExistsSync(getTexturePath(guid, "high")),
+			});
+			idsByGUID.set(guid, id);
+			await this.loadQuality(id, fixedQuality || "low");
 
 			//Module.APIWASM_TEX_answerTexture(guid, id, 0);
 			//Module.APIWASM_TEX_answerTexture(guid, 0, 0);
 		} catch(e) {
-			console.log(e);
-			Module.APIWASM_TEX_answerTexture(guid, -1, 1);
+			if ( !(e instanceof FetchCancelError) )
+				console.log(e);
+			if ( module === Module )
+				Module.APIWASM_TEX_answerTexture(guid, -1, 1);
+		} finally {
+			numPending--;
+		}
+	}
+	
+	function getGroupBounds(group) {
+		const {vbId, ibId, start, count} = group;
+		const key = `${vbId}:${ibId}:${start}:${count}`;
+		if ( groupBounds.has(key) )
+			return groupBounds.get(key);
+		
+		let bounds = null;
+		const vb = APIJS.GEOMETRYBUFFER.getBufferSource(vbId);
+		const ib = APIJS.GEOMETRYBUFFER.getBufferSource(ibId);
+		if ( vb && ib && (start + count) * 4 <= ib.arrayBuffer.byteLength ) {
+			const indexes = new Uint32Array(ib.arrayBuffer, start * 4, count);
+			const positions = new DataView(vb.arrayBuffer);
+			const min = [Infinity, Infinity, Infinity];
+			const max = [-Infinity, -Infinity, -Infinity];
+			for(const index of indexes) {
+				const byteOffset = index * BSP_VERTEX_STRIDE;
+				if ( byteOffset + 12 > positions.byteLength )
+					continue;
+				for(let i = 0; i < 3; i++) {
+					const v = positions.getFloat32(byteOffset + i * 4, true);
+					min[i] = Math.min(min[i], v);
+					max[i] = Math.max(max[i], v);
+				}
+			}
+			if ( min[0] <= max[0] )
+				bounds = { min, max };
+		}
+		
+		groupBounds.set(key, bounds);
+		return bounds;
+	}
+	/// entities: from their origin; map groups: from the nearest point of their bounds, 0 inside
+	function getGroupDistance(group, cameraPos) {
+		if ( group.entityId !== -1 )
+			return Math.hypot(
+				group.matrix[12] - cameraPos[0],
+				group.matrix[13] - cameraPos[1],
+				group.matrix[14] - cameraPos[2]
+			);
+		
+		const bounds = getGroupBounds(group);
+		if ( !bounds )
+			return 0;
+		const {min, max} = bounds;
+		return Math.hypot(...[0, 1, 2].map(i => Math.max(min[i] - cameraPos[i], 0, cameraPos[i] - max[i])));
+	}
+	
+	/// per frame with the rendered groups; swaps run every updateInterval frames
+	function updateQuality(renderMatGroups, cameraPos) {
+		frame++;
+		if ( fixedQuality )
+			return;
+		
+		/// texture id -> distance of its nearest group
+		const distances = new Map();
+		for(const group of renderMatGroups) {
+			const state = textureStates.get(group.textureId);
+			if ( !state )
+				continue;
+			
+			state.lastVisibleFrame = frame;
+			const distance = getGroupDistance(group, cameraPos);
+			distances.set(group.textureId, Math.min(distance, distances.has(group.textureId) ? distances.get(group.textureId) : Infinity));
+		}
+		
+		if ( frame % qualityConfig.updateInterval )
+			return;
+		
+		const swap = (id, quality) => {
+			numSwaps++;
+			this.loadQuality(id, quality)
+				.catch(e => { if ( !(e instanceof FetchCancelError) ) console.log(e); })
+				.then(() => numSwaps--);
+		};
+		
+		/// high is about 4x low (the dropped top mip)
+		const upgradeList = [...distances]
+			.filter(([id, distance]) => {
+				const state = textureStates.get(id);
+				return distance < qualityConfig.nearDistance && 
+					state.quality === "low" && state.hasHigh && !state.isSwapping;
+			})
+			.sort(([, l], [, r]) => l - r)
+			.slice(0, Math.max(0, qualityConfig.maxSwaps - numSwaps));
+		const upgradeBytes = upgradeList.reduce((s, [id]) => s + textureStates.get(id).bytes * 3, 0);
+		
+		/// over budget: least recently seen high textures go back to low
+		let excessBytes = textureBytes + upgradeBytes - qualityConfig.budgetBytes;
+		if ( excessBytes > 0 ) {
+			const highList = [...textureStates]
+				.filter(([id, state]) => state.quality === "high" && !state.isSwapping && !distances.has(id))
+				.sort(([, l], [, r]) => l.lastVisibleFrame - r.lastVisibleFrame);
+			for(const [id, state] of highList) {
+				if ( excessBytes <= 0 )
+					break;
+				excessBytes -= state.bytes * 3 / 4;
+				swap(id, "low");
+			}
+		}
+		
+		/// what still does not fit waits for the next update
+		let freeBytes = qualityConfig.budgetBytes - textureBytes;
+		for(const [id] of upgradeList) {
+			freeBytes -= textureStates.get(id).bytes * 3;
+			if ( freeBytes < 0 )
+				break;
+			swap(id, "high");
+		}
+	}
+	
+	/// textures of rendered groups jump the download queue
+	function prioritizeTextures(textureIds) {
+		for(const id of textureIds) {
+			const fileGUID = this.fileGUIDById.get(id);
+			if ( fileGUID )
+				APIJS.FS.setPriority(fileGUID, FETCH_PRIORITY.TEXTURE_VISIBLE);
 		}
 	}
 	
+	/// materials refer to textures by guid, the command stream by glTextures id
+	function getTextureGUID(id) {
+		const state = textureStates.get(id);
+		return state ? state.guid : 0;
+	}
+	function getTextureId(guid) {
+		return idsByGUID.has(guid) ? idsByGUID.get(guid) : -1;
+	}
+	/// -> [width, height] of the top level, null for textures this loader does not own
+	function getTextureSize(id) {
+		const state = textureStates.get(id);
+		return state ? [state.width, state.height] : null;
+	}
+	
+	/// glTextures id -> guid of its .basis file
+	this.fileGUIDById = new Map();
+	
 	this.texImageNullTexture = texImageNullTexture;
 	this.createTexture = createTexture;
+	this.deleteAll = deleteAll;
+	this.setWasm = setWasm;
+	this.prioritizeTextures = prioritizeTextures;
 	this.getNullTexture = getNullTexture;
 	this.requestTexture = requestTexture;
+	this.loadQuality = loadQuality;
+	this.updateQuality = updateQuality;
+	this.getTextureGUID = getTextureGUID;
+	this.getTextureId = getTextureId;
+	this.getTextureSize = getTextureSize;
+	this.getTexturePath = getTexturePath;
+	this.qualityConfig = qualityConfig;
+	this.textureStates = textureStates;
+	
+	Object.defineProperty(this, "textureBytes", { get: () => textureBytes });
+	Object.defineProperty(this, "numPending" , { get: () => numPending });
 }
 function SimpleGeometryBuffer(gl, wasm) {
 	const glVbList = [];
@@ -16011,10 +23720,25 @@ function SimpleGeometryBuffer(gl, wasm) {
 		return p;
 	}
 	const glBufferList = glBuffers;//[];
+	/// id -> GlBuffer, whose arrayBuffer keeps a CPU copy of the data
+	const bufferSourceList = [];
+	/// glBuffers slots of the current wasm instance; freed slots are reused
+	const ids = new Set();
+	const freeIds = [];
+	function allocBufferId(glBuffer, source) {
+		const id = freeIds.length ? freeIds.pop() : glBufferList.push(null) - 1;
+		glBufferList[id] = glBuffer;
+		bufferSourceList[id] = source;
+		ids.add(id);
+		return id;
+	}
+	function getBufferSource(id) {
+		return bufferSourceList[id] || null;
+	}
 	
 	vbibList.push(vbibEntity);
-	let entityVbId = glBufferList.push(vbibEntity.vb.glBuffer) - 1;
-	let entityIbId = glBufferList.push(vbibEntity.ib.glBuffer) - 1;
+	let entityVbId = allocBufferId(vbibEntity.vb.glBuffer, vbibEntity.vb);
+	let entityIbId = allocBufferId(vbibEntity.ib.glBuffer, vbibEntity.ib);
 
 	function vbibRequest(type) {
 		if ( type === SHADERID_ENTITY )
@@ -16038,8 +23762,8 @@ function SimpleGeometryBuffer(gl, wasm) {
 		} else {
 			vbib = VBIB.createSimple();
 			vbibList.push(vbib);
-			vbId = glBufferList.push(vbib.vb.glBuffer) - 1;
-			ibId = glBufferList.push(vbib.ib.glBuffer) - 1;
+			vbId = allocBufferId(vbib.vb.glBuffer, vbib.vb);
+			ibId = allocBufferId(vbib.ib.glBuffer, vbib.ib);
 			
 			vbib.vb.bind().bufferData(vb);
 			vbib.ib.bind().bufferData(ib);
@@ -16059,12 +23783,32 @@ function SimpleGeometryBuffer(gl, wasm) {
 		if ( glBufferList[id] ) {
 			gl.deleteBuffer(glBufferList[id]);
 			glBufferList[id] = null;
+			bufferSourceList[id] = null;
 		}
+		if ( ids.delete(id) )
+			freeIds.push(id);
+	}
+	/// map switch, together with setWasm: every buffer and the shared entity buffer start over
+	function deleteAll() {
+		[...ids].map(id => deleteBuffer(id));
+		vbibList.length = 0;
+		glVbList.length = 0;
+		glIbList.length = 0;
+		
+		vbibEntity = VBIB.createSimple();
+		vbibList.push(vbibEntity);
+		entityVbId = allocBufferId(vbibEntity.vb.glBuffer, vbibEntity.vb);
+		entityIbId = allocBufferId(vbibEntity.ib.glBuffer, vbibEntity.ib);
+	}
+	function setWasm(newWasm) {
+		wasm = this.wasm = newWasm;
 	}
-
 	this.vbibRequest = vbibRequest;
 	this.vbibData = vbibData;
 	this.deleteBuffer = deleteBuffer;
+	this.deleteAll = deleteAll;
+	this.setWasm = setWasm;
+	this.getBufferSource = getBufferSource;
 
 	globalThis.sgb = this;
 	this.wasm = wasm;
@@ -16101,7 +23845,8 @@ async function entryPoint() {
 	const wasm = await wasmInit(Module$1);
 	globalThis.Module = globalThis.wasm = wasm;
 
-	const renderer = new Renderer(1024, 768);
+	const renderer = new Renderer();
+	//const renderer = new Renderer(1024, 768);
 	//const renderer = new Renderer(1920, 1080);
 	//const renderer = new Renderer(800, 600);
 	globalThis.renderer = renderer;
@@ -16116,13 +23861,58 @@ async function entryPoint() {
 	APIJS.GEOMETRYBUFFER = new SimpleGeometryBuffer(gl, wasm);
 	
 	APIJS.FS.setFSMapData( await(await fetch("/static/RFOnline/fileSystemMap.json")).json() );
+	APIJS.FS.pruneCache().catch(e => console.log(e));
+	globalThis.assetCachePanel = new AssetCachePanel(assetCache, APIJS.FS);
+	globalThis.loadingProgress = new LoadingProgress(renderer.mapManager);
+	globalThis.loadingOverlay = new LoadingOverlay(loadingProgress);
+	
+	globalThis.offlineMaps = new OfflineMaps(APIJS.FS, loadingProgress);
+	if ( !gbGetConstBool("nosw") )
+		offlineMaps.register().catch(e => console.log(e));
+	globalThis.offlinePanel = new OfflinePanel(offlineMaps, window.smm ? window.smm.maps : [getMapName()]);
+	
+	renderer.environment.loadSidecar().catch(e => console.log(e));
+	globalThis.environmentPanel = new EnvironmentPanel(renderer.environment);
+	globalThis.keyBindingsPanel = new KeyBindingsPanel(renderer.camera.keyBindings);
+	globalThis.viewportPanel = new ViewportPanel(renderer.viewport);
+	globalThis.cameraBookmarks = new CameraBookmarks(renderer.camera, renderer.mapManager);
+	globalThis.cameraBookmarksPanel = new CameraBookmarksPanel(cameraBookmarks, renderer.mapManager);
+	
+	/// #touch forces the virtual stick on devices without a touch screen (devtools emulation)
+	if ( "ontouchstart" in window || gbGetConstBool("touch") )
+		globalThis.touchControls = new TouchControls(renderer.camera, renderer.canvas);
+	globalThis.gamepadControls = new GamepadControls(renderer.camera);
 	
 	const mapName = getMapName();
 	console.log("@wasm.API_init");
 	wasm.API_init();
-	wasm.API_loadBsp(mapName);
+	renderer.mapManager.load(mapName);
 	
 	await renderer.init();
+	if ( renderer.minimap.enabled )
+		globalThis.minimapOverlay = new MinimapOverlay(renderer.minimap, renderer.camera);
+	globalThis.screenshotPanel = new ScreenshotPanel(renderer.screenshot, renderer.viewport);
+	globalThis.frameCapturePanel = new FrameCapturePanel(renderer.frameCapture);
+	globalThis.frameDebuggerPanel = new FrameDebuggerPanel(renderer.frameDebugger, renderer.execCode);
+	
+	cameraPathControl.attach(renderer.mapManager);
+	
+	if ( gbGetConstBool("bench") ) {
+		const maps = gbGetConst("benchmaps") ? 
+			gbGetConst("benchmaps").split(",") : 
+			window.smm.maps;
+		const benchmark = new Benchmark(renderer, {
+			maps,
+			loadingProgress,
+			frames: gbGetConstI("bench", 0) || 600,
+			residentTimeoutSec: gbGetConstI("benchtimeout", 0) || 300,
+		});
+		globalThis.benchmark = benchmark;
+		benchmark.run().catch(e => console.log(e));
+	}
+	
+	if ( gbGetConstBool("torch") )
+		renderer.lighting.addPointLight({ follow: renderer.camera, offset: [0, -10, 0] });
 	
 	
 	
@@ -16141,12 +23931,651 @@ async function entryPoint() {
 	renderer.loopDraw();
 }
 
+/**
+	R3E entity (static mesh) parser, used by the asset browser preview
+*/
+function parseR3E(arrayBuffer) {
+	/**
+	typedef struct { uint32_t offset, size; } entry_t;
+	typedef struct {
+		uint32_t version;
+		uint32_t identity;
+		entry_t  compHeader, vertex, vcolor, uv, face, faceId, vertexId, matGroup, object, track;
+	} r3eHeader_t;
+	*/
+	const reader = new BinaryReader(arrayBuffer);
+	const version = reader.u32();
+	reader.u32();
+	const entryNames = ["compHeader", "vertex", "vcolor", "uv", "face", "faceId", "vertexId", "matGroup", "object", "track"];
+	const entries = {};
+	for(const name of entryNames)
+		entries[name] = { offset: reader.u32(), size: reader.u32() };
+
+	/**
+	typedef struct {
+		uint16_t type;              /// R3E_VERTEX_I16 | R3E_VERTEX_I8
+		int16_t  bbMin[3], bbMax[3];
+		float    pos[3];
+		float    scale;
+		float    uvMin, uvMax;
+	} compHeader_t;
+	
+	vertex  : int16_t[3] or int8_t[3] by type, [-1, 1] * scale + pos
+	vcolor  : uint32_t, one per vertex
+	uv      : int16_t[2] per face vertex, [-1, 1] -> [uvMin, uvMax]
+	vertexId: uint16_t per face vertex
+	*/
+	reader.seek(entries.compHeader.offset);
+	const type  = reader.u16();
+	const bbMin = [reader.i16(), reader.i16(), reader.i16()];
+	const bbMax = [reader.i16(), reader.i16(), reader.i16()];
+	const pos   = reader.f32Array(3);
+	const scale = reader.f32();
+	const uvMin = reader.f32();
+	const uvMax = reader.f32();
+	
+	const R3E_VERTEX_I16 = 0x4000;
+	const R3E_VERTEX_I8  = 0x8000;
+	if ( type !== R3E_VERTEX_I16 && type !== R3E_VERTEX_I8 )
+		throw new Error(`R3E: unknown vertex type 0x${type.toString(16)}`);
+	const readVertex = type === R3E_VERTEX_I8 ?
+		() => [0, 1, 2].map(i => reader.i8()  / 127   * scale + pos[i]) :
+		() => [0, 1, 2].map(i => reader.i16() / 32767 * scale + pos[i]);
+	const readUv = () => reader.i16() / 32767 * (uvMax - uvMin) / 2 + (uvMax + uvMin) / 2;
+
+	const readArray = (name, read) => {
+		const {offset, size} = entries[name];
+		reader.seek(offset);
+		const array = [];
+		while(reader.cursor < offset + size)
+			array.push(read());
+		return array;
+	};
+
+	const vertices  = readArray("vertex"  , readVertex);
+	const vcolors   = readArray("vcolor"  , () => reader.u32());
+	const uvs       = readArray("uv"      , () => [readUv(), readUv()]);
+	const faces     = readArray("face"    , () => ({ vNum: reader.u16(), vStart: reader.u32() }));
+	const faceIds   = readArray("faceId"  , () => reader.u16());
+	const vertexIds = readArray("vertexId", () => reader.u16());
+	const matGroups = readArray("matGroup", () => ({
+		faceNum  : reader.u16(),
+		faceStart: reader.u32(),
+		mtlId    : reader.i16(),
+		objectId : reader.i16(),
+		bbMin    : [reader.i16(), reader.i16(), reader.i16()],
+		bbMax    : [reader.i16(), reader.i16(), reader.i16()],
+	}));
+
+	if ( vertexIds.some(vId => vId >= vertices.length) || uvs.length < vertexIds.length )
+		throw new Error(`R3E: vertex ids out of range (${vertices.length} vertices)`);
+
+	return {
+		version, type, bbMin, bbMax, pos, scale,
+		vertices, vcolors, uvs, faces, faceIds, vertexIds, matGroups
+	};
+}
+/// r3e -> entity simple shader layout (vec3 position, vec2 uv, u8vec4 color; 24 bytes) + u32 indices
+function r3eToVerticesRenderData(r3e) {
+	const numFaceVertices = r3e.vertexIds.length;
+	const vertices = new ArrayBuffer(numFaceVertices * 24);
+	const vF32 = new Float32Array(vertices);
+	const vU8  = new Uint8Array(vertices);
+	for(let i = 0; i < numFaceVertices; i++) {
+		const vId = r3e.vertexIds[i];
+		vF32.set(r3e.vertices[vId], i*6);
+		vF32.set(r3e.uvs[i], i*6 + 3);
+		
+		const color = r3e.vcolors[vId] === undefined ? 0xFFFFFFFF : r3e.vcolors[vId];
+		vU8[i*24 + 20] = (color >>> 16) & 0xFF;
+		vU8[i*24 + 21] = (color >>>  8) & 0xFF;
+		vU8[i*24 + 22] = (color >>>  0) & 0xFF;
+		vU8[i*24 + 23] = (color >>> 24) & 0xFF;
+	}
+
+	/// polygons -> triangle fans, in material group order
+	const indexes = [];
+	const groups = [];
+	for(const matGroup of r3e.matGroups) {
+		const start = indexes.length;
+		for(let i = matGroup.faceStart; i < matGroup.faceStart + matGroup.faceNum; i++) {
+			const face = r3e.faces[ r3e.faceIds[i] === undefined ? i : r3e.faceIds[i] ];
+			if ( !face )
+				continue;
+			for(let k = 2; k < face.vNum; k++)
+				indexes.push(face.vStart, face.vStart + k - 1, face.vStart + k);
+		}
+		groups.push({ ...matGroup, start, count: indexes.length - start });
+	}
+	
+	return { vertices, indexes: new Uint32Array(indexes), groups };
+}
+
+class OrbitCamera {
+	constructor(target = [0,0,0], distance = 500) {
+		this.target = new Float32Array(target);
+		this.distance = distance;
+		this.yaw = 0;
+		this.pitch = 20;
+		
+		this.autoRotateRate = 20;
+		this.fov = 60;
+		this.aspect = 1;
+		
+		this.viewMatrix = new Float32Array(16);
+		this.projectionMatrix = new Float32Array(16);
+		this.projectionViewMatrix = new Float32Array(16);
+		
+		this._deltaTime = new DeltaTime();
+		this._dragging = false;
+
+		this._mousedown = () => {
+			this._dragging = true;
+			window.addEventListener("mouseup", this._mouseup);
+			window.addEventListener("mousemove", this._mousemove);
+		};
+		this._mouseup = () => {
+			this._dragging = false;
+			window.removeEventListener("mouseup", this._mouseup);
+			window.removeEventListener("mousemove", this._mousemove);
+		};
+		this._mousemove = (event) => {
+			this.yaw -= event.movementX * 0.5;
+			this.pitch = Math.min(Math.max(this.pitch + event.movementY * 0.5, -89), 89);
+		};
+		this._wheel = (event) => {
+			event.preventDefault();
+			this.distance *= event.deltaY > 0 ? 1.1 : 1/1.1;
+		};
+	}
+
+	/// frame a bounding box
+	fit(bbMin, bbMax) {
+		const center = [0, 1, 2].map(i => (bbMin[i] + bbMax[i]) / 2);
+		const radius = glMatrix.vec3.distance(bbMin, bbMax) / 2 || 100;
+		this.target.set(center);
+		this.distance = radius / Math.tan(this.fov / 2 / 180 * Math.PI) * 1.2;
+	}
+
+	update() {
+		this._deltaTime.tick();
+		if ( !this._dragging )
+			this.yaw += this._deltaTime.deltaTimeSec * this.autoRotateRate;
+
+		const yaw = this.yaw / 180 * Math.PI;
+		const pitch = this.pitch / 180 * Math.PI;
+		const eye = [
+			this.target[0] + Math.cos(pitch) * Math.sin(yaw) * this.distance,
+			this.target[1] + Math.sin(pitch) * this.distance,
+			this.target[2] + Math.cos(pitch) * Math.cos(yaw) * this.distance,
+		];
+
+		glMatrix.mat4.lookAt(this.viewMatrix, eye, this.target, [0, 1, 0]);
+		glMatrix.mat4.perspective(this.projectionMatrix, this.fov / 180 * Math.PI, this.aspect, this.distance * 0.01, this.distance * 10);
+		glMatrix.mat4.multiply(this.projectionViewMatrix, this.projectionMatrix, this.viewMatrix);
+	}
+
+	startEvents(dom) {
+		dom.addEventListener("mousedown", this._mousedown);
+		dom.addEventListener("wheel", this._wheel, {passive: false});
+	}
+	stopEvents(dom) {
+		dom.removeEventListener("mousedown", this._mousedown);
+		dom.removeEventListener("wheel", this._wheel);
+		this._mouseup();
+	}
+}
+
+class AssetPreview {
+	constructor(canvas) {
+		const gl = createGlContext(canvas, {
+			alpha                : false,
+			premultipliedAlpha   : false,
+			preserveDrawingBuffer: false,
+		});
+		this.canvas = canvas;
+		this.gl = gl;
+		
+		getGlCompatExtensions(gl);
+
+		this.camera = new OrbitCamera();
+		this.camera.startEvents(canvas);
+
+		const glTextureWhitePixel = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, glTextureWhitePixel);
+		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255,255,255,255]));
+		glTextures[0] = glTextureWhitePixel;
+		glTextures[1] = glTextureWhitePixel;
+
+		this.programEntity = new GlProgram(gl, ...getShaderSource_ENTITY());
+
+		this.vb = new GlBuffer(gl);
+		this.ib = new GlBuffer(gl, gl.ELEMENT_ARRAY_BUFFER);
+		
+		/// null | {type: "r3e", count} | {type: "basis", glTexture, width, height}
+		this.item = null;
+	}
+
+	clear() {
+		const gl = this.gl;
+		if ( this.item && this.item.glTexture )
+			gl.deleteTexture(this.item.glTexture);
+		this.item = null;
+	}
+
+	/// -> the shown item; a file that fails to load or parse shows nothing and gives {type: null, info: <error>}
+	async show(path) {
+		this.clear();
+		try {
+			this.item = await this._load(APIJS.FS.normalize(path));
+		} catch(e) {
+			console.log(e);
+			this.clear();
+			return { type: null, info: `Preview failed: ${e.message}` };
+		}
+		return this.item;
+	}
+	async _load(path) {
+		const gl = this.gl;
+		const ext = path.replace(/.*\./, "");
+		
+		if ( ext === "r3e" ) {
+			const r3e = parseR3E(await APIJS.FS.getFile(path));
+			const vbib = r3eToVerticesRenderData(r3e);
+			this.vb.bind().bufferData(vbib.vertices);
+			this.ib.bind().bufferData(vbib.indexes);
+			this.camera.fit(...this._getBounds(r3e.vertices));
+			return { type: ext, count: vbib.indexes.length, info: `${r3e.vertices.length} vertices, ${r3e.faces.length} faces, ${r3e.matGroups.length} groups` };
+		}
+
+		if ( ext === "basis" ) {
+			const ab = await APIJS.FS.getFile(path);
+			const data = await basisThreadControlPool.transcode(ab, basisThreadControlPool.detectSupport(gl));
+			/// owned by the item, not a glTextures slot; clear() deletes it
+			const glTexture = gl.createTexture();
+			gl.bindTexture(gl.TEXTURE_2D, glTexture);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+			basisThreadControlPool.compressedTexImage2D(gl, data);
+			if ( data.mipmaps.length === 1 )
+				gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+			
+			/// textured quad: 4 vertices, 2 triangles
+			const aspect = data.width / data.height;
+			const vertices = new Float32Array(4 * 6);
+			const vU32 = new Uint32Array(vertices.buffer);
+			[[-1,-1, 0,1], [1,-1, 1,1], [1,1, 1,0], [-1,1, 0,0]].map(([x, y, u, v], i) => {
+				vertices.set([x * aspect * 100, y * 100, 0, u, v], i*6);
+				vU32[i*6 + 5] = 0xFFFFFFFF;
+			});
+			this.vb.bind().bufferData(vertices);
+			this.ib.bind().bufferData(new Uint32Array([0,1,2, 0,2,3]));
+			this.camera.fit([-aspect * 100, -100, 0], [aspect * 100, 100, 0]);
+			return { type: ext, count: 6, glTexture, info: `${data.width}x${data.height}, ${data.mipmaps.length} mips, format ${data.format}` };
+		}
+		
+		throw new Error(`Preview not supported for .${ext}`);
+	}
+
+	_getBounds(positions) {
+		const bbMin = [ Infinity,  Infinity,  Infinity];
+		const bbMax = [-Infinity, -Infinity, -Infinity];
+		for(const p of positions)
+			for(let i = 0; i < 3; i++) {
+				bbMin[i] = Math.min(bbMin[i], p[i]);
+				bbMax[i] = Math.max(bbMax[i], p[i]);
+			}
+		return positions.length ? [bbMin, bbMax] : [[-100,-100,-100], [100,100,100]];
+	}
+
+	render() {
+		const gl = this.gl;
+		const canvas = this.canvas;
+		if ( canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight )
+			Object.assign(canvas, { width: canvas.clientWidth, height: canvas.clientHeight });
+
+		gl.viewport(0, 0, canvas.width, canvas.height);
+		gl.clearColor(0.12, 0.12, 0.14, 1);
+		gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+		gl.enable(gl.DEPTH_TEST);
+		gl.disable(gl.CULL_FACE);
+
+		this.camera.aspect = canvas.width / Math.max(1, canvas.height);
+		this.camera.update();
+		
+		const item = this.item;
+		if ( !item )
+			return;
+
+		const program = this.programEntity;
+		program.use();
+		gl.uniformMatrix4fv(program.u_ProjectionViewMatrix, false, this.camera.projectionViewMatrix);
+		gl.uniform4f(program.u_Color, 1, 1, 1, 1);
+		gl.uniform1i(program.u_Texture, 0);
+		MaterialSystem.setParamsUniforms(program, MATERIAL_DEFAULT_PARAMS);
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindTexture(gl.TEXTURE_2D, item.glTexture || glTextures[0]);
+
+		this.vb.bind();
+		this.ib.bind();
+		gl.enableVertexAttribArray(program.a_Position);
+		gl.enableVertexAttribArray(program.a_Uv);
+		gl.enableVertexAttribArray(program.a_Color);
+		gl.vertexAttribPointer(program.a_Position, 3, gl.FLOAT        , false, 24, 0);
+		gl.vertexAttribPointer(program.a_Uv      , 2, gl.FLOAT        , false, 24, 3*4);
+		gl.vertexAttribPointer(program.a_Color   , 4, gl.UNSIGNED_BYTE, false, 24, 3*4+2*4);
+		gl.drawElements(gl.TRIANGLES, item.count, gl.UNSIGNED_INT, 0);
+	}
+
+	loopDraw() {
+		const draw = () => {
+			requestAnimationFrame(draw);
+			this.render();
+		};
+		requestAnimationFrame(draw);
+	}
+}
+
+class AssetBrowser extends EventTarget {
+	constructor(fs) {
+		super();
+		
+		this.fs = fs;
+		this.previewExts = ["r3e", "basis"];
+		this.maxSearchResults = 500;
+
+		this.root = this._buildTree([...fs.map.keys()]);
+
+		this.dom = document.createElement("div");
+		this.dom.className = "asset-browser";
+		this.dom.innerHTML = `
+			<input class="asset-browser-search" type="search" placeholder="Search (e.g. acc_entity07 .r3e)" />
+			<div class="asset-browser-count"></div>
+			<ul class="asset-browser-tree"></ul>
+		`;
+		this.$search = this.dom.querySelector(".asset-browser-search");
+		this.$count  = this.dom.querySelector(".asset-browser-count");
+		this.$tree   = this.dom.querySelector(".asset-browser-tree");
+
+		this.style = document.createElement("style");
+		this.style.textContent = `
+			.asset-browser {
+				position: fixed;
+				left: 0px;
+				top: 0px;
+				bottom: 0px;
+				width: 360px;
+				display: flex;
+				flex-direction: column;
+				background: #202020;
+				font: 12px monospace;
+			}
+			.asset-browser-search {
+				margin: 6px;
+				padding: 4px;
+				background: #333;
+				border: 1px solid #555;
+				user-select: text;
+			}
+			.asset-browser-count {
+				padding: 0px 8px 4px 8px;
+				color: #888;
+			}
+			.asset-browser-tree {
+				flex: 1;
+				overflow: auto;
+				list-style-type: none;
+				cursor: pointer;
+			}
+			.asset-browser-tree ul {
+				list-style-type: none;
+				padding-left: 12px;
+			}
+			.asset-browser-tree li > span {
+				display: block;
+				padding: 1px 8px;
+				color: #AAA;
+				white-space: nowrap;
+			}
+			.asset-browser-tree li > span:hover {
+				background: #333;
+			}
+			.asset-browser-tree li.dir > span::before { content: "+ "; }
+			.asset-browser-tree li.dir.open > span::before { content: "- "; }
+			.asset-browser-tree li.previewable > span { color: #EEE; }
+			.asset-browser-tree li.active > span { background: #1d202b; }
+		`;
+		
+		this.oninput = () => this.search(this.$search.value);
+		this.onclick = (event) => {
+			const $li = event.target.closest("li");
+			if ( !$li )
+				return;
+
+			if ( $li.classList.contains("dir") ) {
+				this._toggleDir($li);
+				return;
+			}
+
+			[...this.$tree.querySelectorAll("li.active")].map(e => e.classList.remove("active"));
+			$li.classList.add("active");
+
+			const e = new Event("select");
+			e.path = $li.dataset.path;
+			this.dispatchEvent(e);
+		};
+
+		this.setEvents();
+		this.mount();
+		this.search("");
+	}
+
+	_buildTree(paths) {
+		const root = { name: "", path: "", dirs: new Map(), files: [] };
+		for(const path of paths) {
+			const parts = path.split("/");
+			let node = root;
+			for(const part of parts.slice(0, -1)) {
+				if ( !node.dirs.has(part) )
+					node.dirs.set(part, { name: part, path: node.path + "/" + part, dirs: new Map(), files: [] });
+				node = node.dirs.get(part);
+			}
+			node.files.push(path);
+		}
+		return root;
+	}
+	_renderFile(path, label = this.fs.getBase(path)) {
+		const ext = path.replace(/.*\./, "");
+		const $li = document.createElement("li");
+		$li.className = this.previewExts.includes(ext) ? "file previewable" : "file";
+		$li.dataset.path = path;
+		$li.innerHTML = `<span></span>`;
+		$li.children[0].textContent = label;
+		return $li;
+	}
+	_renderDir(node) {
+		const $li = document.createElement("li");
+		$li.className = "dir";
+		$li.dataset.path = node.path;
+		$li.innerHTML = `<span></span>`;
+		$li.children[0].textContent = `${node.name} (${node.dirs.size + node.files.length})`;
+		$li.node = node;
+		return $li;
+	}
+	_renderChildren(node) {
+		const $ul = document.createElement("ul");
+		[...node.dirs.values()]
+			.sort((l, r) => l.name.localeCompare(r.name))
+			.map(dir => $ul.appendChild(this._renderDir(dir)));
+		[...node.files]
+			.sort()
+			.map(path => $ul.appendChild(this._renderFile(path)));
+		return $ul;
+	}
+	_toggleDir($li) {
+		if ( $li.classList.toggle("open") ) {
+			$li.appendChild(this._renderChildren($li.node));
+		} else {
+			$li.removeChild($li.querySelector("ul"));
+		}
+	}
+
+	/// whitespace separated terms, all must match the normalized path
+	search(query) {
+		const terms = query
+			.toLowerCase()
+			.split(/\s+/)
+			.filter(s => s.length);
+
+		this.$tree.innerHTML = "";
+		if ( !terms.length ) {
+			[...this._renderChildren(this.root).children].map($li => this.$tree.appendChild($li));
+			this.$count.textContent = `${this.fs.map.size} files`;
+			return;
+		}
+
+		const found = [...this.fs.map.keys()].filter(path => terms.every(term => path.includes(term)));
+		found
+			.slice(0, this.maxSearchResults)
+			.map(path => this.$tree.appendChild(this._renderFile(path, path)));
+		this.$count.textContent = found.length > this.maxSearchResults ? 
+			`${found.length} files (first ${this.maxSearchResults} shown)` : 
+			`${found.length} files`;
+	}
+
+	mount() {
+		document.body.appendChild(this.style);
+		document.body.appendChild(this.dom);
+	}
+	unmount() {
+		document.body.removeChild(this.style);
+		document.body.removeChild(this.dom);
+	}
+
+	setEvents() {
+		this.$search.addEventListener("input", this.oninput);
+		this.$tree.addEventListener("click", this.onclick);
+	}
+	deleteEvents() {
+		this.$search.removeEventListener("input", this.oninput);
+		this.$tree.removeEventListener("click", this.onclick);
+	}
+
+	delete() {
+		this.deleteEvents();
+		this.unmount();
+	}
+}
+
+/// wasm/browser.html
+async function browserEntryPoint() {
+	const canvas = createCanvas(0, 0, false);
+	Object.assign(canvas.style, {
+		position: "fixed",
+		left: "360px",
+		top: "0px",
+		width: "calc(100% - 360px)",
+		height: "100%",
+	});
+	document.body.appendChild(canvas);
+
+	const preview = new AssetPreview(canvas);
+	globalThis.preview = preview;
+	globalThis.gl = preview.gl;
+
+	APIJS.FS = new SimpleFileSystem(preview.gl, null);
+	APIJS.FS.setFSMapData( await(await fetch("/static/RFOnline/fileSystemMap.json")).json() );
+
+	showInfo.begin();
+	showInfo.end();
+	
+	const browser = new AssetBrowser(APIJS.FS);
+	globalThis.assetBrowser = browser;
+	browser.addEventListener("select", async ({path}) => {
+		showInfo.begin();
+		showInfo.addText(`${path}\nloading...`);
+		showInfo.end();
+		try {
+			const item = await preview.show(path);
+			showInfo.begin();
+			showInfo.addText(`${path}\n${item.info}`);
+		} catch(e) {
+			console.log(e);
+			showInfo.begin();
+			showInfo.addText(`${path}\n${e.message}`);
+		}
+		showInfo.end();
+	});
+
+	preview.loopDraw();
+}
+
+/// wasm/replay.html; #file=<url of a .rrcap> loads it at start
+async function replayEntryPoint() {
+	const renderer = new Renderer();
+	globalThis.renderer = renderer;
+	globalThis.gl = renderer.gl;
+	
+	const replay = new FrameReplay(renderer);
+	globalThis.frameReplay = replay;
+	APIJS.GEOMETRYBUFFER = replay;
+	await renderer.init();
+	globalThis.viewportPanel = new ViewportPanel(renderer.viewport);
+	
+	const $file = document.createElement("input");
+	$file.type = "file";
+	$file.accept = ".rrcap";
+	Object.assign($file.style, {
+		position: "fixed",
+		right: "10px",
+		top: "10px",
+		"z-index": 1000,
+	});
+	document.body.appendChild($file);
+	
+	let error = null;
+	const load = (promise) => promise
+		.then(arrayBuffer => replay.load(arrayBuffer))
+		.then(() => error = null)
+		.catch(e => {
+			console.log(e);
+			error = e;
+		});
+	$file.addEventListener("change", () => $file.files[0] && load($file.files[0].arrayBuffer()));
+	window.addEventListener("dragover", (event) => event.preventDefault());
+	window.addEventListener("drop", (event) => {
+		event.preventDefault();
+		const file = event.dataTransfer.files[0];
+		if ( file )
+			load(file.arrayBuffer());
+	});
+	if ( gbGetConst("file") )
+		load(fetch(gbGetConst("file")).then(response => response.arrayBuffer()));
+	
+	const loopDraw = () => {
+		replay.render();
+		
+		showInfo.begin();
+		showInfo.addText(replay.getText());
+		if ( error )
+			showInfo.addText(`${error.message}\n`);
+		showInfo.end();
+		
+		requestAnimationFrame(loopDraw);
+	};
+	loopDraw();
+}
+
 
-entryPoint();
+if ( globalThis.APP_ENTRY === "browser" )
+	browserEntryPoint();
+else if ( globalThis.APP_ENTRY === "replay" )
+	replayEntryPoint();
+else
+	entryPoint();
 
-let __getNextYposPtr = 0;
 function getNextYpos(pos) {
-	__getNextYposPtr = __getNextYposPtr || Module._malloc(4*3);
+	const __getNextYposPtr = Module.__getNextYposPtr = Module.__getNextYposPtr || Module._malloc(4*3);
 	let fp = __getNextYposPtr / 4;
 	Module.HEAPF32[fp++] = pos[0];
 	Module.HEAPF32[fp++] = pos[1];
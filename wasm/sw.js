@@ -0,0 +1,165 @@
+/* global self caches fetch Response */
+
+/**
+	Offline mode: app shell + files of the maps the user saved for offline use.
+
+	Files under /static/RFOnline/files/ are served from the cache when there and revalidated in
+	the background (stale-while-revalidate), everything else network first.
+
+	messages (from page):
+		{ type: "precache", mapName, urls } - fetch and keep every url of the map
+		{ type: "delete", mapName }         - drop the map's files not used by another saved map
+		{ type: "list" }                    - answer { type: "list", maps: { mapName: numFiles } }
+	answers (to the page that sent the message):
+		{ type: "progress", mapName, done, total, bytes, failed }
+		{ type: "done", mapName, done, total, bytes, failed }
+*/
+const CACHE_NAME = "rf-offline-v1";
+const MANIFEST_PREFIX = "/__offline_manifest__/";
+const FILES_PATH = "/static/RFOnline/files/";
+const APP_SHELL = [
+	"./",
+	"./index.html",
+	"./build/app.js",
+	"./mapEnvironment.json",
+	"/static/RFOnline/fileSystemMap.json",
+];
+const NUM_CONCURRENT = 4;
+
+self.addEventListener("install", event => {
+	event.waitUntil(
+		caches.open(CACHE_NAME)
+			.then(cache => Promise.allSettled(APP_SHELL.map(url => cache.add(url))))
+			.then(() => self.skipWaiting())
+	);
+});
+
+self.addEventListener("activate", event => {
+	event.waitUntil(
+		caches.keys()
+			.then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+			.then(() => self.clients.claim())
+	);
+});
+
+self.addEventListener("fetch", event => {
+	const request = event.request;
+	if ( request.method !== "GET" )
+		return;
+
+	const url = new URL(request.url);
+	if ( url.origin !== self.location.origin )
+		return;
+
+	if ( url.pathname.startsWith(FILES_PATH) ) {
+		/// names are fileSystemMap.json GUIDs, not content hashes: a changed file keeps its url,
+		/// so a cached one is answered at once and refreshed for the next read
+		const cached = caches.match(request, { ignoreSearch: true });
+		event.waitUntil( cached.then(response => response && revalidateFile(url)) );
+		event.respondWith( cached.then(response => response || fetch(request)) );
+		return;
+	}
+
+	event.respondWith(
+		fetch(request)
+			.then(response => {
+				if ( response.ok && isAppShell(url) ) {
+					const copy = response.clone();
+					caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+				}
+				return response;
+			})
+			.catch(() => caches.match(request, { ignoreSearch: true })
+				.then(response => response || Response.error())
+			)
+	);
+});
+
+self.addEventListener("message", event => {
+	const data = event.data || {};
+	const reply = message => event.source && event.source.postMessage(message);
+
+	if ( data.type === "precache" )
+		event.waitUntil( precacheMap(data.mapName, data.urls, reply) );
+	else if ( data.type === "delete" )
+		event.waitUntil( deleteMap(data.mapName).then(() => listMaps()).then(reply) );
+	else if ( data.type === "list" )
+		event.waitUntil( listMaps().then(reply) );
+});
+
+/// conditional request, an unchanged file costs a 304; offline the cached copy stays
+async function revalidateFile(url) {
+	try {
+		const response = await fetch(url.pathname, { cache: "no-cache" });
+		if ( response.ok )
+			await (await caches.open(CACHE_NAME)).put(url.pathname, response);
+	} catch(e) {}
+}
+
+function isAppShell(url) {
+	return APP_SHELL.some(path => new URL(path, self.registration.scope).pathname === url.pathname);
+}
+
+async function precacheMap(mapName, urls, reply) {
+	const cache = await caches.open(CACHE_NAME);
+	const state = { mapName, done: 0, total: urls.length, bytes: 0, failed: 0 };
+
+	const queue = [...urls];
+	const worker = async () => {
+		while(queue.length) {
+			const url = queue.shift();
+			try {
+				if ( !await cache.match(url) ) {
+					const response = await fetch(url);
+					if ( !response.ok )
+						throw new Error(`Bad response status; expected 200, got ${response.status}`);
+
+					const arrayBuffer = await response.clone().arrayBuffer();
+					await cache.put(url, response);
+					state.bytes += arrayBuffer.byteLength;
+				}
+			} catch(e) {
+				state.failed++;
+			}
+
+			state.done++;
+			reply({ type: "progress", ...state });
+		}
+	};
+	await Promise.all([...Array(NUM_CONCURRENT)].map(worker));
+
+	await cache.put(MANIFEST_PREFIX + mapName, new Response(JSON.stringify(urls)));
+	reply({ type: "done", ...state });
+}
+
+async function getManifests(cache) {
+	const manifests = {};
+	for(const request of await cache.keys()) {
+		const pathname = new URL(request.url).pathname;
+		if ( !pathname.startsWith(MANIFEST_PREFIX) )
+			continue;
+
+		const response = await cache.match(request);
+		manifests[ pathname.slice(MANIFEST_PREFIX.length) ] = await response.json();
+	}
+	return manifests;
+}
+
+async function deleteMap(mapName) {
+	const cache = await caches.open(CACHE_NAME);
+	const manifests = await getManifests(cache);
+	const urls = manifests[mapName] || [];
+	delete manifests[mapName];
+
+	const keep = new Set(Object.values(manifests).flat());
+	await Promise.all(urls.filter(url => !keep.has(url)).map(url => cache.delete(url)));
+	await cache.delete(MANIFEST_PREFIX + mapName);
+}
+
+async function listMaps() {
+	const manifests = await getManifests(await caches.open(CACHE_NAME));
+	const maps = {};
+	for(const [mapName, urls] of Object.entries(manifests))
+		maps[mapName] = urls.length;
+	return { type: "list", maps };
+}